@@ -1,5 +1,6 @@
 // Health check endpoint for monitoring
 import { handleCORS, validateEnvironment } from '../lib/utils.js';
+import { getProvider } from '../lib/providers/index.js';
 
 export default async function handler(req, res) {
   // Handle CORS
@@ -9,9 +10,22 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  let llm = { status: 'missing' };
+
   try {
+    const provider = getProvider();
+    llm = { provider: provider.name, model: provider.model, status: 'missing' };
+
     // Validate environment variables
-    validateEnvironment();
+    validateEnvironment(provider);
+    llm.status = 'configured';
+
+    // Probe the provider so monitoring catches an unreachable gateway, not just a missing key
+    const health = await provider.checkHealth();
+    llm = { ...llm, ...health, status: health.reachable ? 'reachable' : 'unreachable' };
+    if (!health.reachable) {
+      throw new Error(`LLM provider ${provider.name} is unreachable: ${health.error}`);
+    }
 
     const healthStatus = {
       status: 'healthy',
@@ -19,7 +33,7 @@ export default async function handler(req, res) {
       version: '1.0.0',
       environment: process.env.NODE_ENV || 'development',
       services: {
-        anthropic: process.env.ANTHROPIC_API_KEY ? 'configured' : 'missing',
+        llm,
         cors: 'enabled'
       },
       uptime: process.uptime ? Math.floor(process.uptime()) : 0
@@ -35,7 +49,7 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString(),
       error: error.message,
       services: {
-        anthropic: process.env.ANTHROPIC_API_KEY ? 'configured' : 'missing',
+        llm,
         cors: 'enabled'
       }
     });
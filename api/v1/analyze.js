@@ -1,6 +1,11 @@
 // Vercel serverless function for document analysis
-import { LLMValidationService } from '../../lib/llmService.js';
-import { validateRequest, handleCORS } from '../../lib/utils.js';
+import { runAnalysis } from '../../lib/analysis.js';
+import { profileRef, DEFAULT_PROFILE_ID } from '../../lib/profiles/index.js';
+import { loadTenantProfile } from '../../lib/tenantProfile.js';
+import { validateRequest, handleCORS, buildDocumentStructure } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { enforceAnalysisLimits } from '../../lib/rateLimit.js';
+import { recordAnalysisUsage, recordFailedAnalysisUsage } from '../../lib/usage.js';
 
 export default async function handler(req, res) {
   // Handle CORS
@@ -14,7 +19,14 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Clients that accept NDJSON get one event per line: "issue" as each finding is validated,
+  // "progress" as each window finishes, then "result" (the usual response body) or "error"
+  const streaming = (req.headers.accept || '').includes('application/x-ndjson');
+  let send = null;
+
   try {
+    // Every request runs as a tenant; a userId in the body is no longer trusted
+    const auth = authenticate(req);
 
     // Validate request
     const validation = validateRequest(req.body);
@@ -25,47 +37,97 @@ export default async function handler(req, res) {
       });
     }
 
-    const { documentText, documentStructure, analysisMode = 'llm', userId } = req.body;
+    const { documentText, documentStructure, analysisMode = 'llm', profileId = DEFAULT_PROFILE_ID, incremental, waivers } = req.body;
+
+    await enforceAnalysisLimits(req, res, auth, analysisMode, incremental);
+
+    // Plain text is kept for backward compatibility
+    const structure = documentStructure || buildDocumentStructure(documentText);
+
+    // The same style profile drives both the Claude prompt and the rule checks
+    const profile = await loadTenantProfile(profileId, auth.tenantId);
+
+    // Streamed analyses report findings as NDJSON events while they run, for up to maxDuration
+    const controller = new AbortController();
+    if (streaming) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no'); // proxies must not hold events back
+      res.flushHeaders();
+
+      // A client that disconnects stops paying for the rest of the analysis
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+      send = (event) => {
+        if (!res.destroyed) res.write(`${JSON.stringify(event)}\n`);
+      };
+    }
 
-    // Initialize LLM service
-    const llmService = new LLMValidationService();
-    
-    // For Vercel, we'll process synchronously (under 10s limit)
-    console.log(`Starting analysis for user: ${userId}, mode: ${analysisMode}`);
-    
     const startTime = Date.now();
     let result;
-    
-    if (documentStructure) {
-      // Use structured document data for enhanced Claude analysis
-      result = await llmService.analyzeDocument(documentStructure);
-    } else {
-      // Fallback to plain text (backward compatibility)
-      result = await llmService.analyzeDocument({ fullText: documentText });
+    try {
+      result = await runAnalysis({ structure, analysisMode, profile }, {
+        incremental,
+        waivers,
+        signal: controller.signal,
+        onIssue: send ? issue => send({ type: 'issue', issue }) : undefined,
+        onWindowComplete: send ? async ({ windowIndex, windowCount }) => send({ type: 'progress', windowIndex, windowCount }) : undefined
+      });
+    } catch (error) {
+      // Dropping the stream or failing part-way still charges the tokens already used
+      await recordFailedAnalysisUsage({ auth, analysisMode, error, structure, latencyMs: Date.now() - startTime });
+      throw error;
     }
     
     const processingTime = Date.now() - startTime;
+    const usage = await recordAnalysisUsage({ auth, analysisMode, result, structure, latencyMs: processingTime });
 
     // Log usage for monitoring
     console.log(`Analysis completed in ${processingTime}ms, found ${result.summary.totalIssues} issues`);
 
-    res.status(200).json({
+    const body = {
       success: true,
       processingTime: processingTime,
       data: result,
       meta: {
-        documentLength: documentStructure ? documentStructure.fullText.length : documentText.length,
+        documentLength: structure.fullText.length,
         analysisMode: analysisMode,
+        profile: profileRef(profile),
+        tenant: auth.tenantId,
+        usage: {
+          model: usage.model,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          costUsd: usage.costUsd
+        },
         timestamp: new Date().toISOString()
       }
-    });
+    };
+
+    if (send) {
+      send({ type: 'result', ...body });
+      return res.end();
+    }
+    res.status(200).json(body);
 
   } catch (error) {
     console.error('Analysis error:', error);
+
+    // The 200 status has already gone out with the stream
+    if (send) {
+      send({ type: 'error', error: 'Analysis failed', message: error.message, code: error.code || 'INTERNAL_ERROR' });
+      return res.end();
+    }
     
     // Return appropriate error response
     const statusCode = error.code === 'RATE_LIMIT_EXCEEDED' ? 429 :
+                      error.code === 'TOKEN_QUOTA_EXCEEDED' ? 429 :
                       error.code === 'INVALID_API_KEY' ? 401 :
+                      error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'PROFILE_NOT_FOUND' ? 400 :
+                      error.code === 'LLM_OVERLOADED' || error.code === 'LLM_UNAVAILABLE' ? 503 :
                       error.code === 'DOCUMENT_TOO_LARGE' ? 413 : 500;
 
     res.status(statusCode).json({
@@ -78,6 +140,6 @@ export default async function handler(req, res) {
 
 // Export config for Vercel
 export const config = {
-  maxDuration: 30, // 30 seconds timeout
+  maxDuration: 300, // streamed analyses of long reports run for minutes
   regions: ['iad1'], // US East region for better OpenAI performance
 };
@@ -0,0 +1,100 @@
+// Analyses a batch of .docx files without Word: per-file results plus a portfolio summary
+import { analyzeDocuments } from '../../lib/batch.js';
+import { profileRef, DEFAULT_PROFILE_ID } from '../../lib/profiles/index.js';
+import { loadTenantProfile } from '../../lib/tenantProfile.js';
+import { validateBatchRequest, handleCORS } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { enforceAnalysisLimits, analysisEndpoint } from '../../lib/rateLimit.js';
+import { checkTokenQuota, quotaExceeded } from '../../lib/quota.js';
+import { recordAnalysisUsage, recordFailedAnalysisUsage } from '../../lib/usage.js';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    const validation = validateBatchRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    // Rules-only by default: a batch of Claude-backed analyses is the expensive exception
+    const { files, analysisMode = 'rules', profileId = DEFAULT_PROFILE_ID, waivers } = req.body;
+    // Every file counts against the rate limit: rules-only files against the batch limit,
+    // Claude-backed ones against the same budget as /analyze
+    const endpoint = analysisMode === 'rules' ? '/api/v1/batch' : analysisEndpoint(analysisMode);
+    await enforceAnalysisLimits(req, res, auth, analysisMode, undefined, endpoint, files.length);
+
+    const profile = await loadTenantProfile(profileId, auth.tenantId);
+
+    console.log(`Starting batch of ${files.length} files for tenant: ${auth.tenantId} (${auth.subject}), mode: ${analysisMode}, profile: ${profileId}`);
+
+    const startTime = Date.now();
+    const data = await analyzeDocuments(
+      files.map(file => ({ name: file.name, data: Buffer.from(file.content, 'base64') })),
+      {
+        analysisMode,
+        profile,
+        waivers,
+        // The budget is checked again before each file, so a batch stops charging once it is spent
+        beforeFile: analysisMode === 'rules' ? undefined : async () => {
+          const quota = await checkTokenQuota(auth);
+          if (!quota.success) throw quotaExceeded(quota);
+        },
+        // Files that fail after the model was called are charged for the tokens they used
+        onFile: async ({ record, structure, result, error }) => {
+          if (result) {
+            await recordAnalysisUsage({ auth, analysisMode, result, structure, latencyMs: record.processingTime });
+          } else {
+            await recordFailedAnalysisUsage({ auth, analysisMode, error, structure, latencyMs: record.processingTime });
+          }
+        }
+      }
+    );
+
+    console.log(`Batch completed in ${Date.now() - startTime}ms: ${data.portfolio.analysed} analysed, ${data.portfolio.failed} failed, ${data.portfolio.totals.totalIssues} issues`);
+
+    res.status(200).json({
+      success: true,
+      processingTime: Date.now() - startTime,
+      data,
+      meta: {
+        analysisMode,
+        profile: profileRef(profile),
+        tenant: auth.tenantId,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch analysis error:', error);
+
+    const statusCode = error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'RATE_LIMIT_EXCEEDED' || error.code === 'TOKEN_QUOTA_EXCEEDED' ? 429 :
+                      error.code === 'PROFILE_NOT_FOUND' ? 400 : 500;
+
+    res.status(statusCode).json({
+      error: 'Batch analysis failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 300 // up to 20 rules-only or 5 Claude-backed reports, one after the other
+};
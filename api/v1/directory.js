@@ -0,0 +1,71 @@
+// The caller's organisation people directory: canonical names and designations the name rules match against
+import { handleCORS, validateDirectoryRequest } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { getDirectory, saveDirectory, parseDirectoryCsv } from '../../lib/directory.js';
+
+// Holders of this scope may replace their organisation's directory
+export const DIRECTORY_WRITE_SCOPE = 'directory:write';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    if (req.method === 'GET') {
+      const directory = await getDirectory(auth.tenantId);
+      return res.status(200).json({ success: true, tenantId: auth.tenantId, ...directory });
+    }
+
+    if (!auth.scopes.includes(DIRECTORY_WRITE_SCOPE)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Updating the directory requires the ${DIRECTORY_WRITE_SCOPE} scope`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    // A CSV export of the people list stands in for "people"
+    const { csv, ...body } = req.body || {};
+    const directory = typeof csv === 'string' ? { ...body, ...parseDirectoryCsv(csv) } : req.body;
+
+    const validation = validateDirectoryRequest(directory);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const saved = await saveDirectory(auth.tenantId, directory, auth.subject);
+    console.log(`Directory updated for tenant: ${auth.tenantId} (${auth.subject}), ${saved.people.length} people`);
+
+    res.status(200).json({ success: true, tenantId: auth.tenantId, ...saved });
+
+  } catch (error) {
+    console.error('Directory error:', error);
+
+    const statusCode = error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'INVALID_CSV' ? 400 : 500;
+
+    res.status(statusCode).json({
+      error: 'Directory request failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
@@ -0,0 +1,65 @@
+// Renders an analysis result as a downloadable compliance report: JSON, CSV, SARIF, HTML or DOCX
+import { handleCORS, validateExportRequest } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { rateLimitByTenant, setRateLimitHeaders } from '../../lib/rateLimit.js';
+import { buildReport, renderReport } from '../../lib/export/index.js';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    const limit = await rateLimitByTenant(req, auth, '/api/v1/export');
+    setRateLimitHeaders(res, limit);
+    if (!limit.success) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Too many export requests. Try again in ${limit.retryAfter} seconds.`,
+        code: 'RATE_LIMIT_EXCEEDED'
+      });
+    }
+
+    const validation = validateExportRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    // `result` is the `data` of an analyze response (or of a finished job), sent back by the client
+    const { format, result, documentName, reviewer } = req.body;
+    const report = buildReport(result, { documentName, reviewer, auth });
+    const { body, contentType, filename } = renderReport(format, report);
+
+    console.log(`Exported ${format} report for tenant: ${auth.tenantId} (${auth.subject}), ${report.issues.length} issues, ${report.waived.length} waived`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(body);
+
+  } catch (error) {
+    console.error('Export error:', error);
+
+    res.status(error.code === 'UNAUTHORIZED' ? 401 : 500).json({
+      error: 'Export failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
@@ -0,0 +1,119 @@
+// Applies a document's automatic fixes on the server and returns the corrected .docx
+import { runAnalysis } from '../../lib/analysis.js';
+import { MAX_DOCUMENT_LENGTH } from '../../lib/batch.js';
+import { readDocx, writeDocx } from '../../lib/docx/index.js';
+import { applyFixes } from '../../lib/docx/fix.js';
+import { profileRef, DEFAULT_PROFILE_ID } from '../../lib/profiles/index.js';
+import { loadTenantProfile } from '../../lib/tenantProfile.js';
+import { validateFixRequest, handleCORS } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { enforceAnalysisLimits } from '../../lib/rateLimit.js';
+import { recordAnalysisUsage, recordFailedAnalysisUsage } from '../../lib/usage.js';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    const validation = validateFixRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const { file, issueIds, issues: knownIssues, analysisMode = 'rules', profileId = DEFAULT_PROFILE_ID, waivers } = req.body;
+    // Findings sent along with the file need no analysis, so no token budget either
+    await enforceAnalysisLimits(req, res, auth, knownIssues ? 'rules' : analysisMode, undefined, '/api/v1/fix');
+
+    const profile = await loadTenantProfile(profileId, auth.tenantId);
+    const startTime = Date.now();
+    const docx = readDocx(Buffer.from(file.content, 'base64'));
+
+    let issues = knownIssues;
+    if (!issues) {
+      if (docx.structure.fullText.length > MAX_DOCUMENT_LENGTH) {
+        const error = new Error(`Document is too long (${docx.structure.fullText.length} characters, maximum 200,000)`);
+        error.code = 'DOCUMENT_TOO_LARGE';
+        throw error;
+      }
+      let result;
+      try {
+        result = await runAnalysis({ structure: docx.structure, analysisMode, profile }, { waivers });
+      } catch (error) {
+        await recordFailedAnalysisUsage({ auth, analysisMode, error, structure: docx.structure, latencyMs: Date.now() - startTime });
+        throw error;
+      }
+      await recordAnalysisUsage({ auth, analysisMode, result, structure: docx.structure, latencyMs: Date.now() - startTime });
+      issues = result.issues;
+    }
+
+    // "all" takes every finding Word could fix with one click; named ids are fixed even if
+    // they weren't marked autoFixable, as the reviewer asked for them
+    const byId = new Map(issues.map(issue => [issue.id, issue]));
+    const selected = issueIds === 'all'
+      ? issues.filter(issue => issue.autoFixable && issue.fix)
+      : issueIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    const { changes, skipped } = applyFixes(docx, selected);
+    if (issueIds !== 'all') {
+      for (const id of issueIds.filter(id => !byId.has(id))) {
+        skipped.push({ issueId: id, title: null, reason: 'no finding with this id' });
+      }
+    }
+
+    console.log(`Fixed ${file.name} for tenant: ${auth.tenantId} (${auth.subject}): ${changes.length} changes, ${skipped.length} skipped`);
+
+    res.status(200).json({
+      success: true,
+      processingTime: Date.now() - startTime,
+      data: {
+        file: {
+          name: file.name,
+          contentType: DOCX_TYPE,
+          // Untouched documents come back byte for byte
+          content: changes.length > 0 ? writeDocx(docx).toString('base64') : file.content
+        },
+        changes,
+        skipped
+      },
+      meta: {
+        analysisMode: knownIssues ? null : analysisMode,
+        profile: profileRef(profile),
+        tenant: auth.tenantId,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Fix error:', error);
+
+    const statusCode = error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'RATE_LIMIT_EXCEEDED' || error.code === 'TOKEN_QUOTA_EXCEEDED' ? 429 :
+                      error.code === 'PROFILE_NOT_FOUND' || error.code === 'INVALID_DOCX' ? 400 :
+                      error.code === 'DOCUMENT_TOO_LARGE' ? 413 : 500;
+
+    res.status(statusCode).json({
+      error: 'Fix failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 60
+};
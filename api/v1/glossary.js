@@ -0,0 +1,64 @@
+// The caller's organisation glossary: acronyms and full forms used alongside the profile's built-in list
+import { handleCORS, validateGlossaryRequest } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { getGlossary, saveGlossary } from '../../lib/glossary.js';
+
+// Holders of this scope may replace their organisation's glossary
+export const GLOSSARY_WRITE_SCOPE = 'glossary:write';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    if (req.method === 'GET') {
+      const glossary = await getGlossary(auth.tenantId);
+      return res.status(200).json({ success: true, tenantId: auth.tenantId, ...glossary });
+    }
+
+    if (!auth.scopes.includes(GLOSSARY_WRITE_SCOPE)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Updating the glossary requires the ${GLOSSARY_WRITE_SCOPE} scope`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const validation = validateGlossaryRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const glossary = await saveGlossary(auth.tenantId, req.body.entries, auth.subject);
+    console.log(`Glossary updated for tenant: ${auth.tenantId} (${auth.subject}), ${glossary.entries.length} entries`);
+
+    res.status(200).json({ success: true, tenantId: auth.tenantId, ...glossary });
+
+  } catch (error) {
+    console.error('Glossary error:', error);
+
+    res.status(error.code === 'UNAUTHORIZED' ? 401 : 500).json({
+      error: 'Glossary request failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
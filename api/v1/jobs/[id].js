@@ -0,0 +1,69 @@
+// Job status (GET) and cancellation (DELETE) for asynchronous analysis jobs
+import { getJob, cancelJob } from '../../../lib/jobs.js';
+import { handleCORS } from '../../../lib/utils.js';
+import { authenticate } from '../../../lib/auth.js';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+
+    // Jobs of other tenants look exactly like missing ones
+    const jobId = req.query.id;
+    const job = req.method === 'DELETE'
+      ? await cancelJob(jobId, auth.tenantId)
+      : await getJob(jobId, auth.tenantId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      progress: job.progress,
+      // Issues from finished chunks while running; the full result once completed
+      partialIssues: job.partialIssues,
+      data: job.result,
+      error: job.error,
+      processingTime: job.processingTime || null,
+      meta: {
+        analysisMode: job.analysisMode,
+        profile: job.profile,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Job lookup error:', error);
+
+    const statusCode = error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'STORE_NOT_CONFIGURED' ? 503 : 500;
+
+    res.status(statusCode).json({
+      error: 'Job lookup failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
@@ -0,0 +1,75 @@
+// Starts an asynchronous analysis job and returns its id immediately
+import { createJob, startJob } from '../../../lib/jobs.js';
+import { getJobStore } from '../../../lib/jobStore.js';
+import { DEFAULT_PROFILE_ID } from '../../../lib/profiles/index.js';
+import { loadTenantProfile } from '../../../lib/tenantProfile.js';
+import { validateRequest, handleCORS, buildDocumentStructure } from '../../../lib/utils.js';
+import { authenticate } from '../../../lib/auth.js';
+import { enforceAnalysisLimits } from '../../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+    // Refuse before charging the rate limit when jobs can't be shared between instances
+    getJobStore();
+
+    // Validate request
+    const validation = validateRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validation.errors
+      });
+    }
+
+    const { documentText, documentStructure, analysisMode = 'llm', profileId = DEFAULT_PROFILE_ID, incremental, waivers } = req.body;
+    await enforceAnalysisLimits(req, res, auth, analysisMode, incremental);
+
+    const structure = documentStructure || buildDocumentStructure(documentText);
+    const profile = await loadTenantProfile(profileId, auth.tenantId);
+
+    const job = await createJob({ structure, analysisMode, profile, tenantId: auth.tenantId, userId: auth.subject });
+
+    // Not awaited: the job keeps running after the response and reports progress to the job store
+    startJob(job.id, { structure, analysisMode, profile, incremental, waivers });
+
+    console.log(`Job ${job.id} queued for tenant: ${auth.tenantId} (${auth.subject}), mode: ${analysisMode}, profile: ${profileId}`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/v1/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('Job creation error:', error);
+
+    const statusCode = error.code === 'UNAUTHORIZED' ? 401 :
+                      error.code === 'RATE_LIMIT_EXCEEDED' || error.code === 'TOKEN_QUOTA_EXCEEDED' ? 429 :
+                      error.code === 'PROFILE_NOT_FOUND' ? 400 :
+                      error.code === 'STORE_NOT_CONFIGURED' ? 503 : 500;
+
+    res.status(statusCode).json({
+      error: 'Could not create job',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 300 // the job runs on after the 202 response, under waitUntil
+};
@@ -0,0 +1,36 @@
+// Lists the compliance style profiles available for /api/v1/analyze
+import { handleCORS } from '../../lib/utils.js';
+import { listProfiles } from '../../lib/profiles/index.js';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    res.status(200).json({
+      success: true,
+      profiles: listProfiles()
+    });
+  } catch (error) {
+    console.error('Listing profiles failed:', error);
+
+    res.status(500).json({
+      error: 'Could not list profiles',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
@@ -0,0 +1,83 @@
+// Usage and cost aggregates by tenant and day, for charging back AI review spend
+import { handleCORS } from '../../lib/utils.js';
+import { authenticate } from '../../lib/auth.js';
+import { summariseUsage } from '../../lib/usage.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Holders of this scope may read every tenant's usage, e.g. a finance reporting key
+export const USAGE_ADMIN_SCOPE = 'usage:read-all';
+
+export default async function handler(req, res) {
+  // Handle CORS
+  handleCORS(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = authenticate(req);
+    const isAdmin = auth.scopes.includes(USAGE_ADMIN_SCOPE);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const { to = today, tenantId } = req.query;
+    if (!DATE_PATTERN.test(to) || isNaN(Date.parse(to))) {
+      return res.status(400).json({ error: 'Invalid request', details: ['to must be a date in YYYY-MM-DD format'] });
+    }
+    // The default range is the 30 days up to to
+    const from = req.query.from || new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+
+    const errors = [];
+    if (!DATE_PATTERN.test(from) || isNaN(Date.parse(from))) errors.push('from must be a date in YYYY-MM-DD format');
+    if (errors.length === 0 && from > to) errors.push('from must not be after to');
+    if (errors.length === 0 && (Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_RANGE_DAYS) {
+      errors.push(`Date range must be at most ${MAX_RANGE_DAYS} days`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    if (tenantId && tenantId !== auth.tenantId && !isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Reading another tenant's usage requires the ${USAGE_ADMIN_SCOPE} scope`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    // Without the admin scope a caller only ever sees their own tenant
+    const scope = isAdmin ? tenantId || null : auth.tenantId;
+    const { totals, days } = await summariseUsage({ from, to, tenantId: scope });
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      tenantId: scope,
+      currency: 'USD',
+      totals,
+      days
+    });
+
+  } catch (error) {
+    console.error('Usage report error:', error);
+
+    res.status(error.code === 'UNAUTHORIZED' ? 401 : 500).json({
+      error: 'Usage report failed',
+      message: error.message,
+      code: error.code || 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Export config for Vercel
+export const config = {
+  maxDuration: 10
+};
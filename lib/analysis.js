@@ -0,0 +1,41 @@
+// Runs an analysis in the requested mode; shared by the synchronous analyze route and async jobs
+import { LLMValidationService } from './llmService.js';
+import { analyzeWithRules, analyzeHybrid } from './rules/index.js';
+import { createWaiverMatcher, applyWaivers } from './waivers.js';
+
+// options.onWindowComplete({ windowIndex, windowCount, issues }) reports per-chunk progress;
+// options.signal cancels outstanding Claude calls;
+// options.incremental re-analyses only the paragraphs changed since a previous scan (LLM part only);
+// options.onIssue receives issues as they are found, rule findings first;
+// options.waivers keeps waived findings out of all of the above and lists them in result.waived
+export async function runAnalysis({ structure, analysisMode = 'llm', profile }, options = {}) {
+  const waiverFor = createWaiverMatcher(options.waivers, structure);
+  const onIssue = options.onIssue && (issue => {
+    if (!waiverFor(issue)) options.onIssue(issue);
+  });
+  const onWindowComplete = options.onWindowComplete && (progress => options.onWindowComplete({
+    ...progress,
+    issues: progress.issues.filter(issue => !waiverFor(issue))
+  }));
+
+  const result = await analyze({ structure, analysisMode, profile }, { ...options, onIssue, onWindowComplete });
+  return applyWaivers(result, waiverFor, structure);
+}
+
+async function analyze({ structure, analysisMode, profile }, options) {
+  if (analysisMode === 'rules') {
+    // Deterministic checks only, no Claude call
+    const result = analyzeWithRules(structure, profile);
+    result.issues.forEach(issue => options.onIssue?.(issue));
+    await options.onWindowComplete?.({ windowIndex: 0, windowCount: 1, issues: result.issues });
+    return result;
+  }
+
+  const rulesResult = analysisMode === 'hybrid' ? analyzeWithRules(structure, profile) : null;
+  rulesResult?.issues.forEach(issue => options.onIssue?.(issue));
+
+  const llmService = new LLMValidationService();
+  const llmResult = await llmService.analyzeDocument(structure, profile, options);
+
+  return rulesResult ? analyzeHybrid(rulesResult, llmResult, structure) : llmResult;
+}
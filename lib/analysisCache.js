@@ -0,0 +1,117 @@
+// Content-addressed cache of LLM findings, so unchanged paragraphs are not paid for twice
+// ANALYSIS_CACHE=memory (default) keeps entries in-process; ANALYSIS_CACHE=file stores them under
+// ANALYSIS_CACHE_DIR so several local instances share them; ANALYSIS_CACHE=off disables caching.
+// Other backends implement the same two methods:
+//   get(key) -> value or null
+//   set(key, value)
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+export const CACHE_TTL_MS = (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Bump when the prompt or issue validation changes, so findings made under the old rules are not reused
+export const CACHE_VERSION = 1;
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+export function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Hash of a paragraph's content and formatting; its position is left out so moved paragraphs still match
+export function hashParagraph(paragraph) {
+  const { index, ...content } = paragraph;
+  return sha256(JSON.stringify(content)).slice(0, 16);
+}
+
+export function hashTable(table) {
+  const { index, paragraphIndex, ...content } = table;
+  return sha256(JSON.stringify(content)).slice(0, 16);
+}
+
+export function cacheKey(...parts) {
+  return sha256(JSON.stringify([CACHE_VERSION, ...parts]));
+}
+
+export class MemoryAnalysisCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value) {
+    // Oldest entries go first once the cache is full
+    this.entries.delete(key);
+    if (this.entries.size >= MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+}
+
+export class FileAnalysisCache {
+  constructor(directory = process.env.ANALYSIS_CACHE_DIR || path.join(os.tmpdir(), 'sahayak-cache')) {
+    this.directory = directory;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await fs.unlink(this.filePath(key)).catch(() => {});
+      return null;
+    }
+    return entry.value;
+  }
+
+  // Write to a temp file first so readers never see a half-written entry
+  async set(key, value) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ value, expiresAt: Date.now() + CACHE_TTL_MS }));
+    await fs.rename(temp, target);
+  }
+}
+
+class DisabledAnalysisCache {
+  async get() {
+    return null;
+  }
+
+  async set() {}
+}
+
+let analysisCache = null;
+
+export function getAnalysisCache() {
+  if (!analysisCache) {
+    const backend = process.env.ANALYSIS_CACHE;
+    analysisCache = backend === 'file' ? new FileAnalysisCache() :
+                    backend === 'off' ? new DisabledAnalysisCache() :
+                    new MemoryAnalysisCache();
+  }
+  return analysisCache;
+}
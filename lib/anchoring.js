@@ -0,0 +1,180 @@
+// Re-anchors LLM issue locations onto text that really exists in the document
+
+// How far from the reported paragraph a quote may be found
+const NEIGHBOUR_RADIUS = 3;
+// Dice similarity of character bigrams a fuzzy match needs
+const FUZZY_THRESHOLD = 0.8;
+
+// Returns { status, location } where status is exact | caseInsensitive | neighbour | fuzzy,
+// or { status: 'failed', reason } when the location cannot be saved
+export function anchorLocation(location, documentStructure) {
+  if (location.tableIndex !== undefined) {
+    return anchorTableLocation(location, documentStructure);
+  }
+
+  const paragraphs = documentStructure.paragraphs;
+  const index = location.paragraphIndex;
+  if (!Number.isInteger(index) || index < 0 || index >= paragraphs.length) {
+    return { status: 'failed', reason: 'invalidParagraphIndex' };
+  }
+
+  const text = location.searchableText;
+  const candidates = neighbourIndexes(index, paragraphs.length);
+
+  for (const candidate of candidates) {
+    const found = findText(paragraphs[candidate].text || '', text);
+    if (!found) continue;
+
+    const status = candidate !== index ? 'neighbour' : found.exact ? 'exact' : 'caseInsensitive';
+    return { status, location: { ...location, paragraphIndex: candidate, searchableText: found.text } };
+  }
+
+  for (const candidate of candidates) {
+    const match = fuzzyFind(paragraphs[candidate].text || '', text);
+    if (match) {
+      return { status: 'fuzzy', location: { ...location, paragraphIndex: candidate, searchableText: match } };
+    }
+  }
+
+  return { status: 'failed', reason: 'textNotFound' };
+}
+
+// Fixes quote the text they replace; once the location has moved onto the document's wording,
+// the fix must quote that wording too. Returns the issue's { fix, autoFixable }: the fix is
+// dropped when its text can't be found in the anchored text.
+export function anchorFix(issue, location) {
+  const { fix } = issue;
+  const before = issue.location.searchableText;
+  const after = location.searchableText;
+  if (!fix || typeof fix.originalText !== 'string' || before === after || after.includes(fix.originalText)) {
+    return { fix, autoFixable: issue.autoFixable };
+  }
+
+  if (fix.originalText === before) {
+    return { fix: { ...fix, originalText: after }, autoFixable: issue.autoFixable };
+  }
+
+  // Part of the quote, re-cased: same position in the anchored text
+  const position = before.indexOf(fix.originalText);
+  if (position !== -1 && before.length === after.length && before.toLowerCase() === after.toLowerCase()) {
+    return {
+      fix: { ...fix, originalText: after.slice(position, position + fix.originalText.length) },
+      autoFixable: issue.autoFixable
+    };
+  }
+
+  return { fix: null, autoFixable: false };
+}
+
+function anchorTableLocation(location, documentStructure) {
+  const table = (documentStructure.tables || [])[location.tableIndex];
+  const row = table?.rows[location.rowIndex ?? 0];
+  if (!table || !row || (location.cellIndex !== undefined && !row.cells[location.cellIndex])) {
+    return { status: 'failed', reason: 'invalidTableLocation' };
+  }
+
+  const tableLocation = { ...location, type: 'table', paragraphIndex: location.paragraphIndex ?? table.paragraphIndex ?? null };
+  const reported = location.cellIndex !== undefined ? row.cells[location.cellIndex] : null;
+
+  // Row- or table-level findings (e.g. a wrong total row) don't quote a single cell
+  if (!reported) {
+    return { status: 'exact', location: tableLocation };
+  }
+
+  const found = findText(reported.text || '', location.searchableText);
+  if (found) {
+    return { status: found.exact ? 'exact' : 'caseInsensitive', location: { ...tableLocation, searchableText: found.text } };
+  }
+
+  const cells = table.rows.flatMap(r => r.cells.map(cell => ({ rowIndex: r.index, cell })));
+  const moveTo = (entry, searchableText, status) => ({
+    status,
+    location: { ...tableLocation, rowIndex: entry.rowIndex, cellIndex: entry.cell.index, searchableText }
+  });
+
+  for (const entry of cells) {
+    const found = findText(entry.cell.text || '', location.searchableText);
+    if (found) return moveTo(entry, found.text, 'neighbour');
+  }
+
+  for (const entry of cells) {
+    const match = fuzzyFind(entry.cell.text || '', location.searchableText);
+    if (match) return moveTo(entry, match, 'fuzzy');
+  }
+
+  return { status: 'failed', reason: 'textNotFound' };
+}
+
+// Reported paragraph first, then outwards: i-1, i+1, i-2, i+2, ...
+function neighbourIndexes(index, count) {
+  const indexes = [index];
+  for (let offset = 1; offset <= NEIGHBOUR_RADIUS; offset++) {
+    if (index - offset >= 0) indexes.push(index - offset);
+    if (index + offset < count) indexes.push(index + offset);
+  }
+  return indexes;
+}
+
+function findText(haystack, needle) {
+  if (haystack.includes(needle)) return { text: needle, exact: true };
+
+  const position = haystack.toLowerCase().indexOf(needle.toLowerCase());
+  if (position !== -1) return { text: haystack.slice(position, position + needle.length), exact: false };
+
+  return null;
+}
+
+// Finds the run of words in `haystack` most similar to `needle` (smart quotes, dropped words, typos)
+function fuzzyFind(haystack, needle) {
+  const words = [...haystack.matchAll(/\S+/g)];
+  const target = normalise(needle);
+  const wordCount = needle.split(/\s+/).length;
+  let best = null;
+
+  for (let size = Math.max(1, wordCount - 1); size <= wordCount + 1; size++) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const first = words[start];
+      const last = words[start + size - 1];
+      const candidate = haystack.slice(first.index, last.index + last[0].length);
+      const score = diceSimilarity(normalise(candidate), target);
+      if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+        best = { text: candidate, score };
+      }
+    }
+  }
+
+  return best ? best.text : null;
+}
+
+function normalise(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function diceSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
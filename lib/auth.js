@@ -0,0 +1,170 @@
+// Request authentication: tenant API keys and signed bearer tokens
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Key store document, from the file at API_KEY_STORE or inline in API_KEYS_JSON:
+// {
+//   "tenants": [{ "id": "acme", "name": "Acme Internal Audit" }],
+//   "keys": [{ "id": "key_acme_addin", "tenantId": "acme", "hash": "<hashApiKey(key)>", "revoked": false }]
+// }
+// Only hashes are stored; the key itself is shown once by scripts/create-api-key.js.
+
+const KEY_PREFIX = 'sk_';
+
+let keyStore = null;
+
+export function hashApiKey(apiKey) {
+  // A server-side pepper means a leaked store alone can't be used to test guesses offline
+  const pepper = process.env.API_KEY_PEPPER;
+  return pepper
+    ? crypto.createHmac('sha256', pepper).update(apiKey).digest('hex')
+    : crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function authError(message, code = 'UNAUTHORIZED') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isStoreConfigured() {
+  return Boolean(process.env.API_KEY_STORE || process.env.API_KEYS_JSON);
+}
+
+function loadKeyStore() {
+  if (keyStore) return keyStore;
+
+  let document;
+  try {
+    document = process.env.API_KEYS_JSON
+      ? JSON.parse(process.env.API_KEYS_JSON)
+      : JSON.parse(fs.readFileSync(path.resolve(process.env.API_KEY_STORE), 'utf8'));
+  } catch (error) {
+    throw authError(`API key store could not be read: ${error.message}`, 'AUTH_CONFIG_ERROR');
+  }
+
+  keyStore = {
+    tenants: new Map((document.tenants || []).map(tenant => [tenant.id, tenant])),
+    keysByHash: new Map((document.keys || []).map(key => [key.hash, key]))
+  };
+  return keyStore;
+}
+
+// Local development without a key store runs as a single dev tenant
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true' ||
+    (process.env.NODE_ENV === 'development' && !isStoreConfigured());
+}
+
+function tenantContext(tenantId, { subject, keyId = null, scopes = [], authMethod }) {
+  const tenant = loadKeyStore().tenants.get(tenantId);
+  if (!tenant || tenant.disabled) {
+    throw authError('Tenant is not active');
+  }
+
+  return {
+    tenantId,
+    tenantName: tenant.name || tenantId,
+    tenant,
+    subject,
+    keyId,
+    scopes,
+    authMethod
+  };
+}
+
+// X-API-Key: <key>, or Authorization: Bearer <key or signed token>
+function readCredentials(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return { type: 'apiKey', value: String(apiKey).trim() };
+
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const value = match[1].trim();
+  return { type: value.split('.').length === 3 ? 'token' : 'apiKey', value };
+}
+
+// Resolves the tenant context for a request; throws UNAUTHORIZED when credentials are missing or wrong
+export function authenticate(req) {
+  if (isAuthDisabled()) {
+    return {
+      tenantId: 'dev',
+      tenantName: 'Development',
+      tenant: { id: 'dev' },
+      subject: 'dev_user',
+      keyId: null,
+      scopes: ['usage:read-all', 'glossary:write', 'directory:write'],
+      authMethod: 'none'
+    };
+  }
+
+  if (!isStoreConfigured()) {
+    throw authError('Authentication is not configured on this server', 'AUTH_CONFIG_ERROR');
+  }
+
+  const credentials = readCredentials(req);
+  if (!credentials) {
+    throw authError('Missing credentials. Send an X-API-Key header or Authorization: Bearer <token>.');
+  }
+
+  return credentials.type === 'token'
+    ? verifyBearerToken(credentials.value)
+    : verifyApiKey(credentials.value);
+}
+
+function verifyApiKey(apiKey) {
+  const key = loadKeyStore().keysByHash.get(hashApiKey(apiKey));
+  if (!key || key.revoked) {
+    throw authError('Invalid API key');
+  }
+
+  return tenantContext(key.tenantId, { subject: key.id, keyId: key.id, scopes: key.scopes || [], authMethod: 'apiKey' });
+}
+
+// HS256 tokens signed with AUTH_JWT_SECRET, e.g. issued by the organisation's identity gateway;
+// the "tenant" claim names the tenant and "sub" the user
+function verifyBearerToken(token) {
+  const secret = process.env.AUTH_JWT_SECRET;
+  if (!secret) {
+    throw authError('Bearer tokens are not accepted by this server');
+  }
+
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  } catch {
+    throw authError('Malformed bearer token');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = Buffer.from(signaturePart, 'base64url');
+  if (header.alg !== 'HS256' || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw authError('Invalid bearer token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= now || (claims.nbf && claims.nbf > now)) {
+    throw authError('Bearer token has expired');
+  }
+  if (process.env.AUTH_JWT_ISSUER && claims.iss !== process.env.AUTH_JWT_ISSUER) {
+    throw authError('Bearer token issuer is not trusted');
+  }
+  if (process.env.AUTH_JWT_AUDIENCE && ![].concat(claims.aud).includes(process.env.AUTH_JWT_AUDIENCE)) {
+    throw authError('Bearer token audience does not match');
+  }
+  if (!claims.tenant || !claims.sub) {
+    throw authError('Bearer token must carry "tenant" and "sub" claims');
+  }
+
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(/\s+/).filter(Boolean) : [];
+  return tenantContext(claims.tenant, { subject: claims.sub, scopes, authMethod: 'token' });
+}
@@ -0,0 +1,129 @@
+// Batch analysis of .docx files outside Word: POST /api/v1/batch and scripts/batch-analyze.js
+import { runAnalysis } from './analysis.js';
+import { parseDocx } from './docx/index.js';
+import { ruleId } from './export/common.js';
+
+// Same ceiling as a documentStructure sent to /api/v1/analyze
+export const MAX_DOCUMENT_LENGTH = 200000;
+
+// Analyses one file ({ name, data } with data the .docx bytes). Failures are recorded on the
+// file, not thrown, so one unreadable report doesn't stop a sweep; options.beforeFile may throw
+// to refuse a file (e.g. a spent token budget). Returns { record, structure, result, error }.
+export async function analyzeDocument(file, { analysisMode = 'rules', profile, waivers, signal, beforeFile } = {}) {
+  const startTime = Date.now();
+  let structure = null;
+
+  try {
+    await beforeFile?.(file);
+
+    structure = parseDocx(file.data);
+    if (structure.fullText.length > MAX_DOCUMENT_LENGTH) {
+      const error = new Error(`Document is too long (${structure.fullText.length} characters, maximum 200,000)`);
+      error.code = 'DOCUMENT_TOO_LARGE';
+      throw error;
+    }
+
+    const result = await runAnalysis({ structure, analysisMode, profile }, { waivers, signal });
+    return {
+      record: {
+        name: file.name,
+        status: 'completed',
+        processingTime: Date.now() - startTime,
+        paragraphs: structure.paragraphs.length,
+        tables: structure.tables.length,
+        ...result
+      },
+      structure,
+      result
+    };
+  } catch (error) {
+    if (error.code === 'ANALYSIS_CANCELLED') throw error;
+
+    console.error(`Batch analysis of ${file.name} failed:`, error.message);
+    return {
+      record: {
+        name: file.name,
+        status: 'failed',
+        processingTime: Date.now() - startTime,
+        error: { message: error.message, code: error.code || 'INTERNAL_ERROR' }
+      },
+      structure,
+      result: null,
+      error
+    };
+  }
+}
+
+// One file at a time: Claude-backed modes already fan out per document window.
+// options.onFile({ record, structure, result, error }) runs after each file, e.g. to record usage.
+export async function analyzeDocuments(files, options = {}) {
+  const records = [];
+  for (const file of files) {
+    const analysed = await analyzeDocument(file, options);
+    await options.onFile?.(analysed);
+    records.push(analysed.record);
+  }
+  return { files: records, portfolio: portfolioSummary(records) };
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    const value = key(item) || 'Other';
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+// Totals across the files, the rules broken most often, and the files ranked worst first
+export function portfolioSummary(records) {
+  const completed = records.filter(record => record.status === 'completed');
+  const issues = completed.flatMap(record => record.issues.map(issue => ({ ...issue, file: record.name })));
+
+  const rules = new Map();
+  for (const issue of issues) {
+    const id = ruleId(issue);
+    const rule = rules.get(id) || { rule: id, title: issue.title, category: issue.category, issues: 0, files: new Set() };
+    rule.issues++;
+    rule.files.add(issue.file);
+    rules.set(id, rule);
+  }
+
+  const files = records.map(record => ({
+    name: record.name,
+    status: record.status,
+    ...(record.status === 'completed' ? {
+      totalIssues: record.summary.totalIssues,
+      critical: record.summary.critical,
+      warnings: record.summary.warnings,
+      suggestions: record.summary.suggestions,
+      waived: record.waived?.length || 0
+    } : { error: record.error })
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    files: records.length,
+    analysed: completed.length,
+    failed: records.length - completed.length,
+    cleanFiles: completed.filter(record => record.issues.length === 0).length,
+    totals: {
+      totalIssues: issues.length,
+      critical: issues.filter(issue => issue.severity === 'Critical').length,
+      warnings: issues.filter(issue => issue.severity === 'Warning').length,
+      suggestions: issues.filter(issue => issue.severity === 'Suggestion').length,
+      waived: completed.reduce((sum, record) => sum + (record.waived?.length || 0), 0)
+    },
+    byCategory: countBy(issues, issue => issue.category),
+    topRules: [...rules.values()]
+      .map(rule => ({ ...rule, files: rule.files.size }))
+      .sort((a, b) => b.files - a.files || b.issues - a.issues)
+      .slice(0, 20),
+    // Failed files last; then most critical findings, then most findings
+    ranking: files.sort((a, b) =>
+      (a.status === 'failed') - (b.status === 'failed') ||
+      (b.critical || 0) - (a.critical || 0) ||
+      (b.totalIssues || 0) - (a.totalIssues || 0) ||
+      a.name.localeCompare(b.name))
+  };
+}
@@ -0,0 +1,111 @@
+// Splits long documents into heading-aware paragraph windows for chunked LLM analysis
+import { isReportTitle, isHeading, isSubHeading } from './rules/common.js';
+import { findAcronymDefinitions } from './rules/acronyms.js';
+
+export const DEFAULT_WINDOW_CHARS = parseInt(process.env.ANALYSIS_WINDOW_CHARS, 10) || 30000;
+export const DEFAULT_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 3;
+
+function paragraphSize(paragraph) {
+  return JSON.stringify(paragraph).length;
+}
+
+function isSectionStart(paragraph, profile) {
+  const text = (paragraph.text || '').trim();
+  return isReportTitle(text, profile) || isHeading(text, paragraph.style, profile) ||
+         isSubHeading(text, paragraph.style, profile);
+}
+
+export function needsChunking(documentStructure, maxChars = DEFAULT_WINDOW_CHARS) {
+  const size = JSON.stringify(documentStructure.paragraphs).length +
+               JSON.stringify(documentStructure.tables || []).length;
+  return size > maxChars;
+}
+
+// Windows keep the paragraphs' global `index`, so findings never need remapping.
+// Tables travel with the window that holds their first paragraph.
+// A window closes early at a heading once it is at least half full, so sections stay together.
+export function splitIntoWindows(documentStructure, profile, maxChars = DEFAULT_WINDOW_CHARS) {
+  const windows = [];
+  let current = [];
+  let currentSize = 0;
+
+  const closeWindow = () => {
+    if (current.length === 0) return;
+    windows.push({
+      windowIndex: windows.length,
+      firstParagraph: current[0].index,
+      lastParagraph: current[current.length - 1].index,
+      paragraphs: current
+    });
+    current = [];
+    currentSize = 0;
+  };
+
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const indexed = { ...paragraph, index: paragraph.index ?? i };
+    const size = paragraphSize(indexed);
+
+    const overBudget = currentSize + size > maxChars;
+    const atSectionBreak = isSectionStart(indexed, profile) && currentSize >= maxChars / 2;
+    if (overBudget || atSectionBreak) {
+      closeWindow();
+    }
+
+    current.push(indexed);
+    currentSize += size;
+  });
+
+  closeWindow();
+  return windows;
+}
+
+// Document-wide facts each window needs for cross-section checks
+// (acronym first use, summary vs detailed issue references)
+export function buildDocumentContext(documentStructure, profile) {
+  const outline = [];
+  const acronymDefinitions = [];
+  const issueReferences = [];
+  const seenAcronyms = new Set();
+
+  let currentSection = null;
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const index = paragraph.index ?? i;
+    const text = (paragraph.text || '').trim();
+    if (!text) return;
+
+    if (isSectionStart(paragraph, profile)) {
+      currentSection = text.slice(0, 80);
+      outline.push({ index, text: currentSection });
+    }
+
+    // "Delegation of Authority (DOA)"
+    for (const { acronym, fullForm } of findAcronymDefinitions(text)) {
+      if (!fullForm || seenAcronyms.has(acronym)) continue;
+      seenAcronyms.add(acronym);
+      acronymDefinitions.push({ acronym, fullForm, paragraphIndex: index });
+    }
+
+    for (const [id] of text.matchAll(/\b[HML]\.\d+\.\d+\b/g)) {
+      issueReferences.push({ id, paragraphIndex: index, section: currentSection });
+    }
+  });
+
+  return { outline, acronymDefinitions, issueReferences };
+}
+
+// Runs fn over items with at most `limit` calls in flight, preserving result order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const current = next++;
+      results[current] = await fn(items[current], current);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
+  await Promise.all(workers);
+  return results;
+}
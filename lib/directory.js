@@ -0,0 +1,107 @@
+// People directories: each tenant's people, with their canonical names and designations, and
+// any designations of its own. Analyses merge the directory into the profile's names settings,
+// so the name rules can match mentions against it.
+import { getTenantDataStore } from './tenantDataStore.js';
+
+export const MAX_DIRECTORY_PEOPLE = 5000;
+export const MAX_DIRECTORY_DESIGNATIONS = 500;
+
+const CSV_COLUMNS = ['name', 'designation', 'aliases'];
+
+export async function getDirectory(tenantId) {
+  return (await getTenantDataStore().get('directory', tenantId)) ||
+    { people: [], designations: [], updatedAt: null, updatedBy: null };
+}
+
+// Replaces the tenant's directory; a repeated name keeps its last entry
+export async function saveDirectory(tenantId, { people = [], designations = [] }, updatedBy) {
+  const byName = new Map(people.map(person => [person.name.trim().toLowerCase(), {
+    name: person.name.trim(),
+    designation: person.designation ? person.designation.trim() : null,
+    aliases: (person.aliases || []).map(alias => alias.trim()).filter(Boolean)
+  }]));
+  const byTitle = new Map(designations.map(designation => [designation.title.trim().toLowerCase(), {
+    title: designation.title.trim(),
+    aliases: (designation.aliases || []).map(alias => alias.trim()).filter(Boolean)
+  }]));
+
+  return getTenantDataStore().put('directory', tenantId, {
+    people: [...byName.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    designations: [...byTitle.values()].sort((a, b) => a.title.localeCompare(b.title)),
+    updatedAt: new Date().toISOString(),
+    updatedBy: updatedBy || null
+  });
+}
+
+// The profile with the tenant's people and designations after its own
+export function withDirectory(profile, directory) {
+  if (!directory || (directory.people.length === 0 && directory.designations.length === 0)) return profile;
+
+  return Object.freeze({
+    ...profile,
+    names: {
+      ...profile.names,
+      people: [...profile.names.people, ...directory.people],
+      designations: [...profile.names.designations, ...directory.designations]
+    }
+  });
+}
+
+// A CSV export with a header row of name, designation and aliases (separated by ";"), in any order.
+// Returns { people } in the JSON import shape; throws INVALID_CSV when the header is missing.
+export function parseDirectoryCsv(csv) {
+  // Excel starts its UTF-8 exports with a byte order mark
+  const [header, ...rows] = parseCsvRows(csv.replace(/^\uFEFF/, '')).filter(row => row.some(cell => cell.trim()));
+  const columns = (header || []).map(cell => cell.trim().toLowerCase());
+  if (!columns.includes('name')) {
+    const error = new Error(`CSV needs a header row with a "name" column (columns: ${CSV_COLUMNS.join(', ')})`);
+    error.code = 'INVALID_CSV';
+    throw error;
+  }
+
+  const cell = (row, column) => (columns.includes(column) ? (row[columns.indexOf(column)] || '').trim() : '');
+  return {
+    people: rows.map(row => ({
+      name: cell(row, 'name'),
+      designation: cell(row, 'designation') || null,
+      aliases: cell(row, 'aliases').split(';').map(alias => alias.trim()).filter(Boolean)
+    }))
+  };
+}
+
+// RFC 4180 fields: quoted fields may hold commas, line breaks and doubled quotes
+function parseCsvRows(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  rows.push([...row, field]);
+  return rows;
+}
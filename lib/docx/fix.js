@@ -0,0 +1,353 @@
+// Applies auto-fixable findings to a .docx's OOXML: the server-side counterpart of the add-in's
+// fixSingleError. Text is re-read before every edit and only the characters that change are
+// rewritten, so the runs around them keep their formatting.
+import { paragraphRuns } from './index.js';
+import { HIGHLIGHT_COLORS, alignmentName } from './styles.js';
+import { childElements, childElement, createElement, cloneElement, attribute } from './xml.js';
+import { describeLocation } from '../export/common.js';
+
+// Word rejects property elements out of schema order, so new ones are inserted in place
+const RUN_PROPERTY_ORDER = ['w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike',
+  'w:dstrike', 'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid', 'w:vanish', 'w:webHidden',
+  'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz', 'w:szCs', 'w:highlight', 'w:u', 'w:effect', 'w:bdr',
+  'w:shd', 'w:fitText', 'w:vertAlign', 'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish', 'w:oMath',
+  'w:ins', 'w:del', 'w:rPrChange'];
+const PARAGRAPH_PROPERTY_ORDER = ['w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl',
+  'w:numPr', 'w:suppressLineNumbers', 'w:pBdr', 'w:shd', 'w:tabs', 'w:suppressAutoHyphens', 'w:kinsoku', 'w:wordWrap',
+  'w:overflowPunct', 'w:topLinePunct', 'w:autoSpaceDE', 'w:autoSpaceDN', 'w:bidi', 'w:adjustRightInd', 'w:snapToGrid',
+  'w:spacing', 'w:ind', 'w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc', 'w:textDirection',
+  'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle', 'w:rPr', 'w:sectPr', 'w:pPrChange'];
+const CELL_PROPERTY_ORDER = ['w:cnfStyle', 'w:tcW', 'w:gridSpan', 'w:hMerge', 'w:vMerge', 'w:tcBorders', 'w:shd', 'w:noWrap',
+  'w:tcMar', 'w:textDirection', 'w:tcFitText', 'w:vAlign', 'w:hideMark', 'w:headers', 'w:cellIns', 'w:cellDel',
+  'w:cellMerge', 'w:tcPrChange'];
+
+// Office.js alignment names as w:jc values
+const JUSTIFICATION = { Left: 'left', Centered: 'center', Right: 'right', Justified: 'both' };
+
+const HIGHLIGHT_NAMES = Object.fromEntries(Object.entries(HIGHLIGHT_COLORS).map(([name, hex]) => [hex, name]));
+
+// Returns the element's pPr/rPr/tcPr, creating it as the first child when missing
+function propertiesOf(element, name) {
+  let properties = childElement(element, name);
+  if (!properties) {
+    properties = createElement(name);
+    element.children.unshift(properties);
+  }
+  return properties;
+}
+
+// The paragraph mark's run properties, which sit near the end of pPr
+function markProperties(paragraph) {
+  return setProperty(propertiesOf(paragraph, 'w:pPr'), 'w:rPr', PARAGRAPH_PROPERTY_ORDER, {});
+}
+
+// Sets attributes on a property element, creating it at its schema position when missing
+function setProperty(properties, name, order, attributes) {
+  let element = childElement(properties, name);
+  if (!element) {
+    element = createElement(name);
+    const position = order.indexOf(name);
+    const next = properties.children.findIndex(child => typeof child !== 'string' && order.indexOf(child.name) > position);
+    properties.children.splice(next === -1 ? properties.children.length : next, 0, element);
+  }
+  Object.assign(element.attributes, attributes);
+  return element;
+}
+
+function setText(content, text) {
+  content.children = text ? [text] : [];
+  if (/^\s|\s$/.test(text)) {
+    content.attributes['xml:space'] = 'preserve';
+  }
+}
+
+// Offsets of each piece within the paragraph text
+function withOffsets(pieces) {
+  let offset = 0;
+  return pieces.map(piece => {
+    const start = offset;
+    offset += piece.text.length;
+    return { ...piece, start, end: offset };
+  });
+}
+
+function paragraphText(pieces) {
+  return pieces.map(piece => piece.text).join('');
+}
+
+// Position of `text` in the paragraph, preferring a whole-word match like the rules use
+function findMatch(paragraph, text) {
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^\w/.test(text) ? '(?<!\\w)' : '';
+  const end = /\w$/.test(text) ? '(?!\\w)' : '';
+  const match = new RegExp(start + escaped + end).exec(paragraph);
+  return match ? match.index : paragraph.indexOf(text);
+}
+
+// The characters of `original` (at `position`) that `replacement` actually changes
+function textStep(position, original, replacement) {
+  let prefix = 0;
+  while (prefix < original.length && prefix < replacement.length && original[prefix] === replacement[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < original.length - prefix && suffix < replacement.length - prefix &&
+         original[original.length - 1 - suffix] === replacement[replacement.length - 1 - suffix]) {
+    suffix++;
+  }
+  return {
+    start: position + prefix,
+    before: original.slice(prefix, original.length - suffix),
+    after: replacement.slice(prefix, replacement.length - suffix)
+  };
+}
+
+// Splits the run holding `piece` so that a new run starts `offset` characters into the piece
+function splitRun(piece, offset) {
+  const { run, content, parent } = piece;
+  const index = run.children.indexOf(content);
+  const properties = childElement(run, 'w:rPr');
+  let head = run.children.slice(0, index);
+  let tail = run.children.slice(index + 1);
+
+  if (offset === 0) {
+    tail = [content, ...tail];
+  } else if (offset === piece.text.length) {
+    head = [...head, content];
+  } else {
+    const rest = createElement('w:t');
+    setText(rest, piece.text.slice(offset));
+    setText(content, piece.text.slice(0, offset));
+    head = [...head, content];
+    tail = [rest, ...tail];
+  }
+
+  const hasContent = nodes => nodes.some(node => typeof node !== 'string' && node !== properties);
+  if (!hasContent(head) || !hasContent(tail)) return;
+
+  run.children = head;
+  const next = createElement('w:r', { ...run.attributes }, [...(properties ? [cloneElement(properties)] : []), ...tail]);
+  parent.children.splice(parent.children.indexOf(run) + 1, 0, next);
+}
+
+// Splits runs at both ends of [start, end) and returns the runs in between
+function isolateRuns(paragraph, styles, start, end) {
+  for (const boundary of [start, end]) {
+    const piece = withOffsets(paragraphRuns(paragraph, styles)).find(p => p.start <= boundary && boundary < p.end);
+    if (piece) splitRun(piece, boundary - piece.start);
+  }
+  const runs = withOffsets(paragraphRuns(paragraph, styles))
+    .filter(piece => piece.start >= start && piece.end <= end)
+    .map(piece => piece.run);
+  return [...new Set(runs)];
+}
+
+// Replaces [start, start + before.length) with `after`, inside the existing w:t elements
+function replaceRange(paragraph, styles, { start, before, after }) {
+  const pieces = withOffsets(paragraphRuns(paragraph, styles));
+  const end = start + before.length;
+
+  if (before.length === 0) {
+    // An insertion takes the formatting of the text it is inserted before, as in the add-in
+    const anchor = pieces.find(piece => piece.start <= start && start < piece.end) || pieces[pieces.length - 1];
+    if (!anchor || anchor.content.name !== 'w:t') return 'the text next to the insertion is not plain text';
+    const offset = Math.min(start - anchor.start, anchor.text.length);
+    setText(anchor.content, anchor.text.slice(0, offset) + after + anchor.text.slice(offset));
+    return null;
+  }
+
+  const covered = pieces.filter(piece => piece.start < end && piece.end > start);
+  if (covered.some(piece => piece.content.name !== 'w:t')) return 'the text spans a tab or line break';
+
+  covered.forEach((piece, index) => {
+    const head = piece.text.slice(0, Math.max(0, start - piece.start));
+    const tail = piece.text.slice(Math.min(piece.text.length, end - piece.start));
+    setText(piece.content, head + (index === 0 ? after : '') + tail);
+  });
+  return null;
+}
+
+// The paragraphs a finding applies to: the finding's paragraph, or every paragraph of its table cell
+function targetParagraphs(docx, location) {
+  if (location?.type === 'table') {
+    const cell = docx.elements.cells[location.tableIndex]?.[location.rowIndex]?.[location.cellIndex];
+    return cell ? cellParagraphs(cell) : [];
+  }
+  const paragraph = docx.elements.paragraphs[location?.paragraphIndex];
+  return paragraph ? [paragraph] : [];
+}
+
+function cellParagraphs(cell) {
+  return childElements(cell).flatMap(child => {
+    if (child.name === 'w:p') return [child];
+    if (child.name === 'w:tcPr') return [];
+    return cellParagraphs(child);
+  });
+}
+
+function targetCell(docx, location) {
+  return location?.type === 'table'
+    ? docx.elements.cells[location.tableIndex]?.[location.rowIndex]?.[location.cellIndex] || null
+    : null;
+}
+
+// A value shared by every run, or "mixed"
+function uniform(values) {
+  const distinct = [...new Set(values.map(value => value ?? null))];
+  return distinct.length === 1 ? distinct[0] : 'mixed';
+}
+
+// Each applier returns { before, after } for the manifest, or a string: the reason it was skipped
+const APPLIERS = {
+  changeFontFamily(docx, issue, family) {
+    if (!family) return 'no font family given';
+    const paragraphs = targetParagraphs(docx, issue.location);
+    const pieces = paragraphs.flatMap(paragraph => paragraphRuns(paragraph, docx.styles));
+    const before = uniform(pieces.map(piece => piece.font));
+    if (before === family) return 'already as expected';
+
+    for (const run of new Set(pieces.map(piece => piece.run))) {
+      setFont(propertiesOf(run, 'w:rPr'), family);
+    }
+    // The paragraph mark too, so text typed at the end of the paragraph matches
+    paragraphs.forEach(paragraph => setFont(markProperties(paragraph), family));
+    return { before, after: family };
+  },
+
+  changeFontSize(docx, issue, value) {
+    const size = parseFloat(value);
+    if (!Number.isFinite(size) || size <= 0) return 'no font size given';
+    const paragraphs = targetParagraphs(docx, issue.location);
+    const pieces = paragraphs.flatMap(paragraph => paragraphRuns(paragraph, docx.styles));
+    const before = uniform(pieces.map(piece => piece.size));
+    if (before === size) return 'already as expected';
+
+    const halfPoints = String(Math.round(size * 2));
+    const setSize = rPr => {
+      setProperty(rPr, 'w:sz', RUN_PROPERTY_ORDER, { 'w:val': halfPoints });
+      setProperty(rPr, 'w:szCs', RUN_PROPERTY_ORDER, { 'w:val': halfPoints });
+    };
+    new Set(pieces.map(piece => piece.run)).forEach(run => setSize(propertiesOf(run, 'w:rPr')));
+    paragraphs.forEach(paragraph => setSize(markProperties(paragraph)));
+    return { before, after: size };
+  },
+
+  changeLineSpacing(docx, issue, value) {
+    const lines = parseFloat(value);
+    if (!Number.isFinite(lines) || lines <= 0) return 'no line spacing given';
+    return setParagraphProperty(docx, issue, 'lineSpacing', lines, pPr => {
+      setProperty(pPr, 'w:spacing', PARAGRAPH_PROPERTY_ORDER, { 'w:line': String(Math.round(lines * 240)), 'w:lineRule': 'auto' });
+    });
+  },
+
+  changeSpacing(docx, issue, value) {
+    const points = parseFloat(value);
+    if (!Number.isFinite(points) || points < 0) return 'no spacing given';
+    return setParagraphProperty(docx, issue, 'spaceAfter', points, pPr => {
+      const spacing = setProperty(pPr, 'w:spacing', PARAGRAPH_PROPERTY_ORDER, { 'w:after': String(Math.round(points * 20)) });
+      delete spacing.attributes['w:afterAutospacing'];
+    });
+  },
+
+  alignTableCell(docx, issue, alignment) {
+    const justification = JUSTIFICATION[alignment];
+    if (!justification) return `unknown alignment "${alignment}"`;
+    return setParagraphProperty(docx, issue, 'alignment', alignmentName(justification), pPr => {
+      setProperty(pPr, 'w:jc', PARAGRAPH_PROPERTY_ORDER, { 'w:val': justification });
+    });
+  },
+
+  setShading(docx, issue, color) {
+    const cell = targetCell(docx, issue.location);
+    if (!cell) return 'the table cell was not found';
+    const fill = String(color || '').replace(/^#/, '').toUpperCase();
+    if (!/^[0-9A-F]{6}$/.test(fill)) return `"${color}" is not a hex colour`;
+
+    const tcPr = propertiesOf(cell, 'w:tcPr');
+    const before = attribute(childElement(tcPr, 'w:shd'), 'w:fill');
+    if ((before || '').toUpperCase() === fill) return 'already as expected';
+    setProperty(tcPr, 'w:shd', CELL_PROPERTY_ORDER, { 'w:val': 'clear', 'w:color': 'auto', 'w:fill': fill });
+    return { before: before && before !== 'auto' ? `#${before.toUpperCase()}` : null, after: `#${fill}` };
+  },
+
+  setHighlight(docx, issue, color) {
+    const name = HIGHLIGHT_NAMES[String(color || '').toUpperCase()];
+    if (!name) return `Word highlights only come in 16 colours, and ${color} is not one of them`;
+    const text = issue.location?.searchableText;
+    if (!text) return 'the finding does not say which text to highlight';
+
+    for (const paragraph of targetParagraphs(docx, issue.location)) {
+      const start = findMatch(paragraphText(paragraphRuns(paragraph, docx.styles)), text);
+      if (start === -1) continue;
+
+      const runs = isolateRuns(paragraph, docx.styles, start, start + text.length);
+      const before = uniform(runs.map(run => docx.styles.runProperties(childElement(paragraph, 'w:pPr'), childElement(run, 'w:rPr')).highlight));
+      runs.forEach(run => setProperty(propertiesOf(run, 'w:rPr'), 'w:highlight', RUN_PROPERTY_ORDER, { 'w:val': name }));
+      return { before, after: HIGHLIGHT_COLORS[name] };
+    }
+    return 'the text to highlight was not found';
+  },
+
+  replaceText(docx, issue) {
+    const { fix } = issue;
+    const original = fix.originalText || issue.location?.searchableText;
+    const replacement = fix.newText ?? fix.newValue;
+    if (!original || typeof replacement !== 'string') return 'the finding has no replacement text';
+
+    for (const paragraph of targetParagraphs(docx, issue.location)) {
+      const position = findMatch(paragraphText(paragraphRuns(paragraph, docx.styles)), original);
+      if (position === -1) continue;
+
+      const reason = replaceRange(paragraph, docx.styles, textStep(position, original, replacement));
+      return reason || { before: original, after: replacement };
+    }
+    return 'the text to replace was not found; it may have been fixed already';
+  }
+};
+
+function setFont(rPr, family) {
+  const fonts = setProperty(rPr, 'w:rFonts', RUN_PROPERTY_ORDER, { 'w:ascii': family, 'w:hAnsi': family, 'w:cs': family });
+  // Theme fonts take precedence over named ones
+  delete fonts.attributes['w:asciiTheme'];
+  delete fonts.attributes['w:hAnsiTheme'];
+  delete fonts.attributes['w:cstheme'];
+}
+
+function setParagraphProperty(docx, issue, property, value, update) {
+  const paragraphs = targetParagraphs(docx, issue.location);
+  if (paragraphs.length === 0) return 'the paragraph was not found';
+
+  const before = uniform(paragraphs.map(paragraph => docx.styles.paragraphProperties(childElement(paragraph, 'w:pPr'))[property]));
+  if (before === value) return 'already as expected';
+  paragraphs.forEach(paragraph => update(propertiesOf(paragraph, 'w:pPr')));
+  return { before, after: value };
+}
+
+// Applies the findings' fixes to a document read with readDocx, in order.
+// Returns { changes, skipped }: the manifest of what changed and what could not be fixed, and why.
+export function applyFixes(docx, issues) {
+  const changes = [];
+  const skipped = [];
+
+  for (const issue of issues) {
+    const apply = issue.fix && APPLIERS[issue.fix.action];
+    const outcome = !issue.fix ? 'the finding has no automatic fix'
+      : !apply ? `"${issue.fix.action}" fixes are not supported`
+      : apply(docx, issue, issue.fix.newValue);
+
+    if (typeof outcome === 'string') {
+      skipped.push({ issueId: issue.id, title: issue.title, reason: outcome });
+      continue;
+    }
+    changes.push({
+      issueId: issue.id,
+      rule: issue.rule || null,
+      title: issue.title,
+      action: issue.fix.action,
+      location: describeLocation(issue.location),
+      ...outcome
+    });
+  }
+
+  return { changes, skipped };
+}
@@ -0,0 +1,274 @@
+// Reads a .docx file into the documentStructure the add-in builds with Office.js
+// (extractDocumentData + buildDocumentStructure), so reports can be analysed without Word
+import path from 'path';
+import { openZip, createZip } from '../zip.js';
+import { parseXml, serializeXml, childElements, childElement, path as elementPath, attribute } from './xml.js';
+import { StyleSheet, alignmentName, isOn } from './styles.js';
+
+// Word only builds highlight runs for short lines outside tables, as the add-in does
+const MAX_HIGHLIGHT_PARAGRAPH = 120;
+
+function invalidDocx(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DOCX';
+  return error;
+}
+
+// Content controls and custom XML wrap paragraphs, rows, cells and runs without changing them
+function unwrap(elements) {
+  return elements.flatMap(element => {
+    if (element.name === 'w:sdt') return unwrap(childElements(childElement(element, 'w:sdtContent')));
+    if (element.name === 'w:customXml') return unwrap(childElements(element));
+    return [element];
+  });
+}
+
+// Targets are relative to the source part's folder, or absolute from the package root
+function resolveTarget(partName, target) {
+  return target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(partName), target);
+}
+
+// Part names of the main document, its styles and theme, from the package relationships
+function packageParts(zip) {
+  const relationships = (partName) => {
+    const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    const xml = zip.read(relsName);
+    if (!xml) return [];
+    return childElements(parseXml(xml.toString('utf8')), 'Relationship').map(rel => ({
+      type: attribute(rel, 'Type') || '',
+      target: resolveTarget(partName, attribute(rel, 'Target') || '')
+    }));
+  };
+
+  const main = relationships('').find(rel => rel.type.endsWith('/officeDocument'))?.target || 'word/document.xml';
+  const related = relationships(main);
+  return {
+    main,
+    styles: related.find(rel => rel.type.endsWith('/styles'))?.target,
+    theme: related.find(rel => rel.type.endsWith('/theme'))?.target
+  };
+}
+
+// Text of a paragraph as Word reports it, in pieces with their run formatting. Each piece also
+// points at its content element, the run holding it and the run's parent, for lib/docx/fix.js.
+export function paragraphRuns(paragraph, styles) {
+  const pPr = childElement(paragraph, 'w:pPr');
+  const pieces = [];
+
+  const visit = (element) => {
+    for (const node of childElements(element)) {
+      switch (node.name) {
+        case 'w:r': {
+          const properties = styles.runProperties(pPr, childElement(node, 'w:rPr'));
+          for (const content of childElements(node)) {
+            const text = content.name === 'w:t' ? content.children.filter(child => typeof child === 'string').join('')
+              : content.name === 'w:tab' ? '\t'
+              : content.name === 'w:br' && !attribute(content, 'w:type') ? '\v'
+              : content.name === 'w:noBreakHyphen' ? '-'
+              : '';
+            if (text) pieces.push({ text, ...properties, content, run: node, parent: element });
+          }
+          break;
+        }
+        case 'w:sdt':
+          visit(childElement(node, 'w:sdtContent'));
+          break;
+        // Links, fields and tracked insertions hold runs; deleted and moved-away text is not part of the text
+        case 'w:hyperlink':
+        case 'w:smartTag':
+        case 'w:customXml':
+        case 'w:fldSimple':
+        case 'w:ins':
+        case 'w:moveTo':
+          visit(node);
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  visit(paragraph);
+  return pieces;
+}
+
+// The font the paragraph reports: its text's, when the whole text shares it (Office.js gives
+// no value for mixed formatting), or the paragraph mark's for empty paragraphs
+function paragraphFont(pieces, pPr, styles) {
+  if (pieces.length === 0) {
+    const mark = styles.runProperties(pPr, childElement(pPr, 'w:rPr'));
+    return { name: mark.font || null, size: mark.size || null };
+  }
+  const uniform = key => pieces.every(piece => piece[key] === pieces[0][key]) ? pieces[0][key] || null : null;
+  return { name: uniform('font'), size: uniform('size') };
+}
+
+// Highlighted words merged into runs of one colour, like serializeHighlights in the add-in
+function highlightRuns(pieces) {
+  const colors = pieces.flatMap(piece => [...piece.text].map(() => piece.highlight || null));
+  const text = pieces.map(piece => piece.text).join('');
+  const runs = [];
+  let previous = null;
+  let offset = 0;
+
+  for (const word of text.split(' ')) {
+    const wordColors = colors.slice(offset, offset + word.length).filter((_, i) => word[i].trim());
+    offset += word.length + 1;
+    if (!word.trim()) continue;
+
+    const color = wordColors.every(c => c === wordColors[0]) ? wordColors[0] : null;
+    if (!color) {
+      previous = null;
+      continue;
+    }
+    if (previous && previous.color === color) {
+      previous.text += ' ' + word.trim();
+    } else {
+      previous = { text: word.trim(), color };
+      runs.push(previous);
+    }
+  }
+  return runs;
+}
+
+export function parseDocx(buffer) {
+  return readDocx(buffer).structure;
+}
+
+// The package, its parsed main document and styles, the documentStructure, and the elements
+// behind it: elements.paragraphs[paragraphIndex] and elements.cells[tableIndex][rowIndex][cellIndex]
+export function readDocx(buffer) {
+  let zip;
+  try {
+    zip = openZip(buffer);
+  } catch (error) {
+    throw invalidDocx(`Not a .docx file: ${error.message}`);
+  }
+
+  let parts;
+  let documentXml;
+  try {
+    parts = packageParts(zip);
+    documentXml = zip.read(parts.main);
+  } catch (error) {
+    throw invalidDocx(`Could not read the package: ${error.message}`);
+  }
+  if (!documentXml) throw invalidDocx('The package has no main document part');
+
+  let document;
+  let styles;
+  try {
+    document = parseXml(documentXml.toString('utf8'));
+    styles = new StyleSheet(
+      parts.styles && zip.read(parts.styles)?.toString('utf8'),
+      parts.theme && zip.read(parts.theme)?.toString('utf8')
+    );
+  } catch (error) {
+    throw invalidDocx(`Could not read the document: ${error.message}`);
+  }
+  const body = childElement(document, 'w:body');
+  if (!body) throw invalidDocx('The document has no body');
+
+  const paragraphs = [];
+  const tables = [];
+  const elements = { paragraphs: [], cells: [] };
+
+  const addParagraph = (element, tableNestingLevel) => {
+    const pPr = childElement(element, 'w:pPr');
+    const properties = styles.paragraphProperties(pPr);
+    const pieces = paragraphRuns(element, styles);
+    const text = pieces.map(piece => piece.text).join('');
+    const trimmed = text.trim();
+
+    elements.paragraphs.push(element);
+    paragraphs.push({
+      index: paragraphs.length,
+      text,
+      font: paragraphFont(pieces, pPr, styles),
+      style: styles.styleName(styles.paragraphStyleId(pPr)),
+      lineSpacing: properties.lineSpacing,
+      spaceAfter: properties.spaceAfter,
+      spaceBefore: properties.spaceBefore,
+      inTable: tableNestingLevel > 0,
+      highlights: tableNestingLevel === 0 && trimmed && trimmed.length <= MAX_HIGHLIGHT_PARAGRAPH ? highlightRuns(pieces) : []
+    });
+    return { text, alignment: properties.alignment };
+  };
+
+  // Returns the cell paragraphs' text and alignment; body paragraphs include those of every
+  // nested table, but only top-level tables are listed, as in the add-in
+  const addTable = (table, level) => {
+    const firstParagraph = paragraphs.length;
+    const cellParagraphs = [];
+    const cellElements = [];
+    const rows = unwrap(childElements(table)).filter(row => row.name === 'w:tr').map((row, rowIndex) => ({
+      index: rowIndex,
+      isHeader: isOn(elementPath(row, 'w:trPr', 'w:tblHeader')),
+      cells: unwrap(childElements(row)).filter(cell => cell.name === 'w:tc').map((cell, cellIndex) => {
+        if (!cellElements[rowIndex]) cellElements[rowIndex] = [];
+        cellElements[rowIndex].push(cell);
+        const content = addBlocks(childElements(cell), level);
+        cellParagraphs.push(...content);
+        const alignments = new Set(content.map(paragraph => paragraph.alignment));
+        const fill = attribute(elementPath(cell, 'w:tcPr', 'w:shd'), 'w:fill');
+        return {
+          index: cellIndex,
+          text: content.map(paragraph => paragraph.text).join('\n'),
+          horizontalAlignment: alignments.size === 1 ? [...alignments][0] : 'Mixed',
+          shadingColor: fill && fill !== 'auto' ? `#${fill.toUpperCase()}` : '#FFFFFF'
+        };
+      })
+    }));
+
+    if (level === 1) {
+      elements.cells.push(rows.map((row, rowIndex) => cellElements[rowIndex] || []));
+      const headerRowCount = rows.findIndex(row => !row.isHeader);
+      tables.push({
+        index: tables.length,
+        paragraphIndex: paragraphs.length > firstParagraph ? firstParagraph : null,
+        rowCount: rows.length,
+        headerRowCount: headerRowCount === -1 ? rows.length : headerRowCount,
+        alignment: alignmentName(attribute(elementPath(table, 'w:tblPr', 'w:jc'), 'w:val')),
+        rows
+      });
+    }
+    return cellParagraphs;
+  };
+
+  // level is the table nesting level of the blocks
+  const addBlocks = (elements, level) => unwrap(elements).flatMap(element => {
+    if (element.name === 'w:p') return [addParagraph(element, level)];
+    if (element.name === 'w:tbl') return addTable(element, level + 1);
+    return [];
+  });
+
+  addBlocks(childElements(body), 0);
+
+  const fullText = paragraphs.map(paragraph => paragraph.text).join('\n');
+  return {
+    zip,
+    parts,
+    document,
+    styles,
+    elements,
+    structure: {
+      fullText,
+      paragraphs,
+      tables,
+      documentLength: fullText.length
+    }
+  };
+}
+
+// The package of a document read with readDocx, with its main document part re-serialized
+export function writeDocx(docx) {
+  try {
+    return createZip(docx.zip.names.map(name => ({
+      name,
+      data: name === docx.parts.main ? serializeXml(docx.document) : docx.zip.read(name)
+    })));
+  } catch (error) {
+    if (error.code !== 'INVALID_ZIP') throw error;
+    throw invalidDocx(`Could not read the package: ${error.message}`);
+  }
+}
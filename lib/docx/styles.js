@@ -0,0 +1,168 @@
+// Effective formatting from styles.xml: document defaults, then the style's basedOn chain, then
+// direct formatting, which is the order Word applies them in. Table-style formatting is not applied.
+import { parseXml, childElements, childElement, path, attribute } from './xml.js';
+
+// The 16 highlight colours Word offers, as the hex values Office.js reports
+export const HIGHLIGHT_COLORS = {
+  yellow: '#FFFF00',
+  green: '#00FF00',
+  cyan: '#00FFFF',
+  magenta: '#FF00FF',
+  blue: '#0000FF',
+  red: '#FF0000',
+  darkBlue: '#000080',
+  darkCyan: '#008080',
+  darkGreen: '#008000',
+  darkMagenta: '#800080',
+  darkRed: '#800000',
+  darkYellow: '#808000',
+  darkGray: '#808080',
+  lightGray: '#C0C0C0',
+  black: '#000000',
+  white: '#FFFFFF'
+};
+
+// w:jc values as Office.js names paragraph and cell alignment
+const ALIGNMENTS = {
+  left: 'Left',
+  start: 'Left',
+  center: 'Centered',
+  right: 'Right',
+  end: 'Right',
+  both: 'Justified',
+  distribute: 'Justified'
+};
+
+export function alignmentName(value) {
+  return ALIGNMENTS[value] || 'Left';
+}
+
+// "true" unless switched off, e.g. <w:b/>, <w:tblHeader w:val="0"/>
+export function isOn(element) {
+  return Boolean(element) && !['0', 'false', 'off'].includes(attribute(element, 'w:val'));
+}
+
+function readTheme(themeXml) {
+  if (!themeXml) return {};
+  const fontScheme = path(parseXml(themeXml), 'a:themeElements', 'a:fontScheme');
+  return {
+    major: attribute(path(fontScheme, 'a:majorFont', 'a:latin'), 'typeface'),
+    minor: attribute(path(fontScheme, 'a:minorFont', 'a:latin'), 'typeface')
+  };
+}
+
+// Only the properties set on the element, so layers can be merged with spread
+function readRunProperties(rPr, theme) {
+  const properties = {};
+  if (!rPr) return properties;
+
+  const fonts = childElement(rPr, 'w:rFonts');
+  const themeFont = attribute(fonts, 'w:asciiTheme') || attribute(fonts, 'w:hAnsiTheme');
+  const font = themeFont ? theme[themeFont.startsWith('major') ? 'major' : 'minor'] : attribute(fonts, 'w:ascii') || attribute(fonts, 'w:hAnsi');
+  if (font) properties.font = font;
+
+  const size = attribute(childElement(rPr, 'w:sz'), 'w:val');
+  if (size) properties.size = Number(size) / 2; // half-points
+
+  const highlight = childElement(rPr, 'w:highlight');
+  if (highlight) properties.highlight = HIGHLIGHT_COLORS[attribute(highlight, 'w:val')] || null;
+
+  return properties;
+}
+
+function readParagraphProperties(pPr) {
+  const properties = {};
+  if (!pPr) return properties;
+
+  const spacing = childElement(pPr, 'w:spacing');
+  const before = attribute(spacing, 'w:before');
+  const after = attribute(spacing, 'w:after');
+  const line = attribute(spacing, 'w:line');
+  if (before !== null) properties.spaceBefore = Number(before) / 20; // twentieths of a point
+  if (after !== null) properties.spaceAfter = Number(after) / 20;
+  if (line !== null) {
+    // Multiples of a line for "auto" spacing, as profiles state them; points for exact and at-least spacing
+    const rule = attribute(spacing, 'w:lineRule') || 'auto';
+    properties.lineSpacing = rule === 'auto' ? Math.round((Number(line) / 240) * 100) / 100 : Number(line) / 20;
+  }
+
+  const justification = attribute(childElement(pPr, 'w:jc'), 'w:val');
+  if (justification) properties.alignment = alignmentName(justification);
+
+  return properties;
+}
+
+// Word names built-in styles in lower case ("heading 1") and shows them capitalised
+function displayName(name) {
+  return name ? name[0].toUpperCase() + name.slice(1) : null;
+}
+
+export class StyleSheet {
+  constructor(stylesXml, themeXml) {
+    this.theme = readTheme(themeXml);
+    this.styles = new Map();
+    this.resolved = new Map();
+    this.defaultParagraphStyle = null;
+
+    const styles = stylesXml ? parseXml(stylesXml) : null;
+    const defaults = childElement(styles, 'w:docDefaults');
+    // Word's own defaults when styles.xml says nothing: single spacing, no space after
+    this.defaults = {
+      run: readRunProperties(path(defaults, 'w:rPrDefault', 'w:rPr'), this.theme),
+      paragraph: { spaceBefore: 0, spaceAfter: 0, lineSpacing: 1, alignment: 'Left', ...readParagraphProperties(path(defaults, 'w:pPrDefault', 'w:pPr')) }
+    };
+
+    for (const style of childElements(styles, 'w:style')) {
+      const id = attribute(style, 'w:styleId');
+      const type = attribute(style, 'w:type');
+      this.styles.set(`${type}:${id}`, {
+        name: displayName(attribute(childElement(style, 'w:name'), 'w:val')) || id,
+        basedOn: attribute(childElement(style, 'w:basedOn'), 'w:val'),
+        run: readRunProperties(childElement(style, 'w:rPr'), this.theme),
+        paragraph: readParagraphProperties(childElement(style, 'w:pPr'))
+      });
+      if (type === 'paragraph' && ['1', 'true', 'on'].includes(attribute(style, 'w:default'))) {
+        this.defaultParagraphStyle = id;
+      }
+    }
+  }
+
+  // A style's own properties merged over its basedOn chain
+  resolve(type, id, seen = new Set()) {
+    const key = `${type}:${id}`;
+    if (this.resolved.has(key)) return this.resolved.get(key);
+
+    const style = this.styles.get(key);
+    if (!style || seen.has(key)) return { run: {}, paragraph: {} };
+    seen.add(key);
+
+    const base = style.basedOn ? this.resolve(type, style.basedOn, seen) : { run: {}, paragraph: {} };
+    const resolved = {
+      run: { ...base.run, ...style.run },
+      paragraph: { ...base.paragraph, ...style.paragraph }
+    };
+    this.resolved.set(key, resolved);
+    return resolved;
+  }
+
+  paragraphStyleId(pPr) {
+    return attribute(childElement(pPr, 'w:pStyle'), 'w:val') || this.defaultParagraphStyle;
+  }
+
+  styleName(id) {
+    return this.styles.get(`paragraph:${id}`)?.name || id || 'Normal';
+  }
+
+  paragraphProperties(pPr) {
+    const style = this.resolve('paragraph', this.paragraphStyleId(pPr));
+    return { ...this.defaults.paragraph, ...style.paragraph, ...readParagraphProperties(pPr) };
+  }
+
+  // rPr is a run's own properties, or a paragraph's pPr/rPr for the paragraph mark
+  runProperties(pPr, rPr) {
+    const paragraphStyle = this.resolve('paragraph', this.paragraphStyleId(pPr));
+    const characterStyleId = attribute(childElement(rPr, 'w:rStyle'), 'w:val');
+    const characterStyle = characterStyleId ? this.resolve('character', characterStyleId) : { run: {} };
+    return { ...this.defaults.run, ...paragraphStyle.run, ...characterStyle.run, ...readRunProperties(rPr, this.theme) };
+  }
+}
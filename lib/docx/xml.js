@@ -0,0 +1,145 @@
+// Minimal XML parser and serializer for the parts of a .docx package: elements, attributes and
+// text. Names keep their prefixes ("w:p"); DOCTYPEs are skipped and entities beyond the
+// predefined and numeric ones are left as written, so nothing is ever fetched or expanded.
+// Comments and processing instructions are dropped on the way through.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity] ?? match;
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+function xmlError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_XML';
+  return error;
+}
+
+// Returns the root element: { name, attributes, children }, children being elements and strings
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf('<', position);
+    const parent = stack[stack.length - 1];
+
+    if (open === -1 || open > position) {
+      const content = text.slice(position, open === -1 ? text.length : open);
+      if (stack.length > 1) parent.children.push(decode(content));
+      if (open === -1) break;
+    }
+
+    if (text.startsWith('<!--', open)) {
+      const close = text.indexOf('-->', open + 4);
+      if (close === -1) throw xmlError('Unterminated comment');
+      position = close + 3;
+    } else if (text.startsWith('<![CDATA[', open)) {
+      const close = text.indexOf(']]>', open + 9);
+      if (close === -1) throw xmlError('Unterminated CDATA section');
+      parent.children.push(text.slice(open + 9, close));
+      position = close + 3;
+    } else if (text[open + 1] === '?' || text[open + 1] === '!') {
+      const close = text.indexOf('>', open);
+      if (close === -1) throw xmlError('Unterminated declaration');
+      position = close + 1;
+    } else if (text[open + 1] === '/') {
+      const close = text.indexOf('>', open);
+      const name = text.slice(open + 2, close).trim();
+      if (close === -1 || stack.length === 1 || parent.name !== name) throw xmlError(`Unexpected </${name}>`);
+      stack.pop();
+      position = close + 1;
+    } else {
+      const close = findTagEnd(text, open);
+      if (close === -1) throw xmlError('Unterminated tag');
+      const selfClosing = text[close - 1] === '/';
+      const source = text.slice(open + 1, selfClosing ? close - 1 : close);
+      const name = source.match(/^[^\s/>]+/)?.[0];
+      if (!name) throw xmlError('Element without a name');
+
+      const attributes = {};
+      for (const [, key, , doubleQuoted, singleQuoted] of source.slice(name.length).matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decode(doubleQuoted ?? singleQuoted);
+      }
+
+      const element = { name, attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+      position = close + 1;
+    }
+  }
+
+  if (stack.length > 1) throw xmlError(`Unclosed <${stack[stack.length - 1].name}>`);
+  const element = root.children.find(node => typeof node !== 'string');
+  if (!element) throw xmlError('No root element');
+  return element;
+}
+
+// Attribute values may contain ">", so the end of a tag is the first ">" outside quotes
+function findTagEnd(text, open) {
+  let quote = null;
+  for (let i = open + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function serializeElement(element) {
+  const attributes = Object.entries(element.attributes)
+    .map(([key, value]) => ` ${key}="${escapeText(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+  if (element.children.length === 0) return `<${element.name}${attributes}/>`;
+
+  const children = element.children.map(child => (typeof child === 'string' ? escapeText(child) : serializeElement(child))).join('');
+  return `<${element.name}${attributes}>${children}</${element.name}>`;
+}
+
+// The root element back to a standalone XML part
+export function serializeXml(element) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n${serializeElement(element)}`;
+}
+
+export function createElement(name, attributes = {}, children = []) {
+  return { name, attributes, children };
+}
+
+export function cloneElement(element) {
+  return {
+    name: element.name,
+    attributes: { ...element.attributes },
+    children: element.children.map(child => (typeof child === 'string' ? child : cloneElement(child)))
+  };
+}
+
+export function childElements(element, name) {
+  return (element?.children || []).filter(node => typeof node !== 'string' && (!name || node.name === name));
+}
+
+export function childElement(element, name) {
+  return (element?.children || []).find(node => typeof node !== 'string' && node.name === name) || null;
+}
+
+// Follows a path of child names, e.g. path(paragraph, 'w:pPr', 'w:pStyle')
+export function path(element, ...names) {
+  return names.reduce((current, name) => childElement(current, name), element);
+}
+
+export function attribute(element, name) {
+  return element?.attributes[name] ?? null;
+}
@@ -0,0 +1,45 @@
+// Shared helpers for the report exports
+import { issueRule } from '../waivers.js';
+
+export const SEVERITY_ORDER = ['Critical', 'Warning', 'Suggestion'];
+
+export function describeLocation(location) {
+  if (!location) return '';
+  if (location.type === 'table') {
+    const row = location.rowIndex !== undefined ? `, row ${location.rowIndex + 1}` : '';
+    const cell = location.cellIndex !== undefined ? `, cell ${location.cellIndex + 1}` : '';
+    return `Table ${location.tableIndex + 1}${row}${cell}`;
+  }
+  return Number.isInteger(location.paragraphIndex) ? `Paragraph ${location.paragraphIndex + 1}` : '';
+}
+
+// Stable id for a finding's rule: the rules engine's id, or one derived from an LLM finding's title
+export function ruleId(issue) {
+  if (issue.rule) return String(issue.rule);
+  return `llm.${String(issueRule(issue) || 'issue').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+}
+
+export function fixValue(fix) {
+  if (!fix) return '';
+  return String(fix.newText ?? fix.newValue ?? '');
+}
+
+// [{ category, count, severities: [{ severity, issues }] }], categories A-Z, severities most serious first
+export function groupIssues(issues) {
+  const categories = new Map();
+  for (const issue of issues) {
+    const category = issue.category || 'Other';
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(issue);
+  }
+
+  return [...categories.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([category, categoryIssues]) => {
+      const severities = [...SEVERITY_ORDER, ...new Set(categoryIssues.map(issue => issue.severity))]
+        .filter((severity, index, all) => all.indexOf(severity) === index)
+        .map(severity => ({ severity, issues: categoryIssues.filter(issue => issue.severity === severity) }))
+        .filter(group => group.issues.length > 0);
+      return { category, count: categoryIssues.length, severities };
+    });
+}
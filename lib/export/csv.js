@@ -0,0 +1,48 @@
+// One row per finding, open and waived, for spreadsheets and ad-hoc tooling
+import { describeLocation, fixValue, ruleId } from './common.js';
+
+const COLUMNS = [
+  ['status', issue => (issue.waiver ? 'waived' : 'open')],
+  ['id', issue => issue.id],
+  ['severity', issue => issue.severity],
+  ['category', issue => issue.category],
+  ['title', issue => issue.title],
+  ['description', issue => issue.description],
+  ['location', issue => describeLocation(issue.location)],
+  ['paragraph', issue => (Number.isInteger(issue.location?.paragraphIndex) ? issue.location.paragraphIndex + 1 : '')],
+  ['text', issue => issue.location?.searchableText],
+  ['expected', issue => issue.expected],
+  ['rule', issue => ruleId(issue)],
+  ['profile', issue => issue.profile],
+  ['profileRule', issue => issue.profileRule],
+  ['source', issue => issue.source || 'llm'],
+  ['autoFixable', issue => (issue.autoFixable ? 'yes' : 'no')],
+  ['fixAction', issue => issue.fix?.action],
+  ['fixValue', issue => fixValue(issue.fix)],
+  ['waiverScope', issue => issue.waiver?.scope],
+  ['waiverJustification', issue => issue.waiver?.justification],
+  ['waiverAuthor', issue => issue.waiver?.author],
+  ['waivedAt', issue => issue.waiver?.createdAt]
+];
+
+function cell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(report) {
+  const rows = [...report.issues, ...report.waived].map(issue => COLUMNS.map(([, value]) => cell(value(issue))).join(','));
+  // The byte order mark makes Excel read the file as UTF-8
+  return '\ufeff' + [COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// One row per file of a batch (lib/batch.js portfolioSummary), worst first
+export function toPortfolioCsv(portfolio) {
+  const columns = ['file', 'status', 'totalIssues', 'critical', 'warnings', 'suggestions', 'waived', 'error'];
+  const rows = portfolio.ranking.map(file => [
+    file.name, file.status, file.totalIssues, file.critical, file.warnings, file.suggestions, file.waived, file.error?.message
+  ].map(cell).join(','));
+  return '\ufeff' + [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,127 @@
+// Sign-off report as a Word document, so it can be filed and signed alongside the report it covers
+import { createZip } from '../zip.js';
+import { signoffBlocks } from './signoff.js';
+
+function escapeXml(text) {
+  return String(text)
+    // Characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function run(text, { bold = false } = {}) {
+  const properties = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+  // Line breaks inside a cell value become <w:br/>
+  const parts = String(text).split(/\r?\n/).map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`);
+  return `<w:r>${properties}${parts.join('<w:br/>')}</w:r>`;
+}
+
+function paragraph(text, { style = null, bold = false } = {}) {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  return `<w:p>${properties}${text ? run(text, { bold }) : ''}</w:p>`;
+}
+
+function tableCell(text, { header = false, width }) {
+  const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="EDF2F7"/>' : '';
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="pct"/>${shading}</w:tcPr>${paragraph(text, { bold: header })}</w:tc>`;
+}
+
+// Widths are fiftieths of a percent, as w:type="pct" expects
+function table(block) {
+  const columns = block.keyValue ? 2 : block.header.length;
+  const widths = block.keyValue ? [1500, 3500] : Array(columns).fill(Math.floor(5000 / columns));
+  const rows = [];
+
+  if (!block.keyValue) {
+    rows.push(`<w:tr><w:trPr><w:tblHeader/></w:trPr>${block.header.map((cell, i) => tableCell(cell, { header: true, width: widths[i] })).join('')}</w:tr>`);
+  }
+  for (const row of block.rows) {
+    rows.push(`<w:tr>${row.map((cell, i) => tableCell(cell, { header: block.keyValue && i === 0, width: widths[i] })).join('')}</w:tr>`);
+  }
+
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="CBD5E0"/>`;
+  return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/>' +
+    `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+    '</w:tblPr>' +
+    `<w:tblGrid>${widths.map(() => '<w:gridCol/>').join('')}</w:tblGrid>` +
+    rows.join('') +
+    // Word needs a paragraph between two tables, or it merges them
+    '</w:tbl>' + paragraph('');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'title':
+      return paragraph(block.text, { style: 'Title' });
+    case 'heading':
+      return paragraph(block.text, { style: `Heading${block.level}` });
+    case 'table':
+      return table(block);
+    default:
+      return paragraph(block.text);
+  }
+}
+
+const NAMESPACE = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACE}>
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="20"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="80"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:color w:val="4A5568"/><w:sz w:val="22"/></w:rPr></w:style>
+</w:styles>`;
+
+function coreProperties(report) {
+  const created = report.generatedAt.replace(/\.\d+Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(`Compliance Sign-off Report – ${report.document.name || 'Untitled document'}`)}</dc:title>
+<dc:creator>Sahayak</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>`;
+}
+
+export function toDocx(report) {
+  const body = signoffBlocks(report).map(renderBlock).join('');
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACE}><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: STYLES },
+    { name: 'docProps/core.xml', data: coreProperties(report) }
+  ], new Date(report.generatedAt));
+}
@@ -0,0 +1,57 @@
+// Sign-off report as a self-contained HTML page, printable to PDF from any browser
+import { signoffBlocks } from './signoff.js';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STYLE = `
+  body { font-family: Arial, sans-serif; color: #222; max-width: 960px; margin: 40px auto; padding: 0 20px; }
+  h1.title { font-size: 1.8rem; border-bottom: 3px solid #667eea; padding-bottom: 8px; }
+  h2 { margin-top: 32px; color: #333; }
+  h3 { margin-top: 20px; color: #4a5568; }
+  h4 { margin: 14px 0 6px; color: #718096; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 0.9rem; }
+  th, td { border: 1px solid #cbd5e0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #edf2f7; }
+  table.key-value th { width: 30%; }
+  table.key-value td:empty { height: 28px; }
+`;
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'title':
+      return `<h1 class="title">${escapeHtml(block.text)}</h1>`;
+    case 'heading':
+      return `<h${block.level + 1}>${escapeHtml(block.text)}</h${block.level + 1}>`;
+    case 'table':
+      if (block.keyValue) {
+        const rows = block.rows.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`);
+        return `<table class="key-value">${rows.join('')}</table>`;
+      }
+      return `<table><thead><tr>${block.header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    default:
+      return `<p>${escapeHtml(block.text)}</p>`;
+  }
+}
+
+export function toHtml(report) {
+  const title = `Compliance Sign-off Report – ${report.document.name || 'Untitled document'}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${signoffBlocks(report).map(renderBlock).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,80 @@
+// Compliance report exports for POST /api/v1/export: an analysis result rendered as JSON or CSV
+// for tooling, SARIF for document pipelines, or a sign-off report (HTML or DOCX) for audit evidence
+import { buildSummary } from '../rules/index.js';
+import { toCsv } from './csv.js';
+import { toSarif } from './sarif.js';
+import { toHtml } from './html.js';
+import { toDocx } from './docx.js';
+
+export const REPORT_SCHEMA = 'sahayak-report/1';
+
+export const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    render: report => JSON.stringify(report, null, 2)
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    render: toCsv
+  },
+  sarif: {
+    contentType: 'application/sarif+json; charset=utf-8',
+    extension: 'sarif',
+    render: report => JSON.stringify(toSarif(report), null, 2)
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    render: toHtml
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: toDocx
+  }
+};
+
+// The normalised report every format renders; `result` is the `data` of an analyze response
+export function buildReport(result, { documentName = null, reviewer = null, auth = null } = {}) {
+  const issues = result.issues || [];
+  const waived = result.waived || [];
+  const meta = result.meta || {};
+
+  return {
+    schema: REPORT_SCHEMA,
+    generatedAt: new Date().toISOString(),
+    generatedBy: auth ? { tenantId: auth.tenantId, subject: auth.subject } : null,
+    document: { name: documentName },
+    analysis: {
+      engine: meta.engine || 'llm',
+      provider: meta.provider || null,
+      model: meta.model || null,
+      profile: meta.profile || null,
+      analysedAt: meta.timestamp || null,
+      processingVersion: meta.processingVersion || null
+    },
+    // Recounted, so issues the client has since waived are not counted twice
+    summary: {
+      ...buildSummary(issues, { fullText: '' }),
+      documentLength: result.summary?.documentLength || 0,
+      waived: waived.length
+    },
+    issues,
+    waived,
+    validationStats: result.validationStats || null,
+    reviewer
+  };
+}
+
+// Returns { body, contentType, filename }
+export function renderReport(format, report) {
+  const { contentType, extension, render } = EXPORT_FORMATS[format];
+  const base = (report.document.name || 'document').replace(/\.docx?$/i, '').replace(/[^\w.-]+/g, '-').slice(0, 80);
+  return {
+    body: render(report),
+    contentType,
+    filename: `${base}-compliance-${report.generatedAt.slice(0, 10)}.${extension}`
+  };
+}
@@ -0,0 +1,116 @@
+// SARIF 2.1.0 log for document-pipeline tooling. Paragraphs stand in for lines: a finding in
+// paragraph 12 has region.startLine 12. Waived findings carry an accepted external suppression.
+import crypto from 'crypto';
+import { describeLocation, ruleId } from './common.js';
+
+const LEVELS = { Critical: 'error', Warning: 'warning', Suggestion: 'note' };
+
+function sarifLocation(location, uri, label) {
+  if (!location) return null;
+
+  const result = {
+    physicalLocation: {
+      artifactLocation: { uri, index: 0 },
+      ...(Number.isInteger(location.paragraphIndex) ? {
+        region: {
+          startLine: location.paragraphIndex + 1,
+          ...(location.searchableText ? { snippet: { text: location.searchableText } } : {})
+        }
+      } : {})
+    }
+  };
+  if (location.type === 'table') {
+    result.logicalLocations = [{
+      name: describeLocation(location),
+      fullyQualifiedName: `tables[${location.tableIndex}].rows[${location.rowIndex ?? 0}].cells[${location.cellIndex ?? 0}]`,
+      kind: 'element'
+    }];
+  }
+  if (label) {
+    result.message = { text: label };
+  }
+  return result;
+}
+
+export function toSarif(report) {
+  const uri = encodeURI(report.document.name || 'document.docx');
+  const rules = new Map();
+
+  const results = [...report.issues, ...report.waived].map(issue => {
+    const id = ruleId(issue);
+    if (!rules.has(id)) {
+      rules.set(id, {
+        id,
+        name: issue.title,
+        shortDescription: { text: issue.title },
+        ...(issue.expected ? { fullDescription: { text: issue.expected } } : {}),
+        defaultConfiguration: { level: LEVELS[issue.severity] || 'warning' },
+        properties: { category: issue.category, ...(issue.profileRule ? { profileRule: issue.profileRule } : {}) }
+      });
+    }
+
+    const location = sarifLocation(issue.location, uri);
+    return {
+      ruleId: id,
+      ruleIndex: [...rules.keys()].indexOf(id),
+      level: LEVELS[issue.severity] || 'warning',
+      message: { text: issue.description || issue.title },
+      locations: location ? [location] : [],
+      ...(issue.relatedLocations?.length ? {
+        relatedLocations: issue.relatedLocations
+          .map((related, index) => ({ id: index + 1, ...sarifLocation(related, uri, related.label || describeLocation(related)) }))
+      } : {}),
+      // Stable across re-scans as long as the rule and the quoted text stay the same
+      partialFingerprints: {
+        'sahayakFinding/v1': crypto.createHash('sha256')
+          .update(`${id}|${issue.location?.searchableText || ''}|${describeLocation(issue.location)}`)
+          .digest('hex').slice(0, 32)
+      },
+      ...(issue.waiver ? {
+        suppressions: [{
+          kind: 'external',
+          status: 'accepted',
+          justification: issue.waiver.justification,
+          properties: { scope: issue.waiver.scope, author: issue.waiver.author, createdAt: issue.waiver.createdAt }
+        }]
+      } : {}),
+      properties: {
+        issueId: issue.id,
+        category: issue.category,
+        severity: issue.severity,
+        source: issue.source || 'llm',
+        ...(issue.profile ? { profile: issue.profile } : {}),
+        autoFixable: Boolean(issue.autoFixable),
+        ...(issue.fix ? { fix: issue.fix } : {})
+      }
+    };
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Sahayak',
+          informationUri: 'https://github.com/ashutoshnagar/sahayak-word-addin',
+          ...(report.analysis.processingVersion ? { version: report.analysis.processingVersion } : {}),
+          rules: [...rules.values()]
+        }
+      },
+      invocations: [{
+        executionSuccessful: true,
+        ...(report.analysis.analysedAt ? { endTimeUtc: report.analysis.analysedAt } : {})
+      }],
+      artifacts: [{ location: { uri } }],
+      results,
+      properties: {
+        engine: report.analysis.engine,
+        provider: report.analysis.provider,
+        model: report.analysis.model,
+        profile: report.analysis.profile,
+        summary: report.summary
+      }
+    }]
+  };
+}
@@ -0,0 +1,119 @@
+// Content of the sign-off report as format-neutral blocks, rendered by html.js and docx.js:
+//   { type: 'title' | 'heading' | 'paragraph', text, level? }
+//   { type: 'table', header: [..], rows: [[..]], keyValue? }
+import { describeLocation, groupIssues } from './common.js';
+
+const SCOPES = { occurrence: 'This occurrence', document: 'This document', global: 'Everywhere' };
+
+function formatDate(iso) {
+  return iso ? iso.replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : '—';
+}
+
+// { rejected: { textNotFound: 2 } } -> [['rejected.textNotFound', '2']]
+function flattenStats(stats, prefix = '') {
+  return Object.entries(stats || {}).flatMap(([key, value]) => (
+    value && typeof value === 'object'
+      ? flattenStats(value, `${prefix}${key}.`)
+      : [[`${prefix}${key}`, String(value)]]
+  ));
+}
+
+export function signoffBlocks(report) {
+  const { analysis, summary } = report;
+  const blocks = [
+    { type: 'title', text: 'Compliance Sign-off Report' },
+    { type: 'paragraph', text: `Document: ${report.document.name || 'Untitled document'}` },
+
+    { type: 'heading', level: 1, text: 'Audit evidence' },
+    {
+      type: 'table',
+      keyValue: true,
+      rows: [
+        ['Report generated', formatDate(report.generatedAt)],
+        ['Generated for', report.generatedBy ? `${report.generatedBy.subject} (${report.generatedBy.tenantId})` : '—'],
+        ['Analysis engine', analysis.engine || '—'],
+        ['Provider', analysis.provider || '—'],
+        ['Model', analysis.model || 'None (rules only)'],
+        ['Style profile', analysis.profile || '—'],
+        ['Analysed at', formatDate(analysis.analysedAt)],
+        ['Processing version', analysis.processingVersion || '—']
+      ]
+    },
+
+    { type: 'heading', level: 1, text: 'Summary' },
+    {
+      type: 'table',
+      keyValue: true,
+      rows: [
+        ['Critical', String(summary.critical)],
+        ['Warnings', String(summary.warnings)],
+        ['Suggestions', String(summary.suggestions)],
+        ['Open issues', String(summary.totalIssues)],
+        ['Waived', String(summary.waived)]
+      ]
+    },
+
+    { type: 'heading', level: 1, text: 'Issues by category' }
+  ];
+
+  const groups = groupIssues(report.issues);
+  if (groups.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No open issues.' });
+  }
+  for (const group of groups) {
+    blocks.push({ type: 'heading', level: 2, text: `${group.category} (${group.count})` });
+    for (const { severity, issues } of group.severities) {
+      blocks.push({ type: 'heading', level: 3, text: `${severity} (${issues.length})` });
+      blocks.push({
+        type: 'table',
+        header: ['#', 'Location', 'Issue', 'Details', 'Expected'],
+        rows: issues.map((issue, index) => [
+          String(index + 1),
+          describeLocation(issue.location),
+          issue.location?.searchableText ? `${issue.title}: "${issue.location.searchableText}"` : issue.title,
+          issue.description || '',
+          issue.expected || ''
+        ])
+      });
+    }
+  }
+
+  blocks.push({ type: 'heading', level: 1, text: 'Waivers' });
+  if (report.waived.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No findings were waived.' });
+  } else {
+    blocks.push({
+      type: 'table',
+      header: ['Issue', 'Location', 'Scope', 'Justification', 'Author', 'Date'],
+      rows: report.waived.map(issue => [
+        issue.location?.searchableText ? `${issue.title}: "${issue.location.searchableText}"` : issue.title,
+        describeLocation(issue.location),
+        SCOPES[issue.waiver.scope] || issue.waiver.scope || '',
+        issue.waiver.justification || '',
+        issue.waiver.author || '',
+        formatDate(issue.waiver.createdAt)
+      ])
+    });
+  }
+
+  const stats = flattenStats(report.validationStats);
+  if (stats.length > 0) {
+    blocks.push({ type: 'heading', level: 1, text: 'Model output validation' });
+    blocks.push({ type: 'table', keyValue: true, rows: stats });
+  }
+
+  blocks.push(
+    { type: 'heading', level: 1, text: 'Sign-off' },
+    {
+      type: 'table',
+      keyValue: true,
+      rows: [
+        ['Reviewed by', report.reviewer || ''],
+        ['Signature', ''],
+        ['Date', '']
+      ]
+    }
+  );
+
+  return blocks;
+}
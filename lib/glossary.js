@@ -0,0 +1,34 @@
+// Organisation glossaries: acronyms and their full forms that each tenant maintains alongside
+// the profile's built-in list. Analyses merge the tenant's glossary into the profile, so the
+// rules and the Claude prompt both see it.
+import { getTenantDataStore } from './tenantDataStore.js';
+
+export const MAX_GLOSSARY_ENTRIES = 1000;
+
+export async function getGlossary(tenantId) {
+  return (await getTenantDataStore().get('glossary', tenantId)) || { entries: [], updatedAt: null, updatedBy: null };
+}
+
+// Replaces the tenant's glossary; a repeated acronym keeps its last entry
+export async function saveGlossary(tenantId, entries, updatedBy) {
+  const byAcronym = new Map(entries.map(({ acronym, fullForm, known = false }) => [
+    acronym.trim(),
+    { acronym: acronym.trim(), fullForm: fullForm ? fullForm.trim() : null, known: Boolean(known) }
+  ]));
+
+  return getTenantDataStore().put('glossary', tenantId, {
+    entries: [...byAcronym.values()].sort((a, b) => a.acronym.localeCompare(b.acronym)),
+    updatedAt: new Date().toISOString(),
+    updatedBy: updatedBy || null
+  });
+}
+
+// The profile with the tenant's entries after its own, so an organisation's full form wins
+export function withGlossary(profile, glossary) {
+  if (!glossary || glossary.entries.length === 0) return profile;
+
+  return Object.freeze({
+    ...profile,
+    acronyms: { ...profile.acronyms, glossary: [...profile.acronyms.glossary, ...glossary.entries] }
+  });
+}
@@ -0,0 +1,166 @@
+// Diff-aware re-analysis: lines a scan's paragraphs up with the previous scan's, so findings for
+// unchanged paragraphs are carried over and only changed paragraphs go back to the model
+
+// Largest LCS table built for a reordered middle section; beyond it the section is re-analysed whole
+const MAX_DIFF_CELLS = 2500000;
+
+// Returns { matched, edited }: Maps from new index to old index for identical items and for
+// items changed in place (same position between two matched neighbours)
+export function alignHashes(oldHashes, newHashes) {
+  const matched = new Map();
+  const edited = new Map();
+
+  let start = 0;
+  while (start < oldHashes.length && start < newHashes.length && oldHashes[start] === newHashes[start]) {
+    matched.set(start, start);
+    start++;
+  }
+
+  let oldEnd = oldHashes.length;
+  let newEnd = newHashes.length;
+  while (oldEnd > start && newEnd > start && oldHashes[oldEnd - 1] === newHashes[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+    matched.set(newEnd, oldEnd);
+  }
+
+  const oldLength = oldEnd - start;
+  const newLength = newEnd - start;
+
+  // Fixes and in-place edits keep the paragraph count, so a positional comparison is enough
+  if (oldLength === newLength) {
+    for (let i = 0; i < newLength; i++) {
+      const target = oldHashes[start + i] === newHashes[start + i] ? matched : edited;
+      target.set(start + i, start + i);
+    }
+    return { matched, edited };
+  }
+
+  if (oldLength * newLength > MAX_DIFF_CELLS) {
+    return { matched, edited };
+  }
+
+  const pairs = longestCommonSubsequence(oldHashes.slice(start, oldEnd), newHashes.slice(start, newEnd));
+  let previous = [-1, -1];
+  for (const pair of [...pairs, [oldLength, newLength]]) {
+    // Gaps of equal size between two matches are paragraphs edited in place
+    const oldGap = pair[0] - previous[0] - 1;
+    const newGap = pair[1] - previous[1] - 1;
+    if (oldGap === newGap) {
+      for (let i = 1; i <= newGap; i++) {
+        edited.set(start + previous[1] + i, start + previous[0] + i);
+      }
+    }
+    if (pair[0] < oldLength) {
+      matched.set(start + pair[1], start + pair[0]);
+    }
+    previous = pair;
+  }
+
+  return { matched, edited };
+}
+
+// [oldIndex, newIndex] pairs of a longest common subsequence, in order
+function longestCommonSubsequence(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function invert(map) {
+  return new Map([...map].map(([newIndex, oldIndex]) => [oldIndex, newIndex]));
+}
+
+function remapLocation(location, paragraphs, tables) {
+  if (!location) return location;
+
+  const paragraphIndex = paragraphs.get(location.paragraphIndex);
+  if (paragraphIndex === undefined) return null;
+
+  if (location.tableIndex !== undefined) {
+    const tableIndex = tables.get(location.tableIndex);
+    return tableIndex === undefined ? null : { ...location, paragraphIndex, tableIndex };
+  }
+  return { ...location, paragraphIndex };
+}
+
+// Works out which findings of the previous scan (`base`) still hold for the current document.
+// A paragraph edited in place is re-analysed, unless the edit was a fix the client applied
+// (`fixedIssueIds`): then its remaining findings are carried over and re-anchored instead.
+// Returns the carried issues (indexes remapped) and the runs of paragraphs that need the model.
+export function carryOverIssues(base, { paragraphHashes, tableHashes }, documentStructure, fixedIssueIds = []) {
+  const fixed = new Set(fixedIssueIds);
+  const fixedIssues = base.issues.filter(issue => fixed.has(issue.id));
+  const fixedParagraphs = new Set(fixedIssues.map(issue => issue.location?.paragraphIndex));
+  const fixedTables = new Set(fixedIssues.map(issue => issue.location?.tableIndex).filter(index => index !== undefined));
+
+  const reuse = (alignment, wasFixed) => {
+    const reused = new Map(alignment.matched);
+    for (const [newIndex, oldIndex] of alignment.edited) {
+      if (wasFixed.has(oldIndex)) reused.set(newIndex, oldIndex);
+    }
+    return reused;
+  };
+
+  const paragraphs = reuse(alignHashes(base.paragraphHashes, paragraphHashes), fixedParagraphs);
+  const tables = reuse(alignHashes(base.tableHashes, tableHashes), fixedTables);
+
+  // A table edited outside a fix (e.g. new shading) is re-analysed with the paragraph it starts at
+  const changed = new Set(paragraphHashes.map((_, index) => index).filter(index => !paragraphs.has(index)));
+  (documentStructure.tables || []).forEach((table, index) => {
+    if (!tables.has(index) && Number.isInteger(table.paragraphIndex)) changed.add(table.paragraphIndex);
+  });
+
+  const oldParagraphs = invert(new Map([...paragraphs].filter(([newIndex]) => !changed.has(newIndex))));
+  const oldTables = invert(tables);
+
+  const carried = [];
+  for (const issue of base.issues) {
+    if (fixed.has(issue.id)) continue;
+
+    const location = remapLocation(issue.location, oldParagraphs, oldTables);
+    if (!location) continue;
+
+    const relatedLocations = (issue.relatedLocations || [])
+      .map(related => remapLocation(related, oldParagraphs, oldTables))
+      .filter(Boolean);
+    carried.push({ ...issue, location, ...(issue.relatedLocations ? { relatedLocations } : {}) });
+  }
+
+  return { carried, changedRuns: toRuns([...changed]), reusedParagraphs: oldParagraphs.size };
+}
+
+// [first, last] runs of consecutive indexes
+function toRuns(indexes) {
+  const runs = [];
+  for (const index of indexes.sort((a, b) => a - b)) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === index - 1) {
+      last[1] = index;
+    } else {
+      runs.push([index, index]);
+    }
+  }
+  return runs;
+}
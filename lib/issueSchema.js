@@ -0,0 +1,180 @@
+// JSON schema for the issue format shared by the rules engine, the LLM and the add-in
+
+export const SEVERITIES = ['Critical', 'Warning', 'Suggestion'];
+export const CATEGORIES = ['Font', 'Format', 'Number', 'Date', 'Color', 'Table', 'Content'];
+
+// Fix actions the add-in knows how to apply, with the fields each one needs
+export const FIX_ACTIONS = {
+  changeFontFamily: ['newValue'],
+  changeFontSize: ['newValue'],
+  changeLineSpacing: ['newValue'],
+  changeSpacing: ['newValue'],
+  alignTableCell: ['newValue'],
+  setShading: ['newValue'],
+  setHighlight: ['newValue'],
+  replaceText: ['newText']
+};
+
+const INDEX = { type: 'integer', minimum: 0 };
+
+export const ISSUE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Sahayak issue',
+  type: 'object',
+  required: ['category', 'title', 'description', 'severity', 'location'],
+  properties: {
+    id: { type: 'string' },
+    category: { enum: CATEGORIES },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    severity: { enum: SEVERITIES },
+    location: {
+      type: 'object',
+      required: ['searchableText'],
+      properties: {
+        type: { enum: ['paragraph', 'table'] },
+        paragraphIndex: { type: ['integer', 'null'], minimum: 0 },
+        searchableText: { type: 'string', minLength: 1, maxLength: 255 },
+        context: { type: 'string' },
+        tableIndex: INDEX,
+        rowIndex: INDEX,
+        cellIndex: INDEX
+      }
+    },
+    expected: { type: ['string', 'null'] },
+    profileRule: { type: ['string', 'null'] },
+    autoFixable: { type: 'boolean' },
+    fix: {
+      type: ['object', 'null'],
+      required: ['action'],
+      properties: {
+        action: { enum: Object.keys(FIX_ACTIONS) },
+        newValue: { type: ['string', 'number'] },
+        originalText: { type: 'string' },
+        newText: { type: 'string' }
+      }
+    }
+  }
+};
+
+// Returns [{ path, message }] for every violation; an empty list means the issue is valid
+export function validateIssue(issue) {
+  const errors = validateValue(issue, ISSUE_SCHEMA, '');
+
+  const fix = issue?.fix;
+  if (errors.length === 0 && fix) {
+    // replaceText fixes have historically used newValue as well as newText
+    const fields = fix.action === 'replaceText' && fix.newValue !== undefined ? ['newValue'] : FIX_ACTIONS[fix.action];
+    for (const field of fields) {
+      if (fix[field] === undefined || fix[field] === '') {
+        errors.push({ path: `fix.${field}`, message: `is required for ${fix.action}` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Supports the subset of JSON schema used above
+function validateValue(value, schema, path) {
+  const at = path || 'issue';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (value === null || value === undefined) return [];
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      errors.push(...validateValue(value[key], propertySchema, path ? `${path}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+function canonical(value, allowed) {
+  if (typeof value !== 'string') return value;
+  return allowed.find(option => option.toLowerCase() === value.trim().toLowerCase()) || value;
+}
+
+function toIndex(value) {
+  return typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+}
+
+// Deterministic clean-up of near misses ("warning", "3", missing autoFixable) before validation
+export function normaliseIssue(issue) {
+  if (!issue || typeof issue !== 'object') return issue;
+
+  const location = issue.location && typeof issue.location === 'object' ? { ...issue.location } : issue.location;
+  if (location) {
+    for (const key of ['paragraphIndex', 'tableIndex', 'rowIndex', 'cellIndex']) {
+      if (location[key] !== undefined) location[key] = toIndex(location[key]);
+    }
+    if (location.tableIndex === null) delete location.tableIndex;
+    if (typeof location.searchableText === 'string') {
+      location.searchableText = location.searchableText.trim().slice(0, 255);
+    }
+  }
+
+  const fix = issue.fix && typeof issue.fix === 'object'
+    ? { ...issue.fix, action: canonical(issue.fix.action, Object.keys(FIX_ACTIONS)) }
+    : issue.fix ?? null;
+
+  return {
+    ...issue,
+    category: canonical(issue.category, CATEGORIES),
+    severity: canonical(issue.severity, SEVERITIES),
+    location,
+    fix,
+    autoFixable: fix ? issue.autoFixable !== false : false
+  };
+}
+
+// Groups schema errors into the rejection reasons reported in validationStats
+export function rejectionReason(errors) {
+  const path = errors[0].path;
+  if (path === 'location.searchableText') return 'missingSearchableText';
+  if (path.startsWith('location')) return 'invalidLocation';
+  if (path.startsWith('fix')) return 'invalidFix';
+  if (path === 'severity') return 'invalidSeverity';
+  if (path === 'category') return 'invalidCategory';
+  return 'schemaViolation';
+}
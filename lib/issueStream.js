@@ -0,0 +1,70 @@
+// Incremental parser for streamed model output: hands over each element of the top-level
+// "issues" array as soon as its closing brace arrives, long before the response is complete
+export class IssueStreamParser {
+  constructor(onIssue) {
+    this.onIssue = onIssue;
+    this.buffer = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastKey = null;
+    this.issuesDepth = null; // depth inside the "issues" array, once it has opened
+    this.elementStart = -1;
+  }
+
+  push(text) {
+    this.buffer += text;
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          // Keys of the root object; a string value is never followed by "[", so it can't be mistaken for one
+          if (this.depth === 1) {
+            this.lastKey = this.buffer.slice(this.stringStart + 1, this.position);
+          }
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+        this.stringStart = this.position;
+      } else if (char === '{' || char === '[') {
+        if (char === '[' && this.depth === 1 && this.lastKey === 'issues' && this.issuesDepth === null) {
+          this.issuesDepth = this.depth + 1;
+        } else if (char === '{' && this.depth === this.issuesDepth) {
+          this.elementStart = this.position;
+        }
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (char === '}' && this.depth === this.issuesDepth && this.elementStart !== -1) {
+          this.emit(this.buffer.slice(this.elementStart, this.position + 1));
+          this.elementStart = -1;
+        } else if (char === ']' && this.depth === 1 && this.issuesDepth !== null) {
+          this.issuesDepth = -1; // the array is closed; later arrays are not issues
+        }
+      }
+    }
+  }
+
+  emit(elementText) {
+    let issue;
+    try {
+      issue = JSON.parse(elementText);
+    } catch {
+      // The final parse of the whole response decides what happens to malformed issues
+      return;
+    }
+    this.onIssue(issue);
+  }
+}
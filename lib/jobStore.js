@@ -0,0 +1,186 @@
+// Pluggable storage for asynchronous analysis jobs
+// By default jobs live in the limit store (lib/limitStore.js), which must then be one every
+// instance shares (RATE_LIMIT_STORE=redis), so a poll served by another instance finds the job.
+// Single-process deployments opt out with JOB_STORE=memory (in-process) or JOB_STORE=file
+// (under JOB_STORE_DIR). Other backends implement the same four methods.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getLimitStore } from './limitStore.js';
+
+export const JOB_TTL_MS = 60 * 60 * 1000; // finished jobs are kept for 1 hour
+
+// Matches generateJobId() output; also keeps the file store inside its directory
+const JOB_ID_PATTERN = /^job_[a-z0-9_]+$/;
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, clone(job));
+    return job;
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (isExpired(job)) {
+      this.jobs.delete(id);
+      return null;
+    }
+    return clone(job);
+  }
+
+  async update(id, updater) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const updated = { ...updater(clone(job)), updatedAt: new Date().toISOString() };
+    this.jobs.set(id, updated);
+    return clone(updated);
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+}
+
+// Jobs as entries of the limit store, kept for JOB_TTL_MS after their last update
+export class LimitJobStore {
+  constructor(store = getLimitStore()) {
+    this.store = store;
+  }
+
+  key(id) {
+    return `job:${id}`;
+  }
+
+  async create(job) {
+    await this.store.update(this.key(job.id), () => clone(job), JOB_TTL_MS);
+    return job;
+  }
+
+  async get(id) {
+    const job = await this.store.get(this.key(id));
+    return job ? clone(job) : null;
+  }
+
+  // The limit store applies updaters atomically, so progress reports from one job aren't lost
+  async update(id, updater) {
+    const updated = await this.store.update(this.key(id), job => (
+      job ? { ...updater(clone(job)), updatedAt: new Date().toISOString() } : null
+    ), JOB_TTL_MS);
+    return updated ? clone(updated) : null;
+  }
+
+  async delete(id) {
+    const existed = Boolean(await this.get(id));
+    await this.store.update(this.key(id), () => null, 1);
+    return existed;
+  }
+}
+
+export class FileJobStore {
+  constructor(directory = process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'sahayak-jobs')) {
+    this.directory = directory;
+    this.locks = new Map();
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async create(job) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.write(job);
+    return job;
+  }
+
+  async get(id) {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+
+    let job;
+    try {
+      job = JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (isExpired(job)) {
+      await this.delete(id);
+      return null;
+    }
+    return job;
+  }
+
+  // Updates to the same job are serialised so concurrent progress reports are not lost
+  async update(id, updater) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const next = previous.then(async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+
+      const updated = { ...updater(job), updatedAt: new Date().toISOString() };
+      await this.write(updated);
+      return updated;
+    });
+
+    this.locks.set(id, next.catch(() => {}));
+    return next;
+  }
+
+  async delete(id) {
+    if (!JOB_ID_PATTERN.test(id)) return false;
+
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so readers never see a half-written job
+  async write(job) {
+    const target = this.filePath(job.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job));
+    await fs.rename(temp, target);
+  }
+}
+
+function clone(job) {
+  return JSON.parse(JSON.stringify(job));
+}
+
+function isExpired(job) {
+  const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+  return finished && Date.now() - new Date(job.updatedAt).getTime() > JOB_TTL_MS;
+}
+
+let jobStore = null;
+
+// Throws a STORE_NOT_CONFIGURED error rather than keep jobs where the next poll can't see them
+export function getJobStore() {
+  if (!jobStore) {
+    if (process.env.JOB_STORE === 'file') {
+      jobStore = new FileJobStore();
+    } else if (process.env.JOB_STORE === 'memory') {
+      jobStore = new MemoryJobStore();
+    } else {
+      const limitStore = getLimitStore();
+      if (!limitStore.shared) {
+        const error = new Error('Analysis jobs need a store every instance shares: set RATE_LIMIT_STORE=redis, or JOB_STORE=memory on a single long-lived process');
+        error.code = 'STORE_NOT_CONFIGURED';
+        throw error;
+      }
+      jobStore = new LimitJobStore(limitStore);
+    }
+  }
+  return jobStore;
+}
@@ -0,0 +1,152 @@
+// Asynchronous analysis jobs: created by POST /api/v1/jobs, polled with GET, cancelled with DELETE
+import { waitUntil } from '@vercel/functions';
+import { runAnalysis } from './analysis.js';
+import { getJobStore } from './jobStore.js';
+import { profileRef } from './profiles/index.js';
+import { generateJobId } from './utils.js';
+import { recordAnalysisUsage, recordFailedAnalysisUsage } from './usage.js';
+
+// Abort controllers for jobs running in this instance
+const activeJobs = new Map();
+
+export async function createJob({ structure, analysisMode, profile, tenantId, userId }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: generateJobId(),
+    status: 'queued',
+    analysisMode,
+    profile: profileRef(profile),
+    tenantId,
+    userId: userId || null,
+    createdAt: now,
+    updatedAt: now,
+    progress: {
+      completedChunks: 0,
+      totalChunks: null,
+      percent: 0
+    },
+    partialIssues: [],
+    result: null,
+    error: null
+  };
+
+  await getJobStore().create(job);
+  return job;
+}
+
+// Runs the job on after the 202 response. Vercel freezes a function once it has responded unless
+// the work is handed to waitUntil; on a long-lived Node process waitUntil does nothing and the
+// promise simply runs on.
+export function startJob(jobId, input) {
+  const running = runJob(jobId, input).catch(error => {
+    console.error(`Job ${jobId} crashed:`, error);
+  });
+  waitUntil(running);
+  return running;
+}
+
+// Runs the analysis and records progress; resolves when the job reaches a final state
+export async function runJob(jobId, { structure, analysisMode, profile, incremental, waivers }) {
+  const store = getJobStore();
+  const controller = new AbortController();
+  activeJobs.set(jobId, controller);
+
+  const started = await store.update(jobId, job => (
+    job.status === 'queued' ? { ...job, status: 'running' } : job
+  ));
+  if (!started || started.status !== 'running') {
+    activeJobs.delete(jobId);
+    return;
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const result = await runAnalysis({ structure, analysisMode, profile }, {
+      signal: controller.signal,
+      incremental,
+      waivers,
+      onWindowComplete: async ({ windowIndex, windowCount, issues }) => {
+        const updated = await store.update(jobId, job => {
+          const completedChunks = job.progress.completedChunks + 1;
+          return {
+            ...job,
+            progress: {
+              completedChunks,
+              totalChunks: windowCount,
+              percent: Math.round((completedChunks / windowCount) * 100)
+            },
+            partialIssues: [
+              ...job.partialIssues,
+              ...issues.map(issue => ({ ...issue, id: `w${windowIndex + 1}_${issue.id}` }))
+            ]
+          };
+        });
+
+        // A DELETE may have been served by another instance sharing the store
+        if (updated?.status === 'cancelled') {
+          controller.abort();
+        }
+      }
+    });
+
+    await recordAnalysisUsage({
+      auth: { tenantId: started.tenantId, subject: started.userId },
+      analysisMode,
+      result,
+      structure,
+      latencyMs: Date.now() - startTime,
+      jobId
+    });
+
+    await store.update(jobId, job => (
+      job.status === 'cancelled' ? job : {
+        ...job,
+        status: 'completed',
+        progress: { ...job.progress, percent: 100 },
+        partialIssues: [],
+        processingTime: Date.now() - startTime,
+        result
+      }
+    ));
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, error);
+
+    // Cancelled and failed jobs still pay for the model calls they made
+    await recordFailedAnalysisUsage({
+      auth: { tenantId: started.tenantId, subject: started.userId },
+      analysisMode,
+      error,
+      structure,
+      latencyMs: Date.now() - startTime,
+      jobId
+    });
+
+    await store.update(jobId, job => (
+      job.status === 'cancelled' ? job : {
+        ...job,
+        status: 'failed',
+        error: { message: error.message, code: error.code || 'INTERNAL_ERROR' }
+      }
+    ));
+  } finally {
+    activeJobs.delete(jobId);
+  }
+}
+
+// Jobs are only visible to the tenant that created them
+export async function getJob(jobId, tenantId) {
+  const job = await getJobStore().get(jobId);
+  return job && job.tenantId === tenantId ? job : null;
+}
+
+export async function cancelJob(jobId, tenantId) {
+  if (!await getJob(jobId, tenantId)) return null;
+
+  const job = await getJobStore().update(jobId, current => (
+    ['queued', 'running'].includes(current.status) ? { ...current, status: 'cancelled' } : current
+  ));
+
+  activeJobs.get(jobId)?.abort();
+  return job;
+}
@@ -0,0 +1,189 @@
+// Pluggable storage for rate limits and token quotas
+// RATE_LIMIT_STORE=memory (default) keeps counters in-process; RATE_LIMIT_STORE=file keeps them under
+// RATE_LIMIT_DIR with lock files, so every local instance enforces the same limits.
+// RATE_LIMIT_STORE=redis keeps them in a Redis reached over its REST API (Upstash, Vercel KV),
+// which every serverless instance shares. Other backends implement the same two methods:
+//   get(key) -> value | null
+//   update(key, updater, ttlMs) -> new value, applied atomically across callers
+// and set `shared` when instances on other hosts see the same values.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const LOCK_TIMEOUT_MS = 2000;
+const STALE_LOCK_MS = 10000; // a lock this old was left behind by a crashed process
+
+export class MemoryLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.shared = false;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async update(key, updater, ttlMs) {
+    // Clean up expired counters now and then
+    if (Math.random() < 0.01) {
+      this.cleanup();
+    }
+
+    const value = updater(await this.get(key));
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+export class FileLimitStore {
+  constructor(directory = process.env.RATE_LIMIT_DIR || path.join(os.tmpdir(), 'sahayak-limits')) {
+    this.directory = directory;
+    this.shared = false; // only processes on this host share the directory
+  }
+
+  // Keys hold tenant ids and IPs; hashing keeps file names safe
+  filePath(key) {
+    return path.join(this.directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return entry.expiresAt > Date.now() ? entry.value : null;
+  }
+
+  async update(key, updater, ttlMs) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    return this.withLock(key, async () => {
+      const value = updater(await this.get(key));
+      const target = this.filePath(key);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ key, value, expiresAt: Date.now() + ttlMs }));
+      await fs.rename(temp, target);
+      return value;
+    });
+  }
+
+  // An exclusive-create lock file serialises updates across processes, not just within one
+  async withLock(key, fn) {
+    const lockPath = `${this.filePath(key)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+          await fs.unlink(lockPath).catch(() => {});
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for rate limit lock on ${key}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+}
+
+const MAX_REDIS_ATTEMPTS = 10;
+
+// Sets a key only if it still holds the value the update was computed from; '' stands for missing
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1`;
+
+// Values are JSON strings; updates read, apply the updater and compare-and-set, retrying when
+// another instance changed the key in between
+export class RedisLimitStore {
+  constructor({
+    url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+    token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN
+  } = {}) {
+    if (!url || !token) {
+      const error = new Error('RATE_LIMIT_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN)');
+      error.code = 'STORE_NOT_CONFIGURED';
+      throw error;
+    }
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.shared = true;
+  }
+
+  async command(...args) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args.map(String))
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`Redis ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  }
+
+  key(key) {
+    return `sahayak:${key}`;
+  }
+
+  async get(key) {
+    const stored = await this.command('GET', this.key(key));
+    return stored === null ? null : JSON.parse(stored);
+  }
+
+  async update(key, updater, ttlMs) {
+    for (let attempt = 0; attempt < MAX_REDIS_ATTEMPTS; attempt++) {
+      const stored = await this.command('GET', this.key(key));
+      const value = updater(stored === null ? null : JSON.parse(stored));
+      const written = await this.command('EVAL', COMPARE_AND_SET, 1, this.key(key),
+        stored === null ? '' : stored, JSON.stringify(value), Math.max(1, Math.ceil(ttlMs)));
+      if (written === 1) return value;
+    }
+    throw new Error(`Too many concurrent updates to ${key}`);
+  }
+}
+
+let limitStore = null;
+
+export function getLimitStore() {
+  if (!limitStore) {
+    limitStore = process.env.RATE_LIMIT_STORE === 'file' ? new FileLimitStore()
+      : process.env.RATE_LIMIT_STORE === 'redis' ? new RedisLimitStore()
+      : new MemoryLimitStore();
+  }
+  return limitStore;
+}
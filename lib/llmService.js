@@ -1,20 +1,38 @@
-// LLM Service for document validation using Anthropic Claude
-import Anthropic from '@anthropic-ai/sdk';
+// LLM Service for document validation; the model behind it comes from lib/providers
+import { getProvider } from './providers/index.js';
+import { buildSummary } from './rules/index.js';
+import { profileRef } from './profiles/index.js';
+import { validateIssue, normaliseIssue, rejectionReason, SEVERITIES, CATEGORIES, FIX_ACTIONS } from './issueSchema.js';
+import { anchorLocation, anchorFix } from './anchoring.js';
+import {
+  needsChunking,
+  splitIntoWindows,
+  buildDocumentContext,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY
+} from './chunking.js';
+import { getAnalysisCache, hashParagraph, hashTable, cacheKey, sha256 } from './analysisCache.js';
+import { carryOverIssues } from './incremental.js';
+import { IssueStreamParser } from './issueStream.js';
 
 export class LLMValidationService {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-    this.model = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+  constructor(provider = getProvider()) {
+    this.provider = provider;
+    this.model = provider.model;
+    // Tokens used by this service's calls, reported in meta.usage for quotas
+    this.usage = { inputTokens: 0, outputTokens: 0 };
   }
 
-  buildValidationPrompt() {
+  buildValidationPrompt(profile) {
+    const { fonts, spacing, dates, currency, numbers, names, colors, acronyms, content } = profile;
+    const colorList = (entries) => Object.entries(entries).map(([label, hex]) => `${label} (${hex})`).join(', ');
+
     return `You are an expert audit report compliance validator with access to complete Word document structure via Office.js. You will receive:
 
 1. Full document text
 2. Complete paragraph array with formatting information
 3. Font details, styles, and spacing for each paragraph
+4. Tables with header rows, cell text, alignment and shading
 
 ## DOCUMENT STRUCTURE YOU'LL RECEIVE:
 {
@@ -33,24 +51,51 @@ export class LLMValidationService {
       "text": "Functional Head: aman malhotra",
       "font": { "name": "Arial", "size": 11 },
       "style": "Normal"
+    },
+    {
+      "index": 2,
+      "text": "Report Rating: Needs Improvement",
+      "highlights": [{ "text": "Needs Improvement", "color": "#FFFF00" }]
+    }
+  ],
+  "tables": [
+    {
+      "index": 0,
+      "paragraphIndex": 42,
+      "headerRowCount": 1,
+      "rows": [
+        {
+          "index": 0,
+          "isHeader": true,
+          "cells": [
+            { "index": 0, "text": "Area", "horizontalAlignment": "Left", "shadingColor": "#FFFFFF" },
+            { "index": 1, "text": "Samples", "horizontalAlignment": "Centered", "shadingColor": "#FFFFFF" }
+          ]
+        }
+      ]
     }
   ]
 }
 
+Paragraphs inside tables have "inTable": true. "paragraphIndex" on a table is the index of its first cell paragraph.
+
+## STYLE PROFILE: ${profile.name} (${profileRef(profile)})
+
 ## VALIDATION CATEGORIES:
 
 ### 1. FONT COMPLIANCE
-- Font family must be Calibri throughout
-- Font sizes: Report title (20pt), Headings (16pt), Sub-headings (13pt), Content (11pt)
-- Line spacing must be 1.15 consistently
+- Font family must be ${fonts.family} throughout
+- Font sizes: Report title (${fonts.sizes.title}pt), Headings (${fonts.sizes.heading}pt), Sub-headings (${fonts.sizes.subHeading}pt), Content (${fonts.sizes.body}pt)
+- Line spacing must be ${fonts.lineSpacing} consistently
 
 ### 2. FORMAT COMPLIANCE
-- Heading spacing: 3pt after headings
-- Date format: MMM, DD YYYY (e.g., "Jan 15, 2024")
+- Heading spacing: ${spacing.headingSpaceAfter}pt after headings
+- Date format: ${dates.format} (e.g., "${dates.example}")
 - Capitalization: First letter of team/policy names capitalized, "team"/"policy" lowercase, "Board" always capitalized
 - Issue numbering: H.1.1→H.2.1 sequence (unique scope areas), H.1.1→H.1.2 (same scope)
-- No prefixes before names (remove Mr., Ms., Miss, Mrs.)
-- Acronyms: Define full form at first use, then use consistently
+- No prefixes before names (remove ${names.forbiddenPrefixes.join(', ')})
+- Acronyms: Define full form at first use, define each only once, then use the acronym rather than the full form; flag definitions never used (commonly understood: ${[...acronyms.known, ...acronyms.glossary.filter(entry => entry.known).map(entry => entry.acronym)].join(', ')})
+- House full forms for acronyms: ${acronyms.glossary.filter(entry => entry.fullForm).slice(0, 200).map(entry => `${entry.acronym} = ${entry.fullForm}`).join('; ') || 'none'}
 - Punctuation: Consistent usage throughout
 - Alignment: Table headers center-aligned, content justified
 - Slash spacing: Add spaces around "/" (CEO / CFO not CEO/CFO)
@@ -58,23 +103,28 @@ export class LLMValidationService {
 ### 3. NUMBER COMPLIANCE
 - Numbers 1-10: Write in words (except in same statement with >10 numbers, or years)
 - "X out of Y": Use numerics unless both are 1-10
-- Currency: INR prefix required (INR 100 lakhs)
-- Large numbers: Use commas consistently (10,000 or 1,00,000 style)
+- Currency: ${currency.prefix} prefix required (${currency.prefix} 100 lakhs), amounts in ${currency.units.join('/')} (not millions)
+- Large numbers: Use commas in the ${numbers.grouping === 'indian' ? 'Indian style (1,00,000)' : 'international style (100,000)'} throughout
 - Table totals: Must calculate correctly
+- Amounts quoted in the text: Must match the table rows they refer to
 - Sample counts: Must match between report and annexures
 
 ### 4. COLOR COMPLIANCE
-- Report ratings: Satisfactory (#92D050), Needs Improvement (#FFFF00), Not Satisfactory (#C00000)
-- Issue categories: Low (#92D050), Medium (#FFFF00), High (#C00000)
+- Report ratings: ${colorList(colors.ratings)}
+- Issue categories: ${colorList(colors.riskLevels)}
+- Check cell "shadingColor" for rating cells and paragraph "highlights" elsewhere; fix with action "setShading" (cells) or "setHighlight" (text) and the required hex colour as newValue
+- Highlights only come in Word's 16 colours, so highlight with ${Object.entries(colors.highlights || {}).map(([from, to]) => `${to} where ${from} is required`).join(', ') || 'the nearest one'}
 
 ### 5. CONTENT COMPLIANCE
-- Include: "Management demonstrated a co-operative approach throughout the course of the audit and engaged effectively with the Internal Audit team."
-- Names/Designations: Must match standard formats
+${content.requiredStatements.map(statement => `- Include: "${statement}"`).join('\n')}
+- Names/Designations: Must match standard formats: names capitalised and spelt the same way throughout; standard designations: ${names.designations.map(designation => designation.title).join(', ')}
+- People directory (canonical name and designation): ${names.people.slice(0, 200).map(person => person.designation ? `${person.name} (${person.designation})` : person.name).join('; ') || 'none'}
 - Issue references: Must match between summary and detailed sections
 
 ## CRITICAL NAVIGATION REQUIREMENTS:
 - Use EXACT paragraphIndex from the paragraphs array
 - Use EXACT text that exists in that specific paragraph
+- For issues inside a table, also set "tableIndex", "rowIndex" and "cellIndex" in location
 - This enables precise Office.js navigation: paragraphs.items[index].search(text)
 
 ## RESPONSE FORMAT:
@@ -100,6 +150,7 @@ Return ONLY this JSON structure:
         "context": "Functional Head: aman malhotra"
       },
       "expected": "Calibri font family",
+      "profileRule": "fonts.family",
       "autoFixable": true,
       "fix": {
         "action": "changeFontFamily",
@@ -109,6 +160,8 @@ Return ONLY this JSON structure:
   ]
 }
 
+Allowed values: "severity" is one of ${SEVERITIES.join(', ')}; "category" is one of ${CATEGORIES.join(', ')}; "fix.action" is one of ${Object.keys(FIX_ACTIONS).join(', ')} ("replaceText" takes "originalText" and "newText", the others take "newValue"). Use "fix": null when there is no automatic fix.
+
 ## EXAMPLES:
 
 ### Font Issue:
@@ -119,14 +172,24 @@ Return ONLY this JSON structure:
 - Paragraph 3 has text: "risk team should review"
 - Return: paragraphIndex: 3, searchableText: "risk team"
 
+### Table Total Issue:
+- Table 0, row 4 is a "Total" row whose cell 2 says "99,000" but the rows above add up to 99,500
+- Return: tableIndex: 0, rowIndex: 4, cellIndex: 2, searchableText: "99,000"
+
 ### Date Format Issue:
 - Paragraph 0 has text: "Issuance Date:May 20, 2025"
 - Return: paragraphIndex: 0, searchableText: "May 20, 2025"
 
+"profileRule" is the dotted path of the style profile setting the issue violates (e.g. "fonts.sizes.heading", "currency.prefix", "colors.ratings"), or null when no profile setting applies.
+
 CRITICAL: The paragraphIndex must match the exact index from the paragraphs array you receive. The searchableText must be exact text that exists in that specific paragraph for Office.js navigation to work.`;
   }
 
-  async analyzeDocument(documentStructure) {
+  // options.onWindowComplete is called with each window's validated issues as it finishes;
+  // options.signal aborts outstanding Claude calls;
+  // options.incremental ({ baseHashes, fixedIssueIds }) re-analyses only what changed since the scan with those paragraph hashes;
+  // options.onIssue receives each validated issue as soon as the model has written it (the final result is authoritative)
+  async analyzeDocument(documentStructure, profile, options = {}) {
     try {
       console.log(`Analyzing document with ${documentStructure.paragraphs?.length || 0} paragraphs`);
 
@@ -135,132 +198,470 @@ CRITICAL: The paragraphIndex must match the exact index from the paragraphs arra
         throw new Error('Document too large. Maximum size is 200,000 characters.');
       }
 
-      const message = await this.anthropic.messages.create({
-        model: this.model,
-        max_tokens: 4000,
-        temperature: 0.1,
-        system: this.buildValidationPrompt(),
-        messages: [
-          {
-            role: 'user',
-            content: `Analyze this audit report structure for compliance violations and return valid JSON only:\n\n${JSON.stringify(documentStructure, null, 2)}`
-          }
-        ]
-      });
+      const scan = {
+        paragraphHashes: documentStructure.paragraphs.map(hashParagraph),
+        tableHashes: (documentStructure.tables || []).map(hashTable)
+      };
 
-      const content = message.content[0].text;
-      console.log('Claude Response received, parsing JSON...');
-
-      let analysisResult;
-      try {
-        // Extract JSON from response (Claude sometimes adds extra text)
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        const jsonText = jsonMatch ? jsonMatch[0] : content;
-        analysisResult = JSON.parse(jsonText);
-      } catch (parseError) {
-        console.error('Failed to parse Claude response as JSON:', content);
-        throw new Error('Invalid JSON response from Claude');
+      const base = options.incremental ? await this.loadScan(options.incremental.baseHashes, profile) : null;
+      const plan = base
+        ? carryOverIssues(base, scan, documentStructure, options.incremental.fixedIssueIds)
+        : { carried: [], changedRuns: null, reusedParagraphs: 0 };
+
+      const streamIssue = options.onIssue ? this.issueStreamer(documentStructure, profile, options.onIssue) : null;
+      plan.carried.forEach(issue => streamIssue?.(issue));
+
+      let windows;
+      if (plan.changedRuns) {
+        // Only the changed paragraphs go back to the model, in windows of their own
+        windows = plan.changedRuns.flatMap(([first, last]) => splitIntoWindows({
+          paragraphs: documentStructure.paragraphs.slice(first, last + 1).map((p, i) => ({ ...p, index: p.index ?? first + i }))
+        }, profile));
+        windows.forEach((window, windowIndex) => { window.windowIndex = windowIndex; });
+      } else if (needsChunking(documentStructure)) {
+        // Long reports: one Claude call per window so the output is never truncated
+        windows = splitIntoWindows(documentStructure, profile);
+      } else {
+        windows = [{
+          windowIndex: 0,
+          firstParagraph: 0,
+          lastParagraph: documentStructure.paragraphs.length - 1,
+          paragraphs: documentStructure.paragraphs,
+          wholeDocument: true
+        }];
       }
 
+      const analysisResult = await this.analyzeInWindows(windows, documentStructure, profile, scan, { ...options, streamIssue });
+
       // Validate and process the results
-      const processedResult = this.validateAndProcessResults(analysisResult, documentStructure);
-      
+      const processedResult = await this.validateAndProcessResults(analysisResult, documentStructure, profile, {
+        signal: options.signal,
+        carried: [...plan.carried, ...analysisResult.cachedIssues]
+      });
+
+      await this.storeResults(analysisResult, processedResult, scan, profile, documentStructure);
+      processedResult.meta.cache = {
+        paragraphHashes: scan.paragraphHashes,
+        incremental: Boolean(base),
+        reusedParagraphs: plan.reusedParagraphs,
+        carriedIssues: plan.carried.length,
+        analysedWindows: analysisResult.windows - analysisResult.cachedWindows,
+        cachedWindows: analysisResult.cachedWindows
+      };
+
       console.log(`Analysis completed: ${processedResult.summary.totalIssues} issues found`);
+
+      if (windows.length <= 1) {
+        await options.onWindowComplete?.({ windowIndex: 0, windowCount: 1, issues: processedResult.issues });
+      }
       
       return processedResult;
 
     } catch (error) {
-      console.error('Claude Analysis failed:', error);
-      
-      if (error.type === 'rate_limit_error') {
-        throw new Error('Rate limit exceeded. Please wait and try again.');
-      } else if (error.type === 'authentication_error') {
-        throw new Error('Invalid API key. Please check your Anthropic API key.');
-      } else if (error.type === 'overloaded_error') {
-        throw new Error('Claude is overloaded. Please try again in a moment.');
-      } else if (error.message.includes('timeout')) {
-        throw new Error('Analysis timeout. Document may be too complex.');
+      if (options.signal?.aborted) {
+        throw this.withUsage(analysisCancelled());
       }
+
+      console.error(`${this.provider.name} analysis failed:`, error);
+      
+      const messages = {
+        RATE_LIMIT_EXCEEDED: 'Rate limit exceeded. Please wait and try again.',
+        INVALID_API_KEY: `Invalid API key. Please check the ${this.provider.name} credentials.`,
+        LLM_OVERLOADED: 'The model is overloaded. Please try again in a moment.',
+        LLM_TIMEOUT: 'Analysis timeout. Document may be too complex.'
+      };
+      const code = error.code || (error.message.includes('timeout') ? 'LLM_TIMEOUT' : undefined);
       
-      throw new Error(`Analysis failed: ${error.message}`);
+      const wrapped = new Error(messages[code] || `Analysis failed: ${error.message}`);
+      wrapped.code = code;
+      throw this.withUsage(wrapped);
     }
   }
 
-  validateAndProcessResults(analysisResult, documentStructure) {
-    // Ensure required structure exists
-    if (!analysisResult.summary) {
-      analysisResult.summary = {
-        totalIssues: 0,
-        critical: 0,
-        warnings: 0,
-        suggestions: 0,
-        documentLength: documentStructure.fullText?.length || 0
-      };
+  // Tokens already spent go with the error, so failed and cancelled analyses are still metered
+  withUsage(error) {
+    error.meta = { provider: this.provider.name, model: this.model, usage: { ...this.usage } };
+    return error;
+  }
+
+  // onRawIssue streams the response and receives each issue object as the model finishes writing it
+  async requestAnalysis(userContent, profile, signal, onRawIssue = null) {
+    const parser = onRawIssue ? new IssueStreamParser(onRawIssue) : null;
+    const response = await this.provider.complete({
+      system: this.buildValidationPrompt(profile),
+      user: userContent,
+      maxTokens: 4000,
+      temperature: 0.1,
+      signal,
+      onText: parser ? text => parser.push(text) : undefined
+    });
+
+    this.usage.inputTokens += response.usage?.inputTokens || 0;
+    this.usage.outputTokens += response.usage?.outputTokens || 0;
+
+    const content = response.text;
+    console.log(`${this.provider.name} response received, parsing JSON...`);
+
+    if (response.truncated) {
+      console.warn('Model response hit max_tokens and may be truncated');
+    }
+
+    try {
+      // Extract JSON from response (models sometimes add extra text)
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      const jsonText = jsonMatch ? jsonMatch[0] : content;
+      return JSON.parse(jsonText);
+    } catch (parseError) {
+      console.error('Failed to parse model response as JSON:', content);
+      throw new Error(`Invalid JSON response from ${this.provider.name}`);
+    }
+  }
+
+  // Sends each window to the model unless the cache already holds findings for identical content.
+  // Cached findings come back separately: they were validated when first made and are not repaired again.
+  async analyzeInWindows(windows, documentStructure, profile, scan, options = {}) {
+    const cache = getAnalysisCache();
+    const documentContext = buildDocumentContext(documentStructure, profile);
+    // Windows see the document through its context, so a context change invalidates them
+    const contextHash = sha256(JSON.stringify([
+      documentContext.outline.map(entry => entry.text),
+      documentContext.acronymDefinitions.map(({ acronym, fullForm }) => [acronym, fullForm]),
+      documentContext.issueReferences.map(({ id, section }) => [id, section])
+    ]));
+
+    if (windows.length > 1) {
+      console.log(`Document split into ${windows.length} windows (concurrency ${DEFAULT_CONCURRENCY})`);
+    }
+
+    const windowResults = await mapWithConcurrency(windows, DEFAULT_CONCURRENCY, async (window) => {
+      if (options.signal?.aborted) {
+        throw analysisCancelled();
+      }
+
+      const tables = windowTables(window, documentStructure);
+      window.cacheKey = cacheKey('window', this.provider.name, this.model, this.profileKey(profile),
+        window.paragraphs.map((p, i) => scan.paragraphHashes[p.index ?? window.firstParagraph + i]),
+        tables.map(({ index }) => scan.tableHashes[index]),
+        window.wholeDocument ? null : contextHash);
+
+      const cached = await cache.get(window.cacheKey);
+      cached?.issues.forEach(issue => options.streamIssue?.(offsetIssue(issue, window.firstParagraph, tables[0]?.index ?? 0)));
+
+      const result = cached
+        ? { issues: [], cachedIssues: cached.issues.map(issue => offsetIssue(issue, window.firstParagraph, tables[0]?.index ?? 0)) }
+        : await this.requestAnalysis(
+          window.wholeDocument
+            ? `Analyze this audit report structure for compliance violations and return valid JSON only:\n\n${JSON.stringify(documentStructure, null, 2)}`
+            : this.buildWindowMessage(window, windows.length, documentContext, documentStructure),
+          profile,
+          options.signal,
+          options.streamIssue
+        );
+
+      if (windows.length > 1) {
+        await options.onWindowComplete?.({
+          windowIndex: window.windowIndex,
+          windowCount: windows.length,
+          issues: (await this.validateAndProcessResults({ issues: result.issues || [] }, documentStructure, profile, {
+            repair: false,
+            carried: result.cachedIssues
+          })).issues
+        });
+      }
+
+      return { ...result, cached: Boolean(cached) };
+    });
+
+    const issueLists = windowResults.map(result => result.issues || []);
+    const issues = windows.length > 1 ? this.mergeWindowIssues(issueLists) : issueLists[0] || [];
+
+    return {
+      issues,
+      cachedIssues: windowResults.flatMap(result => result.cachedIssues || []),
+      windows: windows.length,
+      cachedWindows: windowResults.filter(result => result.cached).length,
+      analysedWindows: windows.filter((window, i) => !windowResults[i].cached)
+    };
+  }
+
+  // Caches the validated findings of each window the model analysed, and the whole scan so the
+  // next incremental request can diff against it
+  async storeResults(analysisResult, processedResult, scan, profile, documentStructure) {
+    const cache = getAnalysisCache();
+    try {
+      for (const window of analysisResult.analysedWindows) {
+        const tableOffset = windowTables(window, documentStructure)[0]?.index ?? 0;
+        const issues = processedResult.issues
+          .filter(issue => issue.location.paragraphIndex >= window.firstParagraph && issue.location.paragraphIndex <= window.lastParagraph)
+          .map(issue => offsetIssue(issue, -window.firstParagraph, -tableOffset));
+        await cache.set(window.cacheKey, { issues });
+      }
+
+      await cache.set(this.scanKey(scan.paragraphHashes, profile), {
+        paragraphHashes: scan.paragraphHashes,
+        tableHashes: scan.tableHashes,
+        issues: processedResult.issues
+      });
+    } catch (error) {
+      // A cache failure costs a future re-analysis, never this one
+      console.warn('Could not cache analysis results:', error.message);
+    }
+  }
+
+  // Returns a function that validates a single issue and passes it on once, if it holds.
+  // Streamed issues are not repaired; the final result includes repaired ones.
+  issueStreamer(documentStructure, profile, onIssue) {
+    const streamed = new Set();
+    return (rawIssue) => {
+      const checked = this.checkIssue(rawIssue, documentStructure);
+      if (!checked.issue || streamed.has(issueKey(checked.issue))) return;
+
+      streamed.add(issueKey(checked.issue));
+      onIssue(this.finaliseIssue(checked.issue, profile));
+    };
+  }
+
+  async loadScan(paragraphHashes, profile) {
+    const scan = await getAnalysisCache().get(this.scanKey(paragraphHashes, profile));
+    if (!scan) {
+      console.log('Previous scan not cached; running a full analysis');
     }
+    return scan;
+  }
+
+  scanKey(paragraphHashes, profile) {
+    return cacheKey('scan', this.provider.name, this.model, this.profileKey(profile), paragraphHashes);
+  }
+
+  // An organisation's glossary and people directory change the prompt without changing the profile version
+  profileKey(profile) {
+    const { glossary } = profile.acronyms;
+    const { people, designations } = profile.names;
+    return [profileRef(profile), sha256(JSON.stringify([glossary, people, designations])).slice(0, 16)];
+  }
+
+  buildWindowMessage(window, windowCount, documentContext, documentStructure) {
+    const windowStructure = {
+      window: {
+        number: window.windowIndex + 1,
+        of: windowCount,
+        paragraphRange: [window.firstParagraph, window.lastParagraph],
+        totalParagraphs: documentStructure.paragraphs.length
+      },
+      documentContext,
+      paragraphs: window.paragraphs,
+      tables: windowTables(window, documentStructure).map(({ table }) => table)
+    };
 
-    if (!analysisResult.issues) {
-      analysisResult.issues = [];
+    return `Analyze paragraphs ${window.firstParagraph}-${window.lastParagraph} of this audit report for compliance violations and return valid JSON only.
+
+This is window ${window.windowIndex + 1} of ${windowCount}. Use each paragraph's "index" field as paragraphIndex; it is the paragraph's position in the whole document. Only report issues located in the paragraphs of this window.
+
+"documentContext" describes the whole document: the section outline, every acronym definition with the paragraph it is defined in, and every issue reference (H.x.y) with its section. Use it for cross-section checks such as "acronym defined at first use" and "issue references match between summary and detailed sections".
+
+${JSON.stringify(windowStructure, null, 2)}`;
+  }
+
+  // Drop findings reported by more than one window and renumber ids so they stay unique
+  mergeWindowIssues(issueLists) {
+    const seen = new Set();
+    const counters = {};
+    const merged = [];
+
+    for (const issue of issueLists.flat()) {
+      const key = issueKey(issue);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const prefix = (issue.category || 'issue').toLowerCase().replace(/[^a-z]+/g, '_');
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      merged.push({ ...issue, id: `${prefix}_${String(counters[prefix]).padStart(3, '0')}` });
     }
 
-    // Validate issues with proper paragraph indices
+    return merged;
+  }
+
+  // Checks each issue against ISSUE_SCHEMA and re-anchors its location; issues that can't be saved
+  // get one repair round trip with the model (options.repair = false skips it, e.g. for window previews).
+  // options.carried are findings reused from the cache: they are re-anchored but never repaired.
+  async validateAndProcessResults(analysisResult, documentStructure, profile, options = {}) {
+    const { repair = true, signal, carried = [] } = options;
+    // Ids let repaired issues be matched back to the ones that failed
+    const issues = (Array.isArray(analysisResult.issues) ? analysisResult.issues : []).map((issue, i) =>
+      issue && typeof issue === 'object' && !issue.id ? { ...issue, id: `issue_${String(i + 1).padStart(3, '0')}` } : issue
+    );
+
     const validatedIssues = [];
-    let validationStats = {
-      original: analysisResult.issues.length,
+    const validationStats = {
+      original: issues.length + carried.length,
       validated: 0,
-      invalidParagraphIndex: 0,
-      missingSearchableText: 0
+      rejected: {},
+      reanchored: {},
+      repair: { attempted: 0, recovered: 0 }
     };
 
-    for (const issue of analysisResult.issues) {
-      try {
-        // Validate paragraph index exists
-        const paragraphIndex = issue.location?.paragraphIndex;
-        if (paragraphIndex === undefined || paragraphIndex < 0 || 
-            paragraphIndex >= documentStructure.paragraphs.length) {
-          validationStats.invalidParagraphIndex++;
-          console.warn(`Invalid paragraph index for issue ${issue.id}: ${paragraphIndex}`);
-          continue;
-        }
+    const accept = (checked) => {
+      if (checked.status !== 'exact') {
+        validationStats.reanchored[checked.status] = (validationStats.reanchored[checked.status] || 0) + 1;
+      }
+      validatedIssues.push(this.finaliseIssue(checked.issue, profile));
+      validationStats.validated++;
+    };
 
-        // Validate searchable text exists
-        if (!issue.location?.searchableText) {
-          validationStats.missingSearchableText++;
-          console.warn(`Missing searchable text for issue ${issue.id}`);
-          continue;
-        }
+    for (const issue of carried) {
+      const checked = this.checkIssue(issue, documentStructure);
+      if (checked.issue) {
+        accept(checked);
+      } else {
+        validationStats.rejected[checked.reason] = (validationStats.rejected[checked.reason] || 0) + 1;
+      }
+    }
 
-        // Ensure required fields exist
-        issue.id = issue.id || `issue_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        issue.autoFixable = issue.autoFixable !== undefined ? issue.autoFixable : false;
-        
-        validatedIssues.push(issue);
-        validationStats.validated++;
+    let failures = [];
+    for (const issue of issues) {
+      const checked = this.checkIssue(issue, documentStructure);
+      if (checked.issue) {
+        accept(checked);
+      } else {
+        console.warn(`Rejected issue ${issue?.id} (${checked.reason}):`, checked.problems);
+        failures.push({ issue, ...checked });
+      }
+    }
+
+    if (repair && failures.length > 0) {
+      validationStats.repair.attempted = failures.length;
+      const repaired = await this.requestRepair(failures, documentStructure, profile, signal);
+
+      for (const issue of repaired) {
+        const failure = failures.find(f => f.issue?.id && f.issue.id === issue?.id);
+        if (!failure) continue;
 
-      } catch (validationError) {
-        console.error(`Validation error for issue ${issue.id}:`, validationError);
+        const checked = this.checkIssue(issue, documentStructure);
+        if (checked.issue) {
+          accept(checked);
+          validationStats.repair.recovered++;
+          failures = failures.filter(f => f !== failure);
+        }
       }
     }
 
-    // Update summary with validated counts
-    const summary = {
-      totalIssues: validatedIssues.length,
-      critical: validatedIssues.filter(i => i.severity === 'Critical').length,
-      warnings: validatedIssues.filter(i => i.severity === 'Warning').length,
-      suggestions: validatedIssues.filter(i => i.severity === 'Suggestion').length,
-      documentLength: documentStructure.fullText?.length || 0
-    };
+    for (const failure of failures) {
+      validationStats.rejected[failure.reason] = (validationStats.rejected[failure.reason] || 0) + 1;
+    }
+
+    // Fresh and reused findings were numbered independently
+    const finalIssues = carried.length > 0 ? this.mergeWindowIssues([validatedIssues]) : validatedIssues;
+    const summary = buildSummary(finalIssues, documentStructure);
 
     console.log('Validation stats:', validationStats);
 
     return {
       summary,
-      issues: validatedIssues,
+      issues: finalIssues,
       validationStats,
       meta: {
+        provider: this.provider.name,
         model: this.model,
+        profile: profileRef(profile),
+        windows: analysisResult.windows || 1,
+        usage: { ...this.usage },
         timestamp: new Date().toISOString(),
         processingVersion: '2.0'
       }
     };
   }
+
+  // Returns { issue, status } for a usable issue, or { reason, problems } when it must be rejected
+  checkIssue(rawIssue, documentStructure) {
+    const issue = normaliseIssue(rawIssue);
+    if (!issue || typeof issue !== 'object') {
+      return { reason: 'schemaViolation', problems: ['issue must be an object'] };
+    }
+
+    const errors = validateIssue(issue);
+    if (errors.length > 0) {
+      return { reason: rejectionReason(errors), problems: errors.map(e => `${e.path} ${e.message}`) };
+    }
+
+    const anchored = anchorLocation(issue.location, documentStructure);
+    if (anchored.status === 'failed') {
+      return {
+        reason: anchored.reason,
+        problems: [`"${issue.location.searchableText}" was not found at the reported location`]
+      };
+    }
+
+    return { issue: { ...issue, location: anchored.location, ...anchorFix(issue, anchored.location) }, status: anchored.status };
+  }
+
+  finaliseIssue(issue, profile) {
+    return {
+      ...issue,
+      profileRule: issue.profileRule || null,
+      profile: profileRef(profile)
+    };
+  }
+
+  // One follow-up call asking the model to correct the issues that failed validation
+  async requestRepair(failures, documentStructure, profile, signal) {
+    const paragraphs = documentStructure.paragraphs;
+    const rejected = failures.map(({ issue, problems }) => {
+      const index = Number.isInteger(issue?.location?.paragraphIndex) ? issue.location.paragraphIndex : null;
+      const nearby = index === null ? [] : paragraphs
+        .slice(Math.max(0, index - 2), index + 3)
+        .map(p => ({ index: p.index, text: p.text }));
+      return { issue, problems, paragraphs: nearby };
+    });
+
+    const userContent = `Some issues you reported failed validation. For each one, return a corrected issue with the same "id", or leave it out if it does not hold.
+
+Each "searchableText" must be copied exactly from the text of the paragraph at "paragraphIndex" (or the table cell), severity must be one of ${SEVERITIES.join(', ')}, category one of ${CATEGORIES.join(', ')}, and fix.action one of ${Object.keys(FIX_ACTIONS).join(', ')}.
+
+Return ONLY {"issues": [...]} as valid JSON.
+
+${JSON.stringify(rejected, null, 2)}`;
+
+    try {
+      const result = await this.requestAnalysis(userContent, profile, signal);
+      return Array.isArray(result.issues) ? result.issues : [];
+    } catch (error) {
+      if (signal?.aborted) throw analysisCancelled();
+      console.warn('Repair request failed, keeping issues rejected:', error.message);
+      return [];
+    }
+  }
+}
+
+// Findings with the same location and title are the same finding, whichever window reported them
+function issueKey(issue) {
+  return [issue.location?.paragraphIndex, issue.location?.searchableText, issue.title].join('|');
+}
+
+// Tables go with the window holding their first paragraph; `index` is the table's position in the document
+function windowTables(window, documentStructure) {
+  return (documentStructure.tables || [])
+    .map((table, index) => ({ table, index }))
+    .filter(({ table }) => window.wholeDocument ||
+      (table.paragraphIndex >= window.firstParagraph && table.paragraphIndex <= window.lastParagraph));
+}
+
+// Shifts an issue's paragraph and table indexes, between window-relative and document positions
+function offsetIssue(issue, paragraphOffset, tableOffset) {
+  const shift = location => location && {
+    ...location,
+    paragraphIndex: Number.isInteger(location.paragraphIndex) ? location.paragraphIndex + paragraphOffset : location.paragraphIndex,
+    ...(location.tableIndex !== undefined ? { tableIndex: location.tableIndex + tableOffset } : {})
+  };
+
+  return {
+    ...issue,
+    location: shift(issue.location),
+    ...(issue.relatedLocations ? { relatedLocations: issue.relatedLocations.map(shift) } : {})
+  };
+}
+
+function analysisCancelled() {
+  const error = new Error('Analysis cancelled');
+  error.code = 'ANALYSIS_CANCELLED';
+  return error;
 }
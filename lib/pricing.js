@@ -0,0 +1,52 @@
+// Model price table for usage cost reporting, in USD per million tokens
+// MODEL_PRICES_JSON overrides or extends it, e.g. {"claude-3-5-sonnet": {"input": 3, "output": 15}}
+
+const DEFAULT_PRICES = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  fixture: { input: 0, output: 0 }
+};
+
+let priceTable = null;
+
+function getPriceTable() {
+  if (!priceTable) {
+    let overrides = {};
+    if (process.env.MODEL_PRICES_JSON) {
+      try {
+        overrides = JSON.parse(process.env.MODEL_PRICES_JSON);
+      } catch (error) {
+        console.error('MODEL_PRICES_JSON is not valid JSON, using default prices:', error.message);
+      }
+    }
+    priceTable = { ...DEFAULT_PRICES, ...overrides };
+  }
+  return priceTable;
+}
+
+// Exact model id first, then the longest matching prefix ("claude-3-5-sonnet" prices "claude-3-5-sonnet-20241022")
+export function getModelPrice(model) {
+  if (!model) return null;
+
+  const table = getPriceTable();
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+// usage: { inputTokens, outputTokens }; returns null for models missing from the price table
+export function calculateCost(usage, model) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+
+  const cost = ((usage?.inputTokens || 0) * price.input + (usage?.outputTokens || 0) * price.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
@@ -0,0 +1,98 @@
+// Compliance style profiles: named, versioned house styles stored as JSON
+// Layout: <profilesDir>/<profileId>/<version>.json
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export { profileRef } from './ref.js';
+
+const BUILT_IN_DIR = path.dirname(fileURLToPath(import.meta.url));
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+export const DEFAULT_PROFILE_ID = process.env.DEFAULT_PROFILE_ID || 'audit-default';
+
+const profileCache = new Map();
+
+// Client-specific profiles can be deployed alongside the built-in ones
+function getProfileDirs() {
+  return [process.env.SAHAYAK_PROFILES_DIR, BUILT_IN_DIR].filter(Boolean);
+}
+
+function listVersions(profileId) {
+  for (const dir of getProfileDirs()) {
+    const profileDir = path.join(dir, profileId);
+    if (!fs.existsSync(profileDir)) continue;
+
+    const versions = fs.readdirSync(profileDir)
+      .map(file => file.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+
+    if (versions.length > 0) {
+      return { dir: profileDir, versions };
+    }
+  }
+
+  return null;
+}
+
+function profileNotFound(profileRef) {
+  const error = new Error(`Unknown style profile "${profileRef}"`);
+  error.code = 'PROFILE_NOT_FOUND';
+  return error;
+}
+
+// Accepts "audit-default" (latest version) or "audit-default@1" (pinned)
+export function loadProfile(profileRef = DEFAULT_PROFILE_ID) {
+  const [profileId, requestedVersion] = String(profileRef).split('@');
+  if (!PROFILE_ID_PATTERN.test(profileId) || (requestedVersion && !/^\d+$/.test(requestedVersion))) {
+    throw profileNotFound(profileRef);
+  }
+
+  const found = listVersions(profileId);
+  if (!found) {
+    throw profileNotFound(profileRef);
+  }
+
+  const version = requestedVersion ? parseInt(requestedVersion, 10) : found.versions[found.versions.length - 1];
+  if (!found.versions.includes(version)) {
+    throw profileNotFound(profileRef);
+  }
+
+  const cacheKey = `${found.dir}@${version}`;
+  if (!profileCache.has(cacheKey)) {
+    const profile = JSON.parse(fs.readFileSync(path.join(found.dir, `${version}.json`), 'utf8'));
+    profileCache.set(cacheKey, Object.freeze({ ...profile, id: profileId, version }));
+  }
+
+  return profileCache.get(cacheKey);
+}
+
+export function listProfiles() {
+  const ids = new Set();
+
+  for (const dir of getProfileDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && PROFILE_ID_PATTERN.test(entry.name))
+      .forEach(entry => ids.add(entry.name));
+  }
+
+  return [...ids]
+    .map(id => {
+      const found = listVersions(id);
+      if (!found) return null;
+
+      const profile = loadProfile(id);
+      return {
+        id,
+        name: profile.name,
+        description: profile.description,
+        latestVersion: profile.version,
+        versions: found.versions,
+        isDefault: id === DEFAULT_PROFILE_ID
+      };
+    })
+    .filter(Boolean);
+}
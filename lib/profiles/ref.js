@@ -0,0 +1,5 @@
+// Stable reference recorded on results and findings, e.g. "audit-default@1". Kept out of index.js,
+// which reads profiles from disk, so the rules engine also bundles for the add-in's ribbon runtime.
+export function profileRef(profile) {
+  return `${profile.id}@${profile.version}`;
+}
@@ -0,0 +1,64 @@
+// Anthropic Messages API adapter
+import Anthropic from '@anthropic-ai/sdk';
+import { providerError, timeHealthCheck } from './common.js';
+
+const API_VERSION = '2023-06-01';
+
+export class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.model = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+    this.requiredEnv = ['ANTHROPIC_API_KEY'];
+    this.baseURL = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.client = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseURL: this.baseURL
+    });
+  }
+
+  async complete({ system, user, maxTokens, temperature, signal, onText }) {
+    const params = {
+      model: this.model,
+      max_tokens: maxTokens,
+      temperature,
+      system,
+      messages: [{ role: 'user', content: user }]
+    };
+
+    let message;
+    try {
+      if (onText) {
+        const stream = this.client.messages.stream(params, { signal });
+        stream.on('text', onText);
+        message = await stream.finalMessage();
+      } else {
+        message = await this.client.messages.create(params, { signal });
+      }
+    } catch (error) {
+      throw providerError(error, error.status);
+    }
+
+    return {
+      text: message.content[0].text,
+      truncated: message.stop_reason === 'max_tokens',
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  // Listing models is free, unlike a one-token completion
+  async checkHealth() {
+    return timeHealthCheck(async (signal) => {
+      const response = await fetch(`${this.baseURL}/v1/models?limit=1`, {
+        headers: {
+          'x-api-key': process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': API_VERSION
+        },
+        signal
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    });
+  }
+}
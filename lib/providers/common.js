@@ -0,0 +1,35 @@
+// Shared helpers for LLM provider adapters
+
+// Maps HTTP status codes onto the error codes the API routes understand
+export function providerError(error, status) {
+  if (error.name === 'AbortError') return error;
+
+  const codes = {
+    401: 'INVALID_API_KEY',
+    403: 'INVALID_API_KEY',
+    408: 'LLM_TIMEOUT',
+    429: 'RATE_LIMIT_EXCEEDED',
+    529: 'LLM_OVERLOADED'
+  };
+  error.code = error.code || codes[status] || (status >= 500 ? 'LLM_UNAVAILABLE' : undefined);
+  return error;
+}
+
+// Health probes must answer well inside the health route's 10s budget
+const HEALTH_TIMEOUT_MS = 5000;
+
+export async function timeHealthCheck(check) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+  const startTime = Date.now();
+
+  try {
+    await check(controller.signal);
+    return { reachable: true, latencyMs: Date.now() - startTime };
+  } catch (error) {
+    const message = controller.signal.aborted ? `No response within ${HEALTH_TIMEOUT_MS}ms` : error.message;
+    return { reachable: false, latencyMs: Date.now() - startTime, error: message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
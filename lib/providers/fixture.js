@@ -0,0 +1,79 @@
+// Deterministic provider that replays recorded responses, keyed by a hash of the document sent
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FIXTURE = '_default.json';
+
+// Replayed text is streamed in pieces of this size, so streaming clients can be tested offline
+const STREAM_CHUNK_CHARS = 64;
+
+export function fixtureKey(user) {
+  return crypto.createHash('sha256').update(user).digest('hex');
+}
+
+export class FixtureProvider {
+  // Pass a live provider as `recordFrom` to capture new fixtures instead of replaying
+  constructor({ dir = process.env.LLM_FIXTURES_DIR || 'fixtures/llm', recordFrom = null } = {}) {
+    this.name = 'fixture';
+    this.dir = path.resolve(dir);
+    this.recordFrom = recordFrom;
+    this.model = recordFrom ? recordFrom.model : 'fixture';
+    this.requiredEnv = recordFrom ? recordFrom.requiredEnv : [];
+  }
+
+  async complete(request) {
+    const key = fixtureKey(request.user);
+
+    if (this.recordFrom) {
+      const result = await this.recordFrom.complete(request);
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify({
+        key,
+        provider: this.recordFrom.name,
+        model: this.recordFrom.model,
+        recordedAt: new Date().toISOString(),
+        text: result.text
+      }, null, 2));
+      return result;
+    }
+
+    const fixture = await this.readFixture(`${key}.json`) || await this.readFixture(DEFAULT_FIXTURE);
+    if (!fixture) {
+      const error = new Error(`No recorded response for document ${key} in ${this.dir}`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      throw error;
+    }
+
+    // Fixtures hold either the raw model text or the parsed analysis JSON
+    const text = typeof fixture.text === 'string' ? fixture.text : JSON.stringify(fixture.response);
+    if (request.onText) {
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+        request.onText(text.slice(i, i + STREAM_CHUNK_CHARS));
+      }
+    }
+    return { text, truncated: false, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+
+  async readFixture(fileName) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, fileName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async checkHealth() {
+    if (this.recordFrom) {
+      return this.recordFrom.checkHealth();
+    }
+
+    try {
+      const files = await fs.readdir(this.dir);
+      return { reachable: true, fixtures: files.filter(file => file.endsWith('.json')).length };
+    } catch (error) {
+      return { reachable: false, error: error.message };
+    }
+  }
+}
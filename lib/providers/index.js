@@ -0,0 +1,41 @@
+// LLM provider selection: LLM_PROVIDER=anthropic (default) | openai | fixture
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { FixtureProvider } from './fixture.js';
+
+// Every provider exposes { name, model, requiredEnv, complete(request), checkHealth() };
+// complete({ system, user, maxTokens, temperature, signal, onText }) resolves to { text, truncated, usage };
+// with onText the response is streamed and onText receives each piece of text as it arrives
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider
+};
+
+let activeProvider = null;
+
+export function createProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  if (name === 'fixture') {
+    // LLM_FIXTURE_RECORD=anthropic records live responses from that provider
+    const recordName = process.env.LLM_FIXTURE_RECORD;
+    return new FixtureProvider({ recordFrom: recordName ? createProvider(recordName) : null });
+  }
+
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    const error = new Error(`Unknown LLM provider "${name}". Use one of: ${[...Object.keys(PROVIDERS), 'fixture'].join(', ')}`);
+    error.code = 'PROVIDER_NOT_CONFIGURED';
+    throw error;
+  }
+  return new Provider();
+}
+
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+export function missingProviderEnv(provider) {
+  return provider.requiredEnv.filter(varName => !process.env[varName]);
+}
@@ -0,0 +1,111 @@
+// OpenAI-compatible chat completions adapter, e.g. a self-hosted gateway
+import { providerError, timeHealthCheck } from './common.js';
+
+export class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o';
+    this.requiredEnv = ['OPENAI_BASE_URL'];
+    this.baseURL = (process.env.OPENAI_BASE_URL || '').replace(/\/+$/, '');
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    // Gateways inside the network often run without a key
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+    return headers;
+  }
+
+  async complete({ system, user, maxTokens, temperature, signal, onText }) {
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        ...(onText ? { stream: true, stream_options: { include_usage: true } } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw providerError(new Error(`Gateway returned ${response.status}: ${body.slice(0, 200)}`), response.status);
+    }
+
+    if (onText) {
+      return this.readStream(response, onText);
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    if (!choice?.message?.content) {
+      throw new Error('Gateway response has no message content');
+    }
+
+    return {
+      text: choice.message.content,
+      truncated: choice.finish_reason === 'length',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  // Server-sent events: one "data:" line per chunk, usage in the last chunk, then "data: [DONE]"
+  async readStream(response, onText) {
+    const decoder = new TextDecoder();
+    let pending = '';
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+
+    for await (const chunk of response.body) {
+      pending += decoder.decode(chunk, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || payload === '[DONE]') continue;
+
+        const data = JSON.parse(payload);
+        const choice = data.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          onText(choice.delta.content);
+        }
+        finishReason = choice?.finish_reason || finishReason;
+        usage = data.usage || usage;
+      }
+    }
+
+    if (!text) {
+      throw new Error('Gateway stream has no message content');
+    }
+
+    return {
+      text,
+      truncated: finishReason === 'length',
+      usage: {
+        inputTokens: usage?.prompt_tokens || 0,
+        outputTokens: usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async checkHealth() {
+    return timeHealthCheck(async (signal) => {
+      const response = await fetch(`${this.baseURL}/models`, { headers: this.headers(), signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    });
+  }
+}
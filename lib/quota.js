@@ -0,0 +1,57 @@
+// Daily LLM token budget per tenant, kept in the shared limit store
+import { getLimitStore } from './limitStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAILY_TOKENS = parseInt(process.env.DAILY_TOKEN_QUOTA, 10) || 1000000;
+
+// Budgets reset at midnight UTC
+function quotaKey(tenantId, now = new Date()) {
+  return `tokens:${tenantId}:${now.toISOString().slice(0, 10)}`;
+}
+
+function nextResetTime(now = new Date()) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+export function dailyTokenLimit(auth) {
+  return auth.tenant?.limits?.dailyTokens ?? DEFAULT_DAILY_TOKENS;
+}
+
+// Checked before a Claude-backed analysis starts; a run in progress may finish past the limit
+export async function checkTokenQuota(auth) {
+  const limit = dailyTokenLimit(auth);
+  const used = (await getLimitStore().get(quotaKey(auth.tenantId))) || 0;
+  const resetTime = nextResetTime();
+
+  return {
+    success: used < limit,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    resetTime,
+    retryAfter: used < limit ? 0 : Math.ceil((resetTime - Date.now()) / 1000)
+  };
+}
+
+// usage: { inputTokens, outputTokens } from the analysis result's meta
+export async function recordTokenUsage(tenantId, usage) {
+  const tokens = (usage?.inputTokens || 0) + (usage?.outputTokens || 0);
+  if (tokens === 0) return;
+
+  await getLimitStore().update(quotaKey(tenantId), (used) => (used || 0) + tokens, 2 * DAY_MS);
+}
+
+export function setQuotaHeaders(res, quota) {
+  res.setHeader('X-TokenQuota-Limit', String(quota.limit));
+  res.setHeader('X-TokenQuota-Remaining', String(quota.remaining));
+  res.setHeader('X-TokenQuota-Reset', String(Math.ceil(quota.resetTime / 1000)));
+  if (!quota.success) {
+    res.setHeader('Retry-After', String(quota.retryAfter));
+  }
+}
+
+export function quotaExceeded(quota) {
+  const error = new Error(`Daily token quota of ${quota.limit} exhausted; it resets at ${new Date(quota.resetTime).toISOString()}`);
+  error.code = 'TOKEN_QUOTA_EXCEEDED';
+  return error;
+}
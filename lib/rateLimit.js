@@ -1,62 +1,47 @@
-// Simple in-memory rate limiting for Vercel serverless functions
-// Note: This is basic rate limiting. For production, consider using Redis or external service
-
-const rateLimitStore = new Map();
+// Rate limiting for Vercel serverless functions
+// Counters live in the shared limit store (lib/limitStore.js), so they survive cold starts
+// and hold across instances when RATE_LIMIT_STORE=redis (or across local processes with =file)
+import { getLimitStore } from './limitStore.js';
+import { checkTokenQuota, setQuotaHeaders, quotaExceeded } from './quota.js';
 
 export async function rateLimit(req, options = {}) {
   const {
     windowMs = 15 * 60 * 1000, // 15 minutes
     max = 10, // limit each IP to 10 requests per windowMs
-    keyGenerator = (req) => getClientIP(req)
+    keyGenerator = (req) => getClientIP(req),
+    cost = 1 // how many of the max this request uses up, e.g. one per file in a batch
   } = options;
 
-  const key = keyGenerator(req);
+  const key = `rate:${keyGenerator(req)}`;
   const now = Date.now();
   const windowStart = now - windowMs;
+  let allowed = false;
 
-  // Clean up old entries periodically
-  if (Math.random() < 0.01) { // 1% chance to cleanup
-    cleanupOldEntries(windowStart);
-  }
+  // Sliding window: timestamps of the requests made in the last windowMs
+  const requests = await getLimitStore().update(key, (current) => {
+    const recent = (current || []).filter(time => time > windowStart);
+    allowed = recent.length + cost <= max;
+    return allowed ? [...recent, ...new Array(cost).fill(now)] : recent;
+  }, windowMs);
 
-  // Get or create rate limit data for this key
-  let rateLimitData = rateLimitStore.get(key);
-  
-  if (!rateLimitData) {
-    rateLimitData = {
-      requests: [],
-      resetTime: now + windowMs
-    };
-    rateLimitStore.set(key, rateLimitData);
-  }
+  const resetTime = (requests.length > 0 ? Math.min(...requests) : now) + windowMs;
 
-  // Remove requests outside the current window
-  rateLimitData.requests = rateLimitData.requests.filter(time => time > windowStart);
-
-  // Check if limit exceeded
-  if (rateLimitData.requests.length >= max) {
-    const oldestRequest = Math.min(...rateLimitData.requests);
-    const retryAfter = Math.ceil((oldestRequest + windowMs - now) / 1000);
-    
+  if (!allowed) {
     return {
       success: false,
       limit: max,
       remaining: 0,
-      retryAfter: retryAfter,
-      resetTime: rateLimitData.resetTime
+      retryAfter: Math.max(1, Math.ceil((resetTime - now) / 1000)),
+      resetTime
     };
   }
 
-  // Add current request
-  rateLimitData.requests.push(now);
-  rateLimitData.resetTime = now + windowMs;
-
   return {
     success: true,
     limit: max,
-    remaining: max - rateLimitData.requests.length,
+    remaining: max - requests.length,
     retryAfter: 0,
-    resetTime: rateLimitData.resetTime
+    resetTime
   };
 }
 
@@ -68,21 +53,6 @@ function getClientIP(req) {
          'unknown';
 }
 
-function cleanupOldEntries(cutoffTime) {
-  const keysToDelete = [];
-  
-  for (const [key, data] of rateLimitStore.entries()) {
-    data.requests = data.requests.filter(time => time > cutoffTime);
-    
-    // If no recent requests, mark for deletion
-    if (data.requests.length === 0 && data.resetTime < Date.now()) {
-      keysToDelete.push(key);
-    }
-  }
-  
-  keysToDelete.forEach(key => rateLimitStore.delete(key));
-}
-
 // Alternative rate limiting with different strategies
 export function createRateLimit(options = {}) {
   return (req) => rateLimit(req, options);
@@ -104,14 +74,65 @@ export async function rateLimitByApiKey(req, apiKey, options = {}) {
   });
 }
 
+// Claude-backed analysis (llm/hybrid, sync or as a job) shares one budget; rules-only scans are cheap
+const ENDPOINT_LIMITS = {
+  '/api/v1/analyze': { windowMs: 15 * 60 * 1000, max: 5 }, // 5 per 15 minutes
+  '/api/v1/analyze:rules': { windowMs: 15 * 60 * 1000, max: 60 }, // 60 per 15 minutes
+  '/api/v1/analyze:incremental': { windowMs: 15 * 60 * 1000, max: 30 }, // re-scans after fixes, mostly served from cache
+  '/api/v1/health': { windowMs: 60 * 1000, max: 60 }, // 60 per minute
+  '/api/v1/export': { windowMs: 15 * 60 * 1000, max: 60 }, // rendering only, no Claude call
+  '/api/v1/batch': { windowMs: 15 * 60 * 1000, max: 200 }, // rules-only files, counted one by one
+  '/api/v1/fix': { windowMs: 15 * 60 * 1000, max: 30 }, // one document per request
+  default: { windowMs: 15 * 60 * 1000, max: 10 }
+};
+
+// Rate limit by tenant; a tenant's "limits" in the key store override the endpoint defaults
+export async function rateLimitByTenant(req, auth, endpoint, cost = 1) {
+  const limit = auth.tenant?.limits?.[endpoint] || ENDPOINT_LIMITS[endpoint] || ENDPOINT_LIMITS.default;
+  return rateLimit(req, {
+    ...limit,
+    cost,
+    keyGenerator: () => `tenant:${auth.tenantId}:${endpoint}`
+  });
+}
+
 // Enhanced rate limiting with different limits for different endpoints
 export async function rateLimitAdvanced(req, endpoint) {
-  const limits = {
-    '/api/v1/analyze': { windowMs: 15 * 60 * 1000, max: 5 }, // 5 per 15 minutes
-    '/api/v1/health': { windowMs: 60 * 1000, max: 60 }, // 60 per minute
-    default: { windowMs: 15 * 60 * 1000, max: 10 }
-  };
-
-  const limit = limits[endpoint] || limits.default;
+  const limit = ENDPOINT_LIMITS[endpoint] || ENDPOINT_LIMITS.default;
   return rateLimit(req, limit);
 }
+
+export function analysisEndpoint(analysisMode, incremental) {
+  if (analysisMode === 'rules') return '/api/v1/analyze:rules';
+  return incremental ? '/api/v1/analyze:incremental' : '/api/v1/analyze';
+}
+
+export function setRateLimitHeaders(res, result) {
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetTime / 1000)));
+  if (!result.success) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+  }
+}
+
+// Request limit for every analysis, plus the daily token budget for Claude-backed modes;
+// sets the X-RateLimit-* / X-TokenQuota-* headers and throws a 429-coded error when either is spent.
+// A batch passes its file count as the cost, so each file counts as one analysis
+export async function enforceAnalysisLimits(req, res, auth, analysisMode, incremental, endpoint = analysisEndpoint(analysisMode, incremental), cost = 1) {
+  const limit = await rateLimitByTenant(req, auth, endpoint, cost);
+  setRateLimitHeaders(res, limit);
+  if (!limit.success) {
+    const error = new Error(`Too many analysis requests. Try again in ${limit.retryAfter} seconds.`);
+    error.code = 'RATE_LIMIT_EXCEEDED';
+    throw error;
+  }
+
+  if (analysisMode === 'rules') return;
+
+  const quota = await checkTokenQuota(auth);
+  setQuotaHeaders(res, quota);
+  if (!quota.success) {
+    throw quotaExceeded(quota);
+  }
+}
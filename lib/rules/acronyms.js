@@ -0,0 +1,220 @@
+// Acronym rules: a document-wide registry of "Full Form (ABC)" definitions and acronym uses,
+// checked for use before definition, definitions repeated or never used, and full forms
+// spelled out again once the acronym is defined
+import { createIssue, escapeRegExp, isKnownAcronym } from './common.js';
+
+// Short words a full form may skip or spell with: "Delegation of Authority (DOA)", "Return on Investment (ROI)"
+const CONNECTIVES = new Set(['of', 'and', '&', 'for', 'the', 'in', 'on', 'to', 'a', 'an', 'by', 'at', 'with']);
+
+// "SOPs" is a use of "SOP"
+const ACRONYM = /\b([A-Z]{2,})s?\b/g;
+const DEFINITION = /\(\s*([A-Z]{2,})s?\s*\)/g;
+
+// Roman numerals in headings and lists ("Part II") are not acronyms
+const ROMAN_NUMERAL = /^[IVXLC]+$/;
+
+// The words before "(ABC)" whose initials spell the acronym, e.g. "Delegation of Authority";
+// null when they don't, as in "the policy (DOA)"
+export function fullFormBefore(text, end, acronym) {
+  const words = [...text.slice(0, end).matchAll(/[\w&'’]+(?:-[\w'’]+)*/g)];
+  let remaining = acronym;
+  let start = null;
+
+  for (let i = words.length - 1; i >= 0 && remaining; i--) {
+    const word = words[i][0];
+    const initials = word.split('-').map(part => part[0]).join('').toUpperCase();
+
+    if (remaining.endsWith(initials)) {
+      remaining = remaining.slice(0, -initials.length);
+      start = words[i].index;
+    } else if (!CONNECTIVES.has(word.toLowerCase())) {
+      return null;
+    }
+  }
+
+  return remaining || start === null ? null : text.slice(start, end).trim();
+}
+
+// "Full Form (ABC)" definitions in a paragraph: { acronym, fullForm, text, index }, where text
+// covers the full form and the parentheses when the full form was found
+export function findAcronymDefinitions(text) {
+  return [...text.matchAll(DEFINITION)].map(match => {
+    const acronym = match[1];
+    const fullForm = fullFormBefore(text, match.index, acronym);
+    const start = fullForm ? text.lastIndexOf(fullForm, match.index) : match.index;
+    return {
+      acronym,
+      fullForm,
+      text: text.slice(start, match.index + match[0].length),
+      index: start,
+      parenIndex: match.index,
+      parenEnd: match.index + match[0].length
+    };
+  });
+}
+
+// Full forms from the profile glossary (built in, then the organisation's own): acronym → entry
+function glossaryEntries(profile) {
+  return new Map(profile.acronyms.glossary.map(entry => [entry.acronym, entry]));
+}
+
+// Every acronym in the document: acronym → { definitions, uses }, each a list of
+// { paragraphIndex, index, text, context } in document order; definitions also carry fullForm
+export function buildAcronymRegistry(documentStructure, profile) {
+  const registry = new Map();
+  const entryFor = acronym => {
+    if (!registry.has(acronym)) registry.set(acronym, { definitions: [], uses: [] });
+    return registry.get(acronym);
+  };
+
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    // All-caps lines are titles, not acronyms
+    if (!text || text === text.toUpperCase()) return;
+
+    const paragraphIndex = paragraph.index ?? i;
+    const definitions = findAcronymDefinitions(text);
+    for (const definition of definitions) {
+      if (isKnownAcronym(definition.acronym, profile)) continue;
+      entryFor(definition.acronym).definitions.push({ ...definition, paragraphIndex, context: text });
+    }
+
+    for (const match of text.matchAll(ACRONYM)) {
+      const acronym = match[1];
+      if (ROMAN_NUMERAL.test(acronym) || isKnownAcronym(acronym, profile)) continue;
+      if (definitions.some(definition => match.index >= definition.parenIndex && match.index < definition.parenEnd)) continue;
+      entryFor(acronym).uses.push({ paragraphIndex, index: match.index, text: match[0], context: text });
+    }
+  });
+
+  return registry;
+}
+
+function isBefore(a, b) {
+  return a.paragraphIndex < b.paragraphIndex || (a.paragraphIndex === b.paragraphIndex && a.index < b.index);
+}
+
+function locationOf(entry, label) {
+  return { label, paragraphIndex: entry.paragraphIndex, searchableText: entry.text, context: entry.context.slice(0, 200) };
+}
+
+// Rule 8: Acronyms are defined once, at first use, and used from then on
+export function validateAcronyms(documentStructure, profile) {
+  const registry = buildAcronymRegistry(documentStructure, profile);
+  const glossary = glossaryEntries(profile);
+  const issues = [];
+
+  for (const [acronym, { definitions, uses }] of registry) {
+    const [definition, ...repeats] = definitions;
+    const fullForm = definitions.find(entry => entry.fullForm)?.fullForm || glossary.get(acronym)?.fullForm || null;
+    const firstUse = uses[0];
+
+    if (!definition) {
+      issues.push(createIssue({
+        ruleId: 'content.acronymDefinition',
+        category: 'Content',
+        title: 'Undefined Acronym',
+        description: `Acronym "${acronym}" should be defined on first use${fullForm ? ` as "${fullForm} (${acronym})"` : ''}`,
+        severity: 'Suggestion',
+        paragraphIndex: firstUse.paragraphIndex,
+        searchableText: firstUse.text,
+        context: firstUse.context,
+        expected: 'Define acronyms at first use',
+        autoFixable: Boolean(fullForm),
+        fix: fullForm ? { action: 'replaceText', originalText: firstUse.text, newText: `${fullForm} (${firstUse.text})` } : null,
+        profileRule: 'acronyms.known'
+      }));
+      continue;
+    }
+
+    if (firstUse && isBefore(firstUse, definition)) {
+      issues.push(createIssue({
+        ruleId: 'content.acronymBeforeDefinition',
+        category: 'Content',
+        title: 'Acronym Used Before Definition',
+        description: `Acronym "${acronym}" is used here but only defined later`,
+        severity: 'Suggestion',
+        paragraphIndex: firstUse.paragraphIndex,
+        searchableText: firstUse.text,
+        context: firstUse.context,
+        expected: 'Define acronyms at first use',
+        autoFixable: Boolean(fullForm),
+        fix: fullForm ? { action: 'replaceText', originalText: firstUse.text, newText: `${fullForm} (${firstUse.text})` } : null,
+        relatedLocations: [locationOf(definition, 'Definition')]
+      }));
+    }
+
+    for (const repeat of repeats) {
+      issues.push(createIssue({
+        ruleId: 'content.acronymRedefined',
+        category: 'Content',
+        title: 'Acronym Defined Again',
+        description: `Acronym "${acronym}" is already defined; use "${acronym}" on its own here`,
+        severity: 'Suggestion',
+        paragraphIndex: repeat.paragraphIndex,
+        searchableText: repeat.text,
+        context: repeat.context,
+        expected: 'Define each acronym once',
+        autoFixable: Boolean(repeat.fullForm),
+        fix: repeat.fullForm ? { action: 'replaceText', originalText: repeat.text, newText: acronym } : null,
+        relatedLocations: [locationOf(definition, 'First definition')]
+      }));
+    }
+
+    if (uses.length === 0) {
+      issues.push(createIssue({
+        ruleId: 'content.acronymUnused',
+        category: 'Content',
+        title: 'Unused Acronym',
+        description: `Acronym "${acronym}" is defined but never used`,
+        severity: 'Suggestion',
+        paragraphIndex: definition.paragraphIndex,
+        searchableText: definition.text,
+        context: definition.context,
+        expected: 'Only define acronyms the report uses',
+        autoFixable: Boolean(definition.fullForm),
+        fix: definition.fullForm ? { action: 'replaceText', originalText: definition.text, newText: definition.fullForm } : null
+      }));
+    }
+
+    if (fullForm) {
+      issues.push(...findExpansions(documentStructure, acronym, fullForm, definitions).map(expansion => createIssue({
+        ruleId: 'content.acronymExpanded',
+        category: 'Content',
+        title: 'Acronym Expanded Again',
+        description: `"${expansion.text}" is defined as "${acronym}"; use the acronym after its definition`,
+        severity: 'Suggestion',
+        paragraphIndex: expansion.paragraphIndex,
+        searchableText: expansion.text,
+        context: expansion.context,
+        expected: 'Use acronyms consistently after their definition',
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: expansion.text, newText: acronym },
+        relatedLocations: [locationOf(definition, 'Definition')]
+      })));
+    }
+  }
+
+  return issues;
+}
+
+// The full form written out after the first definition, other than in a definition itself
+function findExpansions(documentStructure, acronym, fullForm, definitions) {
+  const [first] = definitions;
+  const pattern = new RegExp(`\\b${escapeRegExp(fullForm).replace(/\s+/g, '\\s+')}\\b(?!\\s*\\(\\s*${acronym})`, 'gi');
+  const expansions = [];
+
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const paragraphIndex = paragraph.index ?? i;
+    const text = (paragraph.text || '').trim();
+    if (paragraphIndex < first.paragraphIndex || !text || text === text.toUpperCase()) return;
+
+    for (const match of text.matchAll(pattern)) {
+      const expansion = { paragraphIndex, index: match.index, text: match[0], context: text };
+      if (isBefore(expansion, first)) continue;
+      expansions.push(expansion);
+    }
+  });
+
+  return expansions;
+}
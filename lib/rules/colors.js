@@ -0,0 +1,197 @@
+// Colour rules: report ratings and risk levels must carry the profile's colours
+import { createIssue, escapeRegExp } from './common.js';
+
+// Word reports highlight colours by name
+const NAMED_COLORS = {
+  yellow: '#FFFF00',
+  brightgreen: '#00FF00',
+  green: '#008000',
+  turquoise: '#00FFFF',
+  pink: '#FF00FF',
+  blue: '#0000FF',
+  red: '#FF0000',
+  darkblue: '#000080',
+  teal: '#008080',
+  violet: '#800080',
+  darkred: '#800000',
+  darkyellow: '#808000',
+  gray25: '#C0C0C0',
+  gray50: '#808080',
+  black: '#000000',
+  white: '#FFFFFF'
+};
+
+export function validateColors(documentStructure, profile) {
+  const labels = getColorLabels(profile);
+
+  return [
+    ...(documentStructure.tables || []).flatMap(table => validateCellShading(table, labels, profile)),
+    ...documentStructure.paragraphs.flatMap((paragraph, i) =>
+      validateHighlights(paragraph, paragraph.index ?? i, labels, profile))
+  ];
+}
+
+// Longest labels first so "Not Satisfactory" wins over "Satisfactory"
+function getColorLabels(profile) {
+  const entries = [
+    ...Object.entries(profile.colors.ratings).map(([label, color]) => ({ label, color, kind: 'ratings' })),
+    ...Object.entries(profile.colors.riskLevels).map(([label, color]) => ({ label, color, kind: 'riskLevels' }))
+  ];
+  return entries.sort((a, b) => b.label.length - a.label.length);
+}
+
+export function toRgb(color) {
+  if (!color) return null;
+
+  const value = NAMED_COLORS[color.toLowerCase().replace(/\s+/g, '')] || color;
+  const match = value.match(/^#?([0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  const hex = parseInt(match[1], 16);
+  return { r: (hex >> 16) & 255, g: (hex >> 8) & 255, b: hex & 255 };
+}
+
+// Near-miss RGB values (e.g. #93D150 vs #92D050) count as the right colour
+export function colorsMatch(actual, expected, tolerance) {
+  const a = toRgb(actual);
+  const b = toRgb(expected);
+  if (!a || !b) return false;
+
+  const distance = Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+  return distance <= tolerance;
+}
+
+// Hue (degrees), saturation and lightness (0-1) of an RGB colour
+function toHsl({ r, g, b }) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return { hue: 0, saturation: 0, lightness };
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  const hue = max === red ? ((green - blue) / delta + 6) % 6
+    : max === green ? (blue - red) / delta + 2
+    : (red - green) / delta + 4;
+  return { hue: hue * 60, saturation, lightness };
+}
+
+// Word's highlight nearest a colour: the closest hue, then lightness (#FFC000 → #FFFF00,
+// #00B0F0 → #00FFFF). Greys and near-greys go to the nearest grey.
+export function nearestHighlight(color) {
+  const rgb = toRgb(color);
+  if (!rgb) return null;
+
+  const target = toHsl(rgb);
+  const palette = Object.values(NAMED_COLORS).map(hex => ({ hex, ...toHsl(toRgb(hex)) }));
+  const grey = target.saturation < 0.15;
+  const candidates = palette.filter(entry => (entry.saturation === 0) === grey);
+  const hueDistance = entry => {
+    const difference = Math.abs(entry.hue - target.hue) % 360;
+    return grey ? 0 : Math.min(difference, 360 - difference);
+  };
+
+  return candidates.reduce((best, entry) => {
+    const score = [hueDistance(entry), Math.abs(entry.lightness - target.lightness)];
+    const bestScore = [hueDistance(best), Math.abs(best.lightness - target.lightness)];
+    return score[0] < bestScore[0] - 1e-9 || (Math.abs(score[0] - bestScore[0]) < 1e-9 && score[1] < bestScore[1]) ? entry : best;
+  }).hex;
+}
+
+// Highlights only come in Word's 16 colours, so a profile colour like #92D050 is checked and
+// fixed as the highlight colors.highlights maps it to, or else the one nearest it
+export function highlightFor(color, profile) {
+  const mapped = Object.entries(profile.colors.highlights || {})
+    .find(([from]) => from.toUpperCase() === String(color).toUpperCase());
+  return mapped ? mapped[1].toUpperCase() : nearestHighlight(color);
+}
+
+function describeColor(color) {
+  return color ? color.toUpperCase() : 'no colour';
+}
+
+function isUncoloured(color) {
+  return !color || /^(#?FFFFFF|none|auto|white)$/i.test(color);
+}
+
+// Rating and risk cells hold just the label, e.g. "Needs Improvement" or "High"
+function validateCellShading(table, labels, profile) {
+  const issues = [];
+
+  for (const row of table.rows) {
+    for (const cell of row.cells) {
+      const text = cell.text.trim();
+      const label = labels.find(entry => entry.label.toLowerCase() === text.toLowerCase());
+      if (!label || colorsMatch(cell.shadingColor, label.color, profile.colors.tolerance)) continue;
+
+      issues.push(createIssue({
+        ruleId: 'color.cellShading',
+        category: 'Color',
+        title: 'Incorrect Rating Colour',
+        description: `"${text}" should be shaded ${label.color}, found ${describeColor(isUncoloured(cell.shadingColor) ? null : cell.shadingColor)}`,
+        severity: 'Warning',
+        paragraphIndex: table.paragraphIndex ?? null,
+        searchableText: text,
+        context: `Table ${table.index + 1}, row ${row.index + 1}: ${row.cells.map(c => c.text).join(' | ')}`,
+        expected: `${label.label} must be shaded ${label.color}`,
+        autoFixable: true,
+        fix: { action: 'setShading', newValue: label.color },
+        profileRule: `colors.${label.kind}`,
+        cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: cell.index }
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Outside tables, a rating is coloured with a highlight on the label itself
+function validateHighlights(paragraph, index, labels, profile) {
+  const text = (paragraph.text || '').trim();
+  if (!text || paragraph.inTable) return [];
+
+  const issues = [];
+  const highlights = paragraph.highlights || [];
+
+  for (const run of highlights) {
+    const label = labels.find(entry => new RegExp(`\\b${escapeRegExp(entry.label)}\\b`, 'i').test(run.text));
+    if (!label) continue;
+    if (colorsMatch(run.color, label.color, profile.colors.tolerance) ||
+        colorsMatch(run.color, highlightFor(label.color, profile), profile.colors.tolerance)) continue;
+
+    issues.push(highlightIssue(label, run.text.trim(), run.color, index, text, profile));
+  }
+
+  // "Report Rating: Needs Improvement" with no colour at all
+  const ratingLine = text.match(/^(?:Overall\s+|Report\s+)?Rating\s*[:\-–]\s*(.+?)\.?$/i);
+  if (ratingLine) {
+    const value = ratingLine[1].trim();
+    const label = labels.find(entry => entry.kind === 'ratings' && entry.label.toLowerCase() === value.toLowerCase());
+    const coloured = highlights.some(run => run.text.toLowerCase().includes(value.toLowerCase()));
+    if (label && !coloured) {
+      issues.push(highlightIssue(label, value, null, index, text, profile));
+    }
+  }
+
+  return issues;
+}
+
+function highlightIssue(label, searchableText, actual, index, text, profile) {
+  const highlight = highlightFor(label.color, profile);
+  const wanted = highlight === label.color.toUpperCase() ? label.color : `${highlight} (the highlight used for ${label.color})`;
+  return createIssue({
+    ruleId: 'color.highlight',
+    category: 'Color',
+    title: 'Incorrect Rating Colour',
+    description: `"${searchableText}" should be highlighted ${wanted}, found ${describeColor(actual)}`,
+    severity: 'Warning',
+    paragraphIndex: index,
+    searchableText,
+    context: text,
+    expected: `${label.label} must be coloured ${label.color}`,
+    autoFixable: true,
+    fix: { action: 'setHighlight', newValue: highlight },
+    profileRule: `colors.${label.kind}`
+  });
+}
@@ -0,0 +1,69 @@
+// Shared helpers for the deterministic rules engine
+
+// Word's range search rejects strings longer than 255 characters
+const MAX_SEARCHABLE_TEXT = 255;
+
+export function createIssue({
+  ruleId,
+  category,
+  title,
+  description,
+  severity = 'Warning',
+  paragraphIndex,
+  searchableText = null,
+  context = '',
+  expected,
+  autoFixable = false,
+  fix = null,
+  profileRule = null,
+  cell = null, // { tableIndex, rowIndex, cellIndex } for findings inside a table
+  relatedLocations = [] // other places the finding refers to, e.g. the matching summary row
+}) {
+  return {
+    id: null, // assigned by the engine once all rules have run
+    category,
+    title,
+    description,
+    severity,
+    location: {
+      paragraphIndex,
+      searchableText: searchableText ? searchableText.slice(0, MAX_SEARCHABLE_TEXT) : null,
+      context: context.slice(0, 200),
+      ...(cell ? { type: 'table', ...cell } : {})
+    },
+    ...(relatedLocations.length > 0 ? { relatedLocations } : {}),
+    expected,
+    rule: ruleId,
+    profileRule, // path of the style profile setting that fired, e.g. "fonts.family"
+    autoFixable,
+    fix,
+    source: 'rules'
+  };
+}
+
+export function isReportTitle(text, profile) {
+  return profile.structure.titleMarkers.some(marker => text.includes(marker));
+}
+
+export function isHeading(text, style, profile) {
+  return profile.structure.headings.some(h => text.includes(h)) || isStyle(style, 'Heading1');
+}
+
+export function isSubHeading(text, style, profile) {
+  return profile.structure.subHeadings.some(sh => text.includes(sh)) || isStyle(style, 'Heading2');
+}
+
+// Office.js reports built-in styles either as "Heading1" or "Heading 1"
+function isStyle(style, name) {
+  return typeof style === 'string' && style.replace(/\s+/g, '') === name;
+}
+
+// Commonly understood acronyms need no definition: the profile's list, and glossary entries marked known
+export function isKnownAcronym(acronym, profile) {
+  return profile.acronyms.known.includes(acronym) ||
+    profile.acronyms.glossary.some(entry => entry.known && entry.acronym === acronym);
+}
+
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,87 @@
+// Content rules: prefixes, issue numbering and punctuation (acronyms are checked document-wide in acronyms.js)
+import { createIssue, escapeRegExp, isReportTitle, isHeading, isSubHeading } from './common.js';
+
+export function validateContent(paragraph, index, profile) {
+  const text = paragraph.text.trim();
+
+  return [
+    ...validatePrefixUsage(text, index, profile),
+    ...validateIssueNumbering(text, index),
+    // Table cells hold labels and figures, not sentences
+    ...(paragraph.inTable ? [] : validatePunctuation(text, index, paragraph.style, profile))
+  ];
+}
+
+// Rule 7: Prefix usage (no Mr., Miss, Ms.)
+function validatePrefixUsage(text, index, profile) {
+  const issues = [];
+  const prefixes = profile.names.forbiddenPrefixes
+    .map(prefix => escapeRegExp(prefix.replace(/\.$/, '')));
+  const prefixPattern = new RegExp(`\\b((?:${prefixes.join('|')})\\.?)\\s+(\\w+)`, 'g');
+
+  for (const match of text.matchAll(prefixPattern)) {
+    const [fullMatch, , name] = match;
+    issues.push(createIssue({
+      ruleId: 'content.namePrefix',
+      category: 'Content',
+      title: 'Prefix Usage',
+      description: `Remove prefixes (${profile.names.forbiddenPrefixes.join(', ')}) before names`,
+      severity: 'Warning',
+      paragraphIndex: index,
+      searchableText: fullMatch,
+      context: text,
+      expected: 'Don\'t use prefix before names',
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: fullMatch, newText: name },
+      profileRule: 'names.forbiddenPrefixes'
+    }));
+  }
+
+  return issues;
+}
+
+// Rule 9: Issue numbering
+function validateIssueNumbering(text, index) {
+  const issues = [];
+  const issuePattern = /\b([HML])\.(\d+)\.(\d+)\b/g;
+
+  for (const match of text.matchAll(issuePattern)) {
+    const [fullMatch, , scope, sequence] = match;
+    if (parseInt(scope, 10) < 1 || parseInt(sequence, 10) < 1) {
+      issues.push(createIssue({
+        ruleId: 'content.issueNumbering',
+        category: 'Content',
+        title: 'Invalid Issue Numbering',
+        description: `Issue number "${fullMatch}" doesn't follow correct sequence`,
+        severity: 'Warning',
+        paragraphIndex: index,
+        searchableText: fullMatch,
+        context: text,
+        expected: 'Issues should follow H.1.1, M.1.1, L.1.1 sequence',
+        autoFixable: false
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Rule 10: Punctuation consistency
+function validatePunctuation(text, index, style, profile) {
+  // Only prose needs terminal punctuation; skip titles, headings and short labels
+  if (isReportTitle(text, profile) || isHeading(text, style, profile) || isSubHeading(text, style, profile)) return [];
+  if (text.split(/\s+/).length < 6 || /[.!?:;)"']$/.test(text)) return [];
+
+  return [createIssue({
+    ruleId: 'content.punctuation',
+    category: 'Content',
+    title: 'Missing Punctuation',
+    description: 'Consider adding proper punctuation',
+    severity: 'Suggestion',
+    paragraphIndex: index,
+    searchableText: text.split(/\s+/).slice(-3).join(' '),
+    context: text,
+    expected: 'Maintain consistent punctuation',
+    autoFixable: false
+  })];
+}
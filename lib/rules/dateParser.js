@@ -0,0 +1,141 @@
+// Date recognition for the date rules: numeric (20/05/2025), ISO (2025-05-20), long-form
+// (May 20, 2025), ordinal (20th May 2025) and abbreviated (20-May-25) dates, plus month-year
+// mentions (April 2024) for audit periods. Numeric dates are read day- or month-first by locale.
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                            'July', 'August', 'September', 'October', 'November', 'December'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Locales that write numeric dates month first; everyone else is read day first
+const MONTH_FIRST_LOCALES = ['en-US', 'es-US', 'en-PH'];
+
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+// Each pattern maps its match to { year, month, day } (day null for month-year), or to
+// { first, second, year } for numeric dates whose order depends on the locale
+const PATTERNS = [
+  {
+    pattern: /\b(\d{4})([-/.])(\d{1,2})\2(\d{1,2})\b/g,
+    read: ([, year, , month, day]) => ({ year: +year, month: +month, day: +day })
+  },
+  {
+    pattern: /\b(\d{1,2})([-/.])(\d{1,2})\2(\d{4})\b/g,
+    read: ([, first, , second, year]) => ({ first: +first, second: +second, year: +year })
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})${ORDINAL}(?:\\s+of)?\\s+${MONTH},?\\s+(\\d{4})\\b`, 'gi'),
+    read: ([, day, month, year]) => ({ year: +year, month: monthNumber(month), day: +day })
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})-${MONTH}-(\\d{4}|\\d{2})\\b`, 'gi'),
+    read: ([, day, month, year]) => ({ year: fullYear(year), month: monthNumber(month), day: +day })
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})${ORDINAL},?\\s+(\\d{4})\\b`, 'gi'),
+    read: ([, month, day, year]) => ({ year: +year, month: monthNumber(month), day: +day })
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH},?\\s+(\\d{4})\\b`, 'gi'),
+    read: ([, month, year]) => ({ year: +year, month: monthNumber(month), day: null })
+  }
+];
+
+function monthNumber(name) {
+  const prefix = name.replace(/\.$/, '').slice(0, 3).toLowerCase();
+  return MONTH_NAMES.findIndex(month => month.slice(0, 3).toLowerCase() === prefix) + 1;
+}
+
+// Two-digit years only appear in abbreviated dates, and reports are about this century
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function numericOrder(locale) {
+  return MONTH_FIRST_LOCALES.includes(locale) ? 'MDY' : 'DMY';
+}
+
+// A numeric date's day and month: a part over 12 can only be the day; otherwise the locale decides
+function resolveNumeric({ first, second, year }, order) {
+  const monthFirst = first <= 12 && second > 12 ? true
+    : second <= 12 && first > 12 ? false
+    : order === 'MDY';
+  return {
+    year,
+    month: monthFirst ? first : second,
+    day: monthFirst ? second : first,
+    ambiguous: first <= 12 && second <= 12 && first !== second
+  };
+}
+
+// Every date in the text, in order: { text, index, year, month, day, ambiguous, valid }.
+// day is null for month-year mentions; valid is false for dates like 31/02/2025.
+export function findDates(text, { order = 'DMY' } = {}) {
+  const found = [];
+
+  for (const { pattern, read } of PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const parts = read(match);
+      const date = 'first' in parts ? resolveNumeric(parts, order) : { ...parts, ambiguous: false };
+      found.push({
+        text: match[0],
+        index: match.index,
+        ...date,
+        valid: date.month >= 1 && date.month <= 12 &&
+          (date.day === null || (date.day >= 1 && date.day <= daysInMonth(date.year, date.month)))
+      });
+    }
+  }
+
+  // Patterns overlap ("20 May 2025" also holds "May 2025"); the earliest, longest match wins
+  found.sort((a, b) => a.index - b.index || b.text.length - a.text.length);
+  const dates = [];
+  for (const date of found) {
+    const previous = dates[dates.length - 1];
+    if (previous && date.index < previous.index + previous.text.length) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Formats a date with YYYY, YY, MMMM, MMM, MM, M, DD, D and Do (20th), e.g. "MMM D, YYYY"
+export function formatDate({ year, month, day }, format) {
+  const tokens = {
+    YYYY: () => String(year),
+    YY: () => String(year).slice(-2),
+    MMMM: () => MONTH_NAMES[month - 1],
+    MMM: () => MONTH_NAMES[month - 1].slice(0, 3),
+    MM: () => String(month).padStart(2, '0'),
+    M: () => String(month),
+    DD: () => String(day).padStart(2, '0'),
+    Do: () => `${day}${ordinalSuffix(day)}`,
+    D: () => String(day)
+  };
+  return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|Do|D/g, token => tokens[token]());
+}
+
+function ordinalSuffix(day) {
+  if (day >= 11 && day <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+}
+
+// Days since the epoch, for ordering; a month-year counts as its first or last day
+export function dayNumber({ year, month, day }, end = false) {
+  const dayOfMonth = day ?? (end ? daysInMonth(year, month) : 1);
+  return Date.UTC(year, month - 1, dayOfMonth) / 86400000;
+}
+
+export function weekdayName(date) {
+  return WEEKDAY_NAMES[new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+}
+
+// A holiday calendar entry's date is "YYYY-MM-DD" for one year or "MM-DD" for every year
+export function findHoliday(date, holidays) {
+  const monthDay = `${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  return holidays.find(holiday => holiday.date === monthDay || holiday.date === `${date.year}-${monthDay}`) || null;
+}
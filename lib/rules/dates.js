@@ -0,0 +1,249 @@
+// Date format, date validity and date logic rules
+import { createIssue, escapeRegExp } from './common.js';
+import { findDates, formatDate, numericOrder, dayNumber, weekdayName, findHoliday, MONTH_NAMES } from './dateParser.js';
+
+// Between the two dates of a period: "April 2024 to March 2025", "01/04/2024 – 31/03/2025"
+const PERIOD_SEPARATOR = /^\s*(?:to|till|until|through|[-–—])\s*$/i;
+
+export function validateDates(paragraph, index, profile) {
+  const text = paragraph.text.trim();
+  const dates = findDates(text, { order: numericOrder(profile.dates.locale) });
+
+  return [
+    ...validateDateFormat(text, dates, index, profile),
+    ...validatePeriods(text, dates, index)
+  ];
+}
+
+function describeDate(date) {
+  return `${date.day} ${MONTH_NAMES[date.month - 1]} ${date.year}`;
+}
+
+// Rule 14: Dates should follow the profile format (MMM D, YYYY by default) and exist
+function validateDateFormat(text, dates, index, profile) {
+  const issues = [];
+
+  for (const date of dates) {
+    if (date.day === null) continue; // month-year mentions have no house format
+
+    if (!date.valid) {
+      issues.push(createIssue({
+        ruleId: 'date.invalid',
+        category: 'Date',
+        title: 'Invalid Date',
+        description: `"${date.text}" is not a real date`,
+        severity: 'Critical',
+        paragraphIndex: index,
+        searchableText: date.text,
+        context: text,
+        expected: 'Dates must exist in the calendar',
+        autoFixable: false
+      }));
+      continue;
+    }
+
+    const corrected = formatDate(date, profile.dates.format);
+    if (date.text === corrected) continue;
+
+    // Numeric dates like 03/04/2025 read either way; say which reading the fix used
+    const reading = date.ambiguous
+      ? ` "${date.text}" is read as ${describeDate(date)}, ${numericOrder(profile.dates.locale) === 'MDY' ? 'month' : 'day'} first as in ${profile.dates.locale}.`
+      : '';
+    issues.push(createIssue({
+      ruleId: 'date.format',
+      category: 'Date',
+      title: 'Incorrect Date Format',
+      description: `Dates should be in ${profile.dates.format} format (e.g., ${profile.dates.example}).${reading}`,
+      severity: 'Warning',
+      paragraphIndex: index,
+      searchableText: date.text,
+      context: text,
+      expected: `Use ${profile.dates.format} date format`,
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: date.text, newText: corrected },
+      profileRule: 'dates.format'
+    }));
+  }
+
+  return issues;
+}
+
+// Rule 15: Periods run forwards: "April 2025 to March 2024" is a typo in the start or end
+function validatePeriods(text, dates, index) {
+  const issues = [];
+
+  dates.forEach((start, i) => {
+    const end = dates[i + 1];
+    if (!end || !start.valid || !end.valid) return;
+
+    const between = text.slice(start.index + start.text.length, end.index);
+    if (!PERIOD_SEPARATOR.test(between) || dayNumber(start) <= dayNumber(end, true)) return;
+
+    const period = text.slice(start.index, end.index + end.text.length);
+    issues.push(createIssue({
+      ruleId: 'date.periodOrder',
+      category: 'Date',
+      title: 'Period Out of Order',
+      description: `The period "${period}" ends before it starts`,
+      severity: 'Critical',
+      paragraphIndex: index,
+      searchableText: period,
+      context: text,
+      expected: 'Periods should run from the earlier date to the later one',
+      autoFixable: false
+    }));
+  });
+
+  return issues;
+}
+
+// Rules 16-18: closure dates come after the issuance date, and neither falls on a weekend or holiday.
+// Dates count when a label precedes them in the paragraph or cell, sits in the cell to their left,
+// or heads their column ("Expected Closure Date" in a summary of issues table).
+export function validateDateLogic(documentStructure, profile) {
+  const labelled = findLabelledDates(documentStructure, profile);
+  const issuance = labelled.find(entry => entry.role === 'issuance');
+  const issues = [];
+
+  for (const entry of labelled) {
+    if (entry.role === 'closure' && issuance && dayNumber(entry.date) < dayNumber(issuance.date)) {
+      issues.push(dateIssue(entry, {
+        ruleId: 'date.closureBeforeIssuance',
+        title: 'Closure Date Before Issuance',
+        description: `Expected closure date "${entry.date.text}" is before the report's issuance date "${issuance.date.text}"`,
+        severity: 'Critical',
+        expected: 'Closure dates should fall after the issuance date',
+        relatedLocations: [locationOf(issuance, 'Issuance date')]
+      }));
+    }
+    issues.push(...validateBusinessDay(entry, profile));
+  }
+
+  return issues;
+}
+
+function validateBusinessDay(entry, profile) {
+  const { role, date } = entry;
+  const name = role === 'closure' ? 'Closure' : 'Issuance';
+  const weekday = weekdayName(date);
+
+  if (profile.dates.weekendDays.includes(weekday)) {
+    return [dateIssue(entry, {
+      ruleId: `date.${role}Weekend`,
+      title: `Weekend ${name} Date`,
+      description: `${name === 'Closure' ? 'Expected closure' : 'Issuance'} date "${date.text}" falls on a ${weekday}`,
+      expected: `${name} dates should not be weekends`,
+      profileRule: 'dates.weekendDays'
+    })];
+  }
+
+  const holiday = findHoliday(date, profile.dates.holidays);
+  if (holiday) {
+    return [dateIssue(entry, {
+      ruleId: `date.${role}Holiday`,
+      title: `Holiday ${name} Date`,
+      description: `${name === 'Closure' ? 'Expected closure' : 'Issuance'} date "${date.text}" falls on ${holiday.name}`,
+      expected: `${name} dates should not be holidays`,
+      profileRule: 'dates.holidays'
+    })];
+  }
+
+  return [];
+}
+
+function dateIssue(entry, fields) {
+  return createIssue({
+    category: 'Date',
+    severity: 'Warning',
+    paragraphIndex: entry.paragraphIndex,
+    searchableText: entry.date.text,
+    context: entry.context,
+    autoFixable: false,
+    cell: entry.cell || null,
+    ...fields
+  });
+}
+
+function locationOf(entry, label) {
+  return {
+    label,
+    paragraphIndex: entry.paragraphIndex,
+    searchableText: entry.date.text,
+    context: entry.context.slice(0, 200),
+    ...(entry.cell ? { type: 'table', ...entry.cell } : {})
+  };
+}
+
+// Issuance and closure dates, in document order: { role, date, paragraphIndex, context, cell }
+function findLabelledDates(documentStructure, profile) {
+  const labels = [
+    ...profile.dates.issuanceLabels.map(label => ({ label, role: 'issuance' })),
+    ...profile.dates.closureLabels.map(label => ({ label, role: 'closure' }))
+  ];
+  const order = numericOrder(profile.dates.locale);
+  const entries = [];
+
+  // Table cells are read through the tables, where column headers and label cells are known
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    if (!text || paragraph.inTable) return;
+
+    for (const { role, date } of datesAfterLabels(text, labels, order)) {
+      entries.push({ role, date, paragraphIndex: paragraph.index ?? i, context: text });
+    }
+  });
+
+  for (const table of documentStructure.tables || []) {
+    const header = table.rows.find(row => row.isHeader) || table.rows[0];
+
+    for (const row of table.rows) {
+      row.cells.forEach((cell, c) => {
+        const text = (cell.text || '').trim();
+        if (!text) return;
+
+        const location = {
+          paragraphIndex: table.paragraphIndex ?? null,
+          context: text,
+          cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: cell.index }
+        };
+        const own = datesAfterLabels(text, labels, order);
+        if (own.length > 0) {
+          own.forEach(({ role, date }) => entries.push({ role, date, ...location }));
+          return;
+        }
+
+        // A label cell to the left, or the column's header
+        const role = (c > 0 && labelRole(row.cells[c - 1].text, labels)) ||
+          (row !== header && labelRole(header.cells[c]?.text, labels));
+        if (!role) return;
+        for (const date of findDates(text, { order })) {
+          if (date.day !== null && date.valid) entries.push({ role, date, ...location });
+        }
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Full dates that follow a label in the same text, each taking the role of the nearest label before it
+function datesAfterLabels(text, labels, order) {
+  const found = labels.flatMap(({ label, role }) =>
+    [...text.matchAll(new RegExp(escapeRegExp(label), 'gi'))].map(match => ({ role, end: match.index + match[0].length })));
+  if (found.length === 0) return [];
+
+  return findDates(text, { order })
+    .filter(date => date.day !== null && date.valid)
+    .map(date => {
+      const before = found.filter(label => label.end <= date.index);
+      const nearest = before.reduce((best, label) => (!best || label.end > best.end ? label : best), null);
+      return nearest ? { role: nearest.role, date } : null;
+    })
+    .filter(Boolean);
+}
+
+// The role of a cell that holds nothing but a label, e.g. "Issuance Date" or "Target Date:"
+function labelRole(text, labels) {
+  const value = (text || '').trim().replace(/[:\s]+$/, '').toLowerCase();
+  return labels.find(({ label }) => label.toLowerCase() === value)?.role || null;
+}
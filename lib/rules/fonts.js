@@ -0,0 +1,90 @@
+// Font and paragraph spacing rules
+import { createIssue, isReportTitle, isHeading, isSubHeading } from './common.js';
+
+export function validateFonts(paragraph, index, profile) {
+  const issues = [];
+  const text = paragraph.text.trim();
+  const font = paragraph.font || {};
+  const { family, lineSpacing } = profile.fonts;
+
+  // Rule 1: Font family must match the profile
+  if (font.name && font.name !== family) {
+    issues.push(createIssue({
+      ruleId: 'font.family',
+      category: 'Font',
+      title: 'Incorrect Font Family',
+      description: `Font should be ${family}, found "${font.name}"`,
+      severity: 'Critical',
+      paragraphIndex: index,
+      context: text,
+      expected: `Font family must be ${family}`,
+      autoFixable: true,
+      fix: { action: 'changeFontFamily', newValue: family },
+      profileRule: 'fonts.family'
+    }));
+  }
+
+  // Rule 2: Font size validation
+  const sizeRule = getFontSizeRule(text, paragraph.style, profile);
+  const expectedSize = profile.fonts.sizes[sizeRule.key];
+  if (font.size && font.size !== expectedSize) {
+    issues.push(createIssue({
+      ruleId: 'font.size',
+      category: 'Font',
+      title: 'Incorrect Font Size',
+      description: `Expected ${expectedSize}pt, found ${font.size}pt`,
+      severity: 'Critical',
+      paragraphIndex: index,
+      context: text,
+      expected: `${sizeRule.label} should be ${expectedSize}pt`,
+      autoFixable: true,
+      fix: { action: 'changeFontSize', newValue: expectedSize },
+      profileRule: `fonts.sizes.${sizeRule.key}`
+    }));
+  }
+
+  // Rule 3: Line spacing
+  if (paragraph.lineSpacing !== undefined && paragraph.lineSpacing !== lineSpacing) {
+    issues.push(createIssue({
+      ruleId: 'format.lineSpacing',
+      category: 'Format',
+      title: 'Incorrect Line Spacing',
+      description: `Line spacing should be ${lineSpacing}, found ${paragraph.lineSpacing}`,
+      severity: 'Warning',
+      paragraphIndex: index,
+      context: text,
+      expected: `Line spacing should always be ${lineSpacing}`,
+      autoFixable: true,
+      fix: { action: 'changeLineSpacing', newValue: lineSpacing },
+      profileRule: 'fonts.lineSpacing'
+    }));
+  }
+
+  // Rule 5: Spacing after headings
+  const headingSpaceAfter = profile.spacing.headingSpaceAfter;
+  if (isHeading(text, paragraph.style, profile) && paragraph.spaceAfter !== undefined &&
+      paragraph.spaceAfter !== headingSpaceAfter) {
+    issues.push(createIssue({
+      ruleId: 'format.headingSpacing',
+      category: 'Format',
+      title: 'Incorrect Heading Spacing',
+      description: `Headings should have ${headingSpaceAfter}pt spacing after, found ${paragraph.spaceAfter}pt`,
+      severity: 'Warning',
+      paragraphIndex: index,
+      context: text,
+      expected: `Headings should have ${headingSpaceAfter}pt spacing`,
+      autoFixable: true,
+      fix: { action: 'changeSpacing', newValue: headingSpaceAfter },
+      profileRule: 'spacing.headingSpaceAfter'
+    }));
+  }
+
+  return issues;
+}
+
+function getFontSizeRule(text, style, profile) {
+  if (isReportTitle(text, profile)) return { key: 'title', label: 'Report title' };
+  if (isHeading(text, style, profile)) return { key: 'heading', label: 'Headings' };
+  if (isSubHeading(text, style, profile)) return { key: 'subHeading', label: 'Sub-headings' };
+  return { key: 'body', label: 'Content' };
+}
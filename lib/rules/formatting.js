@@ -0,0 +1,86 @@
+// Capitalization and spacing rules
+import { createIssue } from './common.js';
+
+export function validateFormatting(paragraph, index) {
+  const text = paragraph.text.trim();
+
+  return [
+    ...validateCapitalization(text, index),
+    ...validateSlashSpacing(text, index)
+  ];
+}
+
+// Rule 4: Capitalization rules
+function validateCapitalization(text, index) {
+  const issues = [];
+
+  // Check for team/policy capitalization
+  const teamPolicyPattern = /(\w+)\s+(team|policy)\b/gi;
+  for (const match of text.matchAll(teamPolicyPattern)) {
+    const [fullMatch, firstWord, lastWord] = match;
+    if (firstWord[0] !== firstWord[0].toUpperCase() || lastWord !== lastWord.toLowerCase()) {
+      const corrected = `${firstWord.charAt(0).toUpperCase() + firstWord.slice(1).toLowerCase()} ${lastWord.toLowerCase()}`;
+      issues.push(createIssue({
+        ruleId: 'format.teamPolicyCase',
+        category: 'Format',
+        title: 'Incorrect Capitalization',
+        description: `"${fullMatch}" should be "${corrected}"`,
+        severity: 'Warning',
+        paragraphIndex: index,
+        searchableText: fullMatch,
+        context: text,
+        expected: 'First word capitalized, team/policy lowercase',
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: fullMatch, newText: corrected }
+      }));
+    }
+  }
+
+  // Check for Board capitalization
+  for (const match of text.matchAll(/\bboard\b/g)) {
+    issues.push(createIssue({
+      ruleId: 'format.boardCase',
+      category: 'Format',
+      title: 'Board Capitalization',
+      description: '"Board" should always be capitalized',
+      severity: 'Warning',
+      paragraphIndex: index,
+      searchableText: match[0],
+      context: text,
+      expected: 'Board should always be capitalized',
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: match[0], newText: 'Board' }
+    }));
+  }
+
+  return issues;
+}
+
+// Rule 6: Slash spacing (space before and after '/')
+function validateSlashSpacing(text, index) {
+  const issues = [];
+  const slashPattern = /\w+\/\w+/g;
+
+  for (const match of text.matchAll(slashPattern)) {
+    // URLs and numeric dates are handled elsewhere
+    if (/^\d+\/\d+$/.test(match[0]) || text.slice(Math.max(0, match.index - 8), match.index).includes('://')) {
+      continue;
+    }
+
+    issues.push(createIssue({
+      ruleId: 'format.slashSpacing',
+      category: 'Format',
+      title: 'Missing Slash Spacing',
+      description: 'Add spaces before and after "/" (e.g., CEO / CFO)',
+      severity: 'Suggestion',
+      paragraphIndex: index,
+      searchableText: match[0],
+      context: text,
+      expected: 'Add space before and after usage of "/"',
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: match[0], newText: match[0].replace('/', ' / ') }
+    }));
+  }
+
+  return issues;
+}
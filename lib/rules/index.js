@@ -0,0 +1,137 @@
+// Deterministic rules engine shared by the analyze API, CI integrations and the add-in
+import { validateFonts } from './fonts.js';
+import { validateFormatting } from './formatting.js';
+import { validateContent } from './content.js';
+import { validateNumbers, validateAmountReferences } from './numbers.js';
+import { validateDates, validateDateLogic } from './dates.js';
+import { validateTables } from './tables.js';
+import { validateColors } from './colors.js';
+import { validateIssueReferences } from './issueReferences.js';
+import { validateAcronyms } from './acronyms.js';
+import { validateNames } from './names.js';
+import { profileRef } from '../profiles/ref.js';
+
+// Paragraph-level validators, run in order for every non-empty paragraph
+const PARAGRAPH_VALIDATORS = [
+  validateFonts,
+  validateFormatting,
+  validateContent,
+  validateNumbers,
+  validateDates
+];
+
+// Document-level validators that need more than one paragraph at a time
+const DOCUMENT_VALIDATORS = [
+  validateTables,
+  validateColors,
+  validateIssueReferences,
+  validateDateLogic,
+  validateAmountReferences,
+  validateAcronyms,
+  validateNames
+];
+
+export function runRules(documentStructure, profile) {
+  const issues = [];
+
+  documentStructure.paragraphs.forEach((paragraph, index) => {
+    if (!paragraph.text || !paragraph.text.trim()) return;
+
+    for (const validator of PARAGRAPH_VALIDATORS) {
+      issues.push(...validator(paragraph, paragraph.index ?? index, profile));
+    }
+  });
+
+  for (const validator of DOCUMENT_VALIDATORS) {
+    issues.push(...validator(documentStructure, profile));
+  }
+
+  const ref = profileRef(profile);
+  issues.forEach((issue, i) => {
+    issue.id = `rule_${String(i + 1).padStart(3, '0')}`;
+    issue.profile = ref;
+  });
+
+  return issues;
+}
+
+export function analyzeWithRules(documentStructure, profile) {
+  const issues = runRules(documentStructure, profile);
+
+  return {
+    summary: buildSummary(issues, documentStructure),
+    issues,
+    meta: {
+      engine: 'rules',
+      profile: profileRef(profile),
+      timestamp: new Date().toISOString(),
+      processingVersion: '2.0'
+    }
+  };
+}
+
+// Merge rule and LLM findings, keeping the deterministic finding when both
+// engines report the same category on the same paragraph and text span
+export function mergeFindings(ruleIssues, llmIssues) {
+  const merged = [...ruleIssues];
+  let duplicates = 0;
+
+  for (const llmIssue of llmIssues) {
+    const isDuplicate = ruleIssues.some(ruleIssue => isSameFinding(ruleIssue, llmIssue));
+    if (isDuplicate) {
+      duplicates++;
+      continue;
+    }
+    merged.push({ ...llmIssue, source: llmIssue.source || 'llm' });
+  }
+
+  return { issues: merged, duplicates };
+}
+
+export function analyzeHybrid(rulesResult, llmResult, documentStructure) {
+  const { issues, duplicates } = mergeFindings(rulesResult.issues, llmResult.issues);
+
+  return {
+    summary: buildSummary(issues, documentStructure),
+    issues,
+    validationStats: {
+      ...llmResult.validationStats,
+      ruleIssues: rulesResult.issues.length,
+      duplicatesDropped: duplicates
+    },
+    meta: {
+      ...llmResult.meta,
+      engine: 'hybrid',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+export function buildSummary(issues, documentStructure) {
+  return {
+    totalIssues: issues.length,
+    critical: issues.filter(i => i.severity === 'Critical').length,
+    warnings: issues.filter(i => i.severity === 'Warning').length,
+    suggestions: issues.filter(i => i.severity === 'Suggestion').length,
+    documentLength: documentStructure.fullText?.length || 0
+  };
+}
+
+function isSameFinding(a, b) {
+  if (a.location?.paragraphIndex !== b.location?.paragraphIndex) return false;
+
+  const spanA = normalize(a.location?.searchableText);
+  const spanB = normalize(b.location?.searchableText);
+
+  // Paragraph-level findings (fonts, spacing) have no span; match those on the fix action
+  if (!spanA || !spanB) {
+    return Boolean(a.fix?.action) && a.fix.action === b.fix?.action;
+  }
+
+  return normalize(a.category) === normalize(b.category) &&
+         (spanA.includes(spanB) || spanB.includes(spanA));
+}
+
+function normalize(value) {
+  return (value || '').toString().trim().toLowerCase();
+}
@@ -0,0 +1,313 @@
+// Issue reference rules: H.x.y numbering must agree between the Summary of Issues and the detailed observations
+import { createIssue, escapeRegExp, isHeading, isSubHeading } from './common.js';
+
+const ISSUE_ID = /^([HML])\.(\d+)\.(\d+)\b/;
+
+export function validateIssueReferences(documentStructure, profile) {
+  const index = buildIssueIndex(documentStructure, profile);
+  const issues = [];
+
+  for (const declarations of [index.summary, index.detail]) {
+    issues.push(...validateDuplicates(declarations));
+  }
+
+  // Cross-section checks only make sense once both sections are present
+  if (index.summary.length > 0 && index.detail.length > 0) {
+    issues.push(...validateCrossReferences(index));
+  }
+
+  // Each section is numbered on its own, so a gap in either one is reported where it occurs
+  for (const declarations of [index.summary, index.detail]) {
+    issues.push(...validateSequence(declarations));
+  }
+  return issues;
+}
+
+// Every place an issue ID is declared: summary table rows or lines, and detailed observation headings
+export function buildIssueIndex(documentStructure, profile) {
+  const paragraphs = documentStructure.paragraphs;
+  const sections = assignSections(paragraphs, profile);
+  const labels = ratingLabels(profile);
+  const summary = [];
+  const detail = [];
+
+  paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    const section = sections[i];
+    if (!section || paragraph.inTable || !ISSUE_ID.test(text)) return;
+
+    const declaration = parseDeclarationLine(text, paragraph.index ?? i, labels);
+    if (section === 'detail' && !declaration.rating) {
+      declaration.rating = findRatingLine(paragraphs, i, labels, profile);
+    }
+    (section === 'summary' ? summary : detail).push(declaration);
+  });
+
+  for (const table of documentStructure.tables || []) {
+    if (sections[table.paragraphIndex] !== 'summary') continue;
+    summary.push(...parseSummaryTable(table, labels));
+  }
+
+  const byPosition = (a, b) => a.paragraphIndex - b.paragraphIndex || (a.rowIndex ?? 0) - (b.rowIndex ?? 0);
+  return { summary: summary.sort(byPosition), detail: detail.sort(byPosition) };
+}
+
+// Marks each paragraph as 'summary', 'detail' or null by the headings above it
+function assignSections(paragraphs, profile) {
+  const matches = (text, headings) => headings.some(h => new RegExp(`^${escapeRegExp(h)}\\b`, 'i').test(text));
+  let current = null;
+
+  return paragraphs.map(paragraph => {
+    const text = (paragraph.text || '').trim();
+    // Only short, non-table lines can be section headings
+    if (!text || paragraph.inTable || text.split(/\s+/).length > 8) return current;
+
+    if (matches(text, profile.issues.summaryHeadings)) {
+      current = 'summary';
+    } else if (matches(text, profile.issues.detailHeadings)) {
+      current = 'detail';
+    } else if (ISSUE_ID.test(text)) {
+      // Issue headings are part of the section they sit in
+    } else if (current === 'summary' && (isHeading(text, paragraph.style, profile) || isSubHeading(text, paragraph.style, profile))) {
+      current = null;
+    } else if (current === 'detail' && isHeading(text, paragraph.style, profile)) {
+      current = null;
+    }
+    return current;
+  });
+}
+
+function ratingLabels(profile) {
+  return [...Object.keys(profile.colors.ratings), ...Object.keys(profile.colors.riskLevels)]
+    .sort((a, b) => b.length - a.length);
+}
+
+function findLabel(text, labels) {
+  return labels.find(label => label.toLowerCase() === text.trim().toLowerCase()) || null;
+}
+
+// "H.1.1 Inadequate review of vendor master (High)" or "H.1.1: Inadequate review – High"
+function parseDeclarationLine(text, paragraphIndex, labels) {
+  const [id] = text.match(ISSUE_ID);
+  let title = text.slice(id.length).replace(/^[\s:.–—-]+/, '').trim();
+  let rating = null;
+
+  const trailing = title.match(/\s*(?:\(([^)]+)\)|[–—-]\s*([\w ]+))\s*$/);
+  const label = trailing && findLabel(trailing[1] || trailing[2], labels);
+  if (label) {
+    rating = label;
+    title = title.slice(0, trailing.index).trim();
+  }
+
+  return { id, title, rating, paragraphIndex, searchableText: id, context: text };
+}
+
+// "Risk Rating: High" within the few paragraphs after a detailed observation heading
+function findRatingLine(paragraphs, start, labels, profile) {
+  const pattern = new RegExp(`^(?:${profile.issues.ratingLabels.map(escapeRegExp).join('|')})\\s*[:\\-–]\\s*(.+?)\\.?$`, 'i');
+
+  for (let i = start + 1; i < Math.min(paragraphs.length, start + 6); i++) {
+    const text = (paragraphs[i].text || '').trim();
+    if (ISSUE_ID.test(text)) break;
+
+    const match = text.match(pattern);
+    if (match) return findLabel(match[1], labels);
+  }
+  return null;
+}
+
+// Summary tables: one row per issue with the ID, a title and usually a rating cell
+function parseSummaryTable(table, labels) {
+  const declarations = [];
+
+  for (const row of table.rows) {
+    const idCell = row.cells.find(cell => ISSUE_ID.test(cell.text.trim()));
+    if (!idCell) continue;
+
+    const id = idCell.text.trim().match(ISSUE_ID)[0];
+    const others = row.cells.filter(cell => cell !== idCell);
+    const ratingCell = others.find(cell => findLabel(cell.text, labels));
+    const titleCell = others
+      .filter(cell => cell !== ratingCell && /[a-z]/i.test(cell.text))
+      .sort((a, b) => b.text.length - a.text.length)[0];
+
+    declarations.push({
+      id,
+      title: titleCell ? titleCell.text.trim() : '',
+      rating: ratingCell ? findLabel(ratingCell.text, labels) : null,
+      paragraphIndex: table.paragraphIndex,
+      searchableText: id,
+      context: `Table ${table.index + 1}, row ${row.index + 1}: ${row.cells.map(cell => cell.text).join(' | ')}`,
+      cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: idCell.index }
+    });
+  }
+
+  return declarations;
+}
+
+function locationOf(declaration, label) {
+  return {
+    label,
+    paragraphIndex: declaration.paragraphIndex,
+    searchableText: declaration.searchableText,
+    context: declaration.context.slice(0, 200),
+    ...(declaration.cell ? { type: 'table', ...declaration.cell } : {})
+  };
+}
+
+function referenceIssue(declaration, fields) {
+  return createIssue({
+    category: 'Content',
+    severity: 'Warning',
+    paragraphIndex: declaration.paragraphIndex,
+    searchableText: declaration.searchableText,
+    context: declaration.context,
+    autoFixable: false,
+    cell: declaration.cell || null,
+    ...fields
+  });
+}
+
+function validateDuplicates(declarations) {
+  const first = new Map();
+  const issues = [];
+
+  for (const declaration of declarations) {
+    const original = first.get(declaration.id);
+    if (!original) {
+      first.set(declaration.id, declaration);
+      continue;
+    }
+
+    issues.push(referenceIssue(declaration, {
+      ruleId: 'issues.duplicate',
+      title: 'Duplicate Issue Number',
+      description: `Issue number "${declaration.id}" is used more than once`,
+      expected: 'Each issue number should be used once',
+      relatedLocations: [locationOf(original, `First use of ${declaration.id}`)]
+    }));
+  }
+
+  return issues;
+}
+
+function normaliseTitle(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function validateCrossReferences({ summary, detail }) {
+  const issues = [];
+  const summaryById = new Map();
+  const detailById = new Map();
+  summary.forEach(d => { if (!summaryById.has(d.id)) summaryById.set(d.id, d); });
+  detail.forEach(d => { if (!detailById.has(d.id)) detailById.set(d.id, d); });
+
+  for (const [id, entry] of summaryById) {
+    if (detailById.has(id)) continue;
+    issues.push(referenceIssue(entry, {
+      ruleId: 'issues.missingDetail',
+      title: 'Missing Detailed Observation',
+      description: `Issue "${id}" is listed in the Summary of Issues but has no detailed observation`,
+      expected: 'Every summarised issue should have a detailed observation',
+      profileRule: 'issues.detailHeadings'
+    }));
+  }
+
+  for (const [id, entry] of detailById) {
+    const summaryEntry = summaryById.get(id);
+    if (!summaryEntry) {
+      issues.push(referenceIssue(entry, {
+        ruleId: 'issues.missingSummary',
+        title: 'Missing from Summary of Issues',
+        description: `Issue "${id}" has a detailed observation but is not listed in the Summary of Issues`,
+        expected: 'Every detailed observation should be listed in the Summary of Issues',
+        profileRule: 'issues.summaryHeadings'
+      }));
+      continue;
+    }
+
+    const related = [locationOf(summaryEntry, `${id} in Summary of Issues`)];
+    const summaryTitle = normaliseTitle(summaryEntry.title);
+    const detailTitle = normaliseTitle(entry.title);
+
+    // Summary tables often shorten titles, so one containing the other is a match
+    if (summaryTitle && detailTitle && !summaryTitle.includes(detailTitle) && !detailTitle.includes(summaryTitle)) {
+      issues.push(referenceIssue(entry, {
+        ruleId: 'issues.titleMismatch',
+        title: 'Issue Title Mismatch',
+        description: `Title of "${id}" differs from the Summary of Issues ("${summaryEntry.title}")`,
+        expected: 'Issue titles should match between summary and detailed sections',
+        relatedLocations: related
+      }));
+    }
+
+    if (summaryEntry.rating && entry.rating && summaryEntry.rating.toLowerCase() !== entry.rating.toLowerCase()) {
+      issues.push(referenceIssue(entry, {
+        ruleId: 'issues.ratingMismatch',
+        title: 'Issue Rating Mismatch',
+        description: `"${id}" is rated ${entry.rating} here but ${summaryEntry.rating} in the Summary of Issues`,
+        expected: 'Issue ratings should match between summary and detailed sections',
+        relatedLocations: related
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Within each risk letter: H.1.1 → H.1.2 (same scope area) or H.1.x → H.2.1 (next scope area)
+function validateSequence(declarations) {
+  const issues = [];
+  const previousByLetter = new Map();
+  const seen = new Set();
+
+  for (const declaration of declarations) {
+    if (seen.has(declaration.id)) continue;
+    seen.add(declaration.id);
+
+    const [, letter, scopeText, sequenceText] = declaration.id.match(ISSUE_ID);
+    const scope = parseInt(scopeText, 10);
+    const sequence = parseInt(sequenceText, 10);
+    const previous = previousByLetter.get(letter);
+    previousByLetter.set(letter, { declaration, scope, sequence });
+
+    const problem = sequenceProblem(letter, scope, sequence, previous);
+    if (!problem) continue;
+
+    issues.push(referenceIssue(declaration, {
+      ruleId: 'issues.sequence',
+      title: problem.title,
+      description: problem.description,
+      expected: 'Issues should follow H.1.1 → H.1.2 (same scope area) or H.1.x → H.2.1 (next scope area)',
+      relatedLocations: previous ? [locationOf(previous.declaration, `Previous issue ${previous.declaration.id}`)] : []
+    }));
+  }
+
+  return issues;
+}
+
+function sequenceProblem(letter, scope, sequence, previous) {
+  const id = `${letter}.${scope}.${sequence}`;
+
+  if (!previous) {
+    if (scope === 1 && sequence === 1) return null;
+    return { title: 'Invalid Issue Numbering', description: `Numbering should start at ${letter}.1.1, found "${id}"` };
+  }
+
+  const { scope: lastScope, sequence: lastSequence } = previous;
+  const last = `${letter}.${lastScope}.${lastSequence}`;
+
+  if (scope === lastScope && sequence === lastSequence + 1) return null;
+  if (scope === lastScope + 1 && sequence === 1) return null;
+
+  if (scope === lastScope && sequence > lastSequence + 1) {
+    return { title: 'Issue Numbering Gap', description: `"${id}" follows "${last}"; ${letter}.${scope}.${lastSequence + 1} is missing` };
+  }
+  if (scope > lastScope + 1 && sequence === 1) {
+    return { title: 'Issue Numbering Gap', description: `"${id}" follows "${last}"; scope area ${letter}.${lastScope + 1} is missing` };
+  }
+  if (scope === lastScope + 1) {
+    return { title: 'Invalid Issue Numbering', description: `"${id}" starts a new scope area and should be ${letter}.${scope}.1` };
+  }
+  return { title: 'Invalid Issue Numbering', description: `"${id}" is out of sequence after "${last}"` };
+}
@@ -0,0 +1,349 @@
+// Name rules: person mentions matched against the people directory and checked for casing,
+// spelling, designations and consistency across the report. A mention is a name next to a
+// designation ("Functional Head: Aman Malhotra", "Aman Malhotra, Plant Head"), after a prefix
+// ("Mr. Aman Malhotra") or anywhere a directory name appears, misspelt or not.
+import { createIssue, escapeRegExp } from './common.js';
+
+const NAME_WORD = "[A-Za-z][A-Za-z'’-]*";
+const CAPITALISED_WORD = "[A-Z][a-z'’-]+";
+// The separator between a designation label and the name it introduces: "Functional Head: "
+const LABEL_SEPARATOR = /^\s*[:\-–—]\s*/;
+// Two or three capitalised words, not running into a capitalised heading: "Aman Malhotra approved it"
+const CAPITALISED_NAME = new RegExp(`^${CAPITALISED_WORD}(?:\\s+${CAPITALISED_WORD}){1,2}(?![\\w'’-]|\\s+[A-Z])`);
+// Two or three words in any case that are the whole value: "Functional Head: aman malhotra."
+const WHOLE_VALUE_NAME = new RegExp(`^(${NAME_WORD}(?:\\s+${NAME_WORD}){1,2})(?=\\s*(?:[,;.()]|$))`);
+// Two or three capitalised words right before ", Plant Head" or "(Plant Head)"
+const APPOSITIVE_NAME = new RegExp(`${CAPITALISED_WORD}(?:\\s+${CAPITALISED_WORD}){1,2}$`);
+
+// Words that make a phrase after a label prose rather than a name: "Plant Head: responsible for stores"
+const NOT_NAME_WORDS = new Set(['the', 'a', 'an', 'of', 'for', 'and', 'or', 'to', 'in', 'on', 'at', 'by', 'with', 'from',
+  'is', 'was', 'are', 'were', 'be', 'has', 'have', 'not', 'no', 'all', 'any', 'this', 'that', 'vacant', 'open', 'tbd', 'na',
+  'approved', 'reviewed', 'agreed', 'noted', 'signed', 'confirmed', 'pending', 'responsible', 'accountable']);
+
+function looksLikeName(name) {
+  return !name.split(/\s+/).some(word => NOT_NAME_WORDS.has(word.toLowerCase()));
+}
+
+// Edit distance, for misspelt names: "Amaan Malhotra" is one edit from "Aman Malhotra"
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Close enough to be the same name: up to one edit per six characters, at most two
+function isSimilarName(a, b) {
+  return levenshtein(a, b) <= Math.min(2, Math.floor(Math.min(a.length, b.length) / 6));
+}
+
+// "aman malhotra" → "Aman Malhotra", "d'souza" → "D'Souza"
+function titleCase(name) {
+  return name.split(/\s+/).map(word => word.toLowerCase().replace(/(^|[-'’])([a-z])/g, (match, mark, letter) => mark + letter.toUpperCase())).join(' ');
+}
+
+function isCapitalised(name) {
+  return name.split(/\s+/).every(word => /^[A-Z]/.test(word));
+}
+
+// Designations as written → canonical title, from the profile's list and the directory's people
+function designationForms(profile) {
+  const forms = new Map();
+  for (const { title } of profile.names.designations) forms.set(title.toLowerCase(), title);
+  for (const { designation } of profile.names.people) {
+    if (designation && !forms.has(designation.toLowerCase())) forms.set(designation.toLowerCase(), designation);
+  }
+  for (const { title, aliases } of profile.names.designations) {
+    for (const alias of aliases || []) {
+      if (!forms.has(alias.toLowerCase())) forms.set(alias.toLowerCase(), title);
+    }
+  }
+  return forms;
+}
+
+// Directory people with the lower-case forms of their name and aliases, indexed by name word
+function peopleIndex(profile) {
+  const people = profile.names.people.map(person => ({
+    ...person,
+    forms: [person.name, ...(person.aliases || [])].map(form => ({ text: form, key: normalizeName(form) }))
+  }));
+  const byWord = new Map();
+  for (const person of people) {
+    for (const form of person.forms) {
+      for (const word of form.key.split(' ')) {
+        if (word.length < 3) continue;
+        if (!byWord.has(word)) byWord.set(word, new Set());
+        byWord.get(word).add(person);
+      }
+    }
+  }
+  return { people, byWord };
+}
+
+// The directory person a name refers to, with the form it matched: { person, form, distance } or null
+function matchPerson(name, candidates) {
+  const key = normalizeName(name);
+  let best = null;
+  for (const person of candidates) {
+    for (const form of person.forms) {
+      if (!isSimilarName(key, form.key)) continue;
+      const distance = levenshtein(key, form.key);
+      if (!best || distance < best.distance) best = { person, form, distance };
+    }
+  }
+  return best;
+}
+
+// Person mentions in one paragraph: { index, text, person, form, designation: { index, text } | null, fixable }.
+// Directory names come first and are kept; a designation or prefix next to one only adds to it.
+function findMentions(text, profile, designationPattern, index) {
+  const mentions = findDirectoryMentions(text, index);
+  const startingAt = start => mentions.find(mention => mention.index === start);
+  const endingAt = end => mentions.find(mention => mention.index + mention.text.length === end);
+  const add = mention => {
+    const end = mention.index + mention.text.length;
+    if (mentions.some(other => mention.index < other.index + other.text.length && end > other.index)) return;
+    const match = matchPerson(mention.text, index.people) || {};
+    // A name found only from its label may run into the words after it: fix it only when its extent
+    // is certain or the directory knows it
+    mentions.push({ ...mention, ...match, fixable: mention.fixable !== false || Boolean(match.person) });
+  };
+
+  if (designationPattern) {
+    for (const match of text.matchAll(designationPattern)) {
+      const designation = { index: match.index, text: match[0] };
+      const separator = text.slice(match.index + match[0].length).match(LABEL_SEPARATOR);
+      if (separator) {
+        const start = match.index + match[0].length + separator[0].length;
+        const known = startingAt(start);
+        if (known) {
+          known.designation = known.designation || designation;
+          continue;
+        }
+        const name = labelledName(text.slice(start));
+        if (name) {
+          add({ index: start, designation, ...name });
+          continue;
+        }
+      }
+
+      const lead = text.slice(0, match.index).match(/\s*[,(]\s*$/);
+      if (!lead) continue;
+      const end = match.index - lead[0].length;
+      const known = endingAt(end);
+      if (known) {
+        known.designation = known.designation || designation;
+        continue;
+      }
+      const before = text.slice(0, end).match(APPOSITIVE_NAME);
+      if (before && looksLikeName(before[0])) add({ index: before.index, text: before[0], designation });
+    }
+  }
+
+  const prefixes = profile.names.forbiddenPrefixes.map(prefix => escapeRegExp(prefix.replace(/\.$/, '')));
+  if (prefixes.length > 0) {
+    const pattern = new RegExp(`\\b(?:${prefixes.join('|')})\\.?\\s+(${CAPITALISED_WORD}(?:\\s+${CAPITALISED_WORD}){1,2})`, 'g');
+    for (const match of text.matchAll(pattern)) {
+      if (!looksLikeName(match[1])) continue;
+      add({ index: match.index + match[0].lastIndexOf(match[1]), text: match[1], designation: null });
+    }
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// The name after a designation label: its capitalised words, stopping at the first lowercase word,
+// or two or three words in any case when they are all the label holds. Returns { text, fixable }:
+// only a whole value is certainly the full name, so only it is fixed without a directory match.
+function labelledName(value) {
+  const capitalised = value.match(CAPITALISED_NAME);
+  if (capitalised) return looksLikeName(capitalised[0]) ? { text: capitalised[0], fixable: false } : null;
+
+  const whole = value.match(WHOLE_VALUE_NAME);
+  return whole && looksLikeName(whole[1]) ? { text: whole[1], fixable: true } : null;
+}
+
+// Directory names anywhere, found through any word of the name or an alias spelt right
+function findDirectoryMentions(text, index) {
+  const mentions = [];
+  const words = [...text.matchAll(new RegExp(NAME_WORD, 'g'))];
+
+  words.forEach((word, w) => {
+    const people = index.byWord.get(word[0].toLowerCase());
+    if (!people) return;
+
+    for (const person of people) {
+      for (const form of person.forms) {
+        const length = form.key.split(' ').length;
+        const position = form.key.split(' ').indexOf(word[0].toLowerCase());
+        if (position < 0) continue;
+        const first = w - position;
+        const last = first + length - 1;
+        if (first < 0 || last >= words.length) continue;
+        // Only whitespace between the words, or a full stop after an initial ("A. Malhotra")
+        const gaps = words.slice(first + 1, last + 1).map((next, i) => {
+          const previous = words[first + i];
+          return { gap: text.slice(previous.index + previous[0].length, next.index), initial: previous[0].length === 1 };
+        });
+        if (gaps.some(({ gap, initial }) => !/^\s+$/.test(gap) && !(initial && /^\.\s*$/.test(gap)))) continue;
+
+        const span = text.slice(words[first].index, words[last].index + words[last][0].length);
+        const start = words[first].index;
+        if (!isSimilarName(normalizeName(span), form.key)) continue;
+        if (mentions.some(other => start < other.index + other.text.length && start + span.length > other.index)) continue;
+        mentions.push({ index: start, text: span, designation: null, fixable: true, ...matchPerson(span, index.people) });
+      }
+    }
+  });
+
+  return mentions;
+}
+
+// Fixes only for names whose extent is certain: mentions found from a label alone may not be
+function nameIssue(mention, fields) {
+  const fixable = mention.fixable !== false;
+  return createIssue({
+    category: 'Content',
+    severity: 'Warning',
+    paragraphIndex: mention.paragraphIndex,
+    searchableText: mention.text,
+    context: mention.context,
+    profileRule: 'names.people',
+    ...fields,
+    autoFixable: fixable,
+    fix: fixable ? fields.fix : null
+  });
+}
+
+// Rule 20: Names and designations match the directory and are written the same way throughout
+export function validateNames(documentStructure, profile) {
+  const forms = designationForms(profile);
+  const designationPattern = forms.size > 0
+    ? new RegExp(`\\b(?:${[...forms.keys()].sort((a, b) => b.length - a.length).map(form => escapeRegExp(form).replace(/\s+/g, '\\s+')).join('|')})\\b`, 'gi')
+    : null;
+  const index = peopleIndex(profile);
+  const mentions = [];
+
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    if (!text) return;
+
+    for (const mention of findMentions(text, profile, designationPattern, index)) {
+      mentions.push({ ...mention, paragraphIndex: paragraph.index ?? i, context: text });
+    }
+  });
+
+  const issues = [];
+  for (const mention of mentions) {
+    issues.push(...validateMention(mention, forms));
+  }
+  issues.push(...validateConsistency(mentions.filter(mention => !mention.person)));
+  return issues;
+}
+
+function validateMention(mention, forms) {
+  const issues = [];
+  const { person, form, designation } = mention;
+
+  if (person && mention.text !== form.text) {
+    const casingOnly = normalizeName(mention.text) === form.key;
+    issues.push(nameIssue(mention, {
+      ruleId: casingOnly ? 'names.casing' : 'names.spelling',
+      title: casingOnly ? 'Name Capitalization' : 'Name Spelling',
+      description: casingOnly
+        ? `"${mention.text}" should be written "${form.text}"`
+        : `"${mention.text}" looks like "${form.text}" in the people directory`,
+      expected: 'Names must match the people directory',
+      fix: { action: 'replaceText', originalText: mention.text, newText: form.text }
+    }));
+  } else if (!person && !isCapitalised(mention.text)) {
+    issues.push(nameIssue(mention, {
+      ruleId: 'names.casing',
+      title: 'Name Capitalization',
+      description: `"${mention.text}" should be capitalised as "${titleCase(mention.text)}"`,
+      expected: 'Names must start with capital letters',
+      fix: { action: 'replaceText', originalText: mention.text, newText: titleCase(mention.text) },
+      profileRule: null
+    }));
+  }
+
+  if (!designation) return issues;
+  const canonical = forms.get(normalizeName(designation.text));
+  const location = { ...mention, text: designation.text, fixable: true };
+
+  if (person?.designation && canonical !== person.designation) {
+    issues.push(nameIssue(location, {
+      ruleId: 'names.designation',
+      title: 'Designation Mismatch',
+      description: `${person.name} is "${person.designation}" in the people directory, not "${designation.text}"`,
+      expected: 'Designations must match the people directory',
+      fix: { action: 'replaceText', originalText: designation.text, newText: person.designation }
+    }));
+  } else if (canonical && designation.text !== canonical) {
+    issues.push(nameIssue(location, {
+      ruleId: 'names.designationFormat',
+      title: 'Designation Format',
+      description: `"${designation.text}" should be written "${canonical}"`,
+      severity: 'Suggestion',
+      expected: 'Designations must match the standard titles',
+      fix: { action: 'replaceText', originalText: designation.text, newText: canonical },
+      profileRule: 'names.designations'
+    }));
+  }
+
+  return issues;
+}
+
+// Names outside the directory spelt more than one way ("Aman Malhotra", "Aman Malhothra"):
+// the spelling used most often, or first, is taken as right
+function validateConsistency(mentions) {
+  const spellings = new Map();
+  for (const mention of mentions) {
+    const key = normalizeName(mention.text);
+    if (!spellings.has(key)) spellings.set(key, []);
+    spellings.get(key).push(mention);
+  }
+
+  const issues = [];
+  const grouped = new Set();
+  for (const key of spellings.keys()) {
+    if (grouped.has(key)) continue;
+    const group = [...spellings.keys()].filter(other => !grouped.has(other) && isSimilarName(key, other));
+    group.forEach(other => grouped.add(other));
+    if (group.length < 2) continue;
+
+    const preferred = group.reduce((best, other) => (spellings.get(other).length > spellings.get(best).length ? other : best));
+    const reference = spellings.get(preferred)[0];
+    const correct = isCapitalised(reference.text) ? reference.text : titleCase(reference.text);
+
+    for (const other of group.filter(other => other !== preferred)) {
+      for (const mention of spellings.get(other)) {
+        issues.push(nameIssue(mention, {
+          ruleId: 'names.inconsistent',
+          title: 'Inconsistent Name Spelling',
+          description: `"${mention.text}" is spelt "${correct}" elsewhere in the report`,
+          expected: 'Each person\'s name must be spelt the same way throughout',
+          fix: { action: 'replaceText', originalText: mention.text, newText: correct },
+          profileRule: null,
+          relatedLocations: [{
+            label: 'Other spelling',
+            paragraphIndex: reference.paragraphIndex,
+            searchableText: reference.text,
+            context: reference.context.slice(0, 200)
+          }]
+        }));
+      }
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,159 @@
+// Number recognition for the number and table rules: every numeric mention in a paragraph,
+// classified by its context (count, amount, year, percentage, reference...), digit grouping in
+// the Indian (1,00,000) and international (100,000) styles, and lakh/crore ↔ million conversion
+import { findDates } from './dateParser.js';
+
+export const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+                             'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+                             'eighteen', 'nineteen', 'twenty'];
+
+// Rupees per unit, by the unit's singular name
+export const UNIT_VALUES = { lakh: 1e5, crore: 1e7, million: 1e6, billion: 1e9 };
+
+const UNIT = '(lakhs?|lacs?|crores?|millions?|billions?)';
+
+// Digits stuck to letters, dots, slashes, colons or hyphens are codes, ranges and times ("H.1.2",
+// "5-10", "10:30"); "Rs.500" is the exception
+const NUMBER = /(?<![\w,/:\-])(?<!(?<!\bRs)\.)\d+(?:,\d+)*(?:\.\d+)?(?![\w/:\-]|[.,]\d)/g;
+
+// Words that make the number after them a label: "Table 3", "Annexure 2", "No. 45"
+const REFERENCE_LABEL = /(?:\b(?:table|figure|fig\.|section|chapter|page|annexure|appendix|schedule|note|step|phase|level|grade|no\.|number|version|clause|para(?:graph)?|item|point|rule|round|tier|category|sl\.|sr\.)|#)\s*$/i;
+
+// Nouns that make the digits after them an identifier: "PO 4500012345", "vendor code 100234",
+// "GL account 400100", "PIN 400001". Commas would corrupt these, so they are never grouped.
+const IDENTIFIER_LABEL = /\b(?:PO|P\.O\.|purchase order|order|invoice|inv\.|bill|voucher|receipt|challan|cheque|account|a\/c|acct\.?|GL|ledger|code|ID|vendor|supplier|customer|client|employee|emp\.|staff|phone|mobile|tel\.|fax|PIN|pincode|PAN|GSTIN|CIN|TAN|IFSC|UTR|transaction|txn|ref\.?|reference|ticket|contract|policy|folio|serial|batch|lot)(?:\s*(?:no\.|number|code|ID|#))?\s*[:#-]?\s*$/i;
+
+// Nine or more bare digits without a currency marker are phone, account or document numbers
+const MIN_IDENTIFIER_DIGITS = 9;
+
+// Digits, a number word, or a count with commas, e.g. for "X out of Y"
+export const COUNT_TOKEN = `(\\d[\\d,]*|${NUMBER_WORDS.join('|')})`;
+
+export function parseCount(token) {
+  const wordIndex = NUMBER_WORDS.indexOf(token.toLowerCase());
+  return wordIndex >= 0 ? wordIndex : parseInt(token.replace(/,/g, ''), 10);
+}
+
+// "lakhs" → "lakh", "lacs" → "lakh", "Crores" → "crore"
+export function unitName(unit) {
+  const singular = unit.toLowerCase().replace(/s$/, '');
+  return singular === 'lac' ? 'lakh' : singular;
+}
+
+// Every number in the text, in order: { text, index, value, decimals, kind, prefix, unit, ... }.
+// kind is 'count', 'amount' (currency prefix or lakh/crore/million unit), 'year', 'percentage',
+// 'decimal', 'reference' (labels, identifiers, list numbers, times) or 'date' (part of a date).
+export function tokenizeNumbers(text) {
+  const dateSpans = findDates(text).map(date => [date.index, date.index + date.text.length]);
+  const tokens = [];
+
+  for (const match of text.matchAll(NUMBER)) {
+    const raw = match[0];
+    const index = match.index;
+    const before = text.slice(Math.max(0, index - 24), index);
+    const after = text.slice(index + raw.length, index + raw.length + 24);
+    const [whole, fraction = ''] = raw.replace(/,/g, '').split('.');
+
+    const prefixMatch = before.match(/(\bINR|\bRs\.?|₹)\s*$/i);
+    const unitMatch = after.match(new RegExp(`^\\s*${UNIT}\\b`, 'i'));
+
+    let kind;
+    if (dateSpans.some(([start, end]) => index >= start && index < end)) kind = 'date';
+    else if (/^\s*(?:%|per\s?cent\b)/i.test(after)) kind = 'percentage';
+    else if (prefixMatch || unitMatch) kind = 'amount';
+    else if (/^(19|20)\d{2}$/.test(raw)) kind = 'year';
+    else if (/^\d+$/.test(raw) && (IDENTIFIER_LABEL.test(before) || raw.length >= MIN_IDENTIFIER_DIGITS)) kind = 'reference';
+    else if (REFERENCE_LABEL.test(before) || /^\s*(?:a\.?m\.?|p\.?m\.?)(?!\w)/i.test(after)) kind = 'reference';
+    else if (!text.slice(0, index).trim() && /^[.)]/.test(after)) kind = 'reference'; // list numbering: "1." or "2)"
+    else if (fraction) kind = 'decimal';
+    else kind = 'count';
+
+    tokens.push({
+      text: raw,
+      index,
+      value: parseFloat(`${whole}.${fraction || '0'}`),
+      decimals: fraction.length,
+      kind,
+      prefix: prefixMatch ? prefixMatch[1] : null,
+      prefixText: prefixMatch ? prefixMatch[0] : '', // with the space after it, as written
+      unit: unitMatch ? unitMatch[1] : null,
+      unitText: unitMatch ? unitMatch[0] : ''
+    });
+  }
+
+  return tokens;
+}
+
+// 'none' (under 1,000), 'ungrouped' (1000), 'both' (10,000 reads the same either way),
+// 'indian' (1,00,000), 'international' (100,000) or 'malformed' (1,0000)
+export function groupingStyle(raw) {
+  const whole = raw.split('.')[0];
+  if (!whole.includes(',')) return whole.length >= 4 ? 'ungrouped' : 'none';
+
+  const indian = /^\d{1,2}(,\d{2})*,\d{3}$/.test(whole);
+  const international = /^\d{1,3}(,\d{3})+$/.test(whole);
+  if (indian && international) return 'both';
+  return indian ? 'indian' : international ? 'international' : 'malformed';
+}
+
+// The number with its whole part grouped in the given style, keeping any decimals as written
+export function groupDigits(raw, style) {
+  const [whole, fraction] = raw.replace(/,/g, '').split('.');
+  const grouped = style === 'indian' && whole.length > 3
+    ? `${whole.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ',')},${whole.slice(-3)}`
+    : whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return fraction !== undefined ? `${grouped}.${fraction}` : grouped;
+}
+
+export function formatNumber(value, decimals, style) {
+  return groupDigits(value.toFixed(decimals), style);
+}
+
+// An amount in one unit restated in the house units: the largest one the amount reaches,
+// e.g. 2.5 million → 25 lakhs, 1.2 billion → 120 crores. Returns { value, unit }.
+export function convertAmount(value, unit, houseUnits) {
+  const rupees = value * UNIT_VALUES[unitName(unit)];
+  const candidates = [...new Set(houseUnits.map(unitName))]
+    .filter(name => UNIT_VALUES[name])
+    .sort((a, b) => UNIT_VALUES[a] - UNIT_VALUES[b]);
+  if (candidates.length === 0) return null;
+
+  const target = [...candidates].reverse().find(name => rupees >= UNIT_VALUES[name]) || candidates[0];
+  const converted = Math.round((rupees / UNIT_VALUES[target]) * 100) / 100;
+  // "lakhs" when the profile lists the plural and the amount isn't exactly one
+  const plural = `${target}s`;
+  return { value: converted, unit: converted !== 1 && houseUnits.includes(plural) ? plural : target };
+}
+
+// "1,25,000", "INR 4.5", "(300)" and "-" (nil) are amounts; percentages and text are not
+export function parseAmount(text) {
+  const cleaned = (text || '').replace(/\b(INR|Rs\.?)\s*|₹/gi, '').replace(/\s+/g, '').trim();
+  if (/^[-–—]$/.test(cleaned)) return { value: 0, decimals: 0 };
+
+  const match = cleaned.match(/^(\()?(-)?(\d{1,3}(?:,\d{2,3})*|\d+)(?:\.(\d+))?(\))?$/);
+  if (!match) return null;
+
+  const [, openParen, minus, whole, fraction = '', closeParen] = match;
+  if (Boolean(openParen) !== Boolean(closeParen)) return null;
+
+  const value = parseFloat(`${whole.replace(/,/g, '')}.${fraction || '0'}`);
+  return { value: openParen || minus ? -value : value, decimals: fraction.length };
+}
+
+export function withinRounding(expected, actual, decimals) {
+  return Math.abs(expected - actual) <= Math.pow(10, -decimals) / 2 + 1e-9;
+}
+
+// Start and end of each sentence; "Rs.", "No." and initials don't end one
+export function sentenceRanges(text) {
+  const ranges = [];
+  let start = 0;
+  for (const match of text.matchAll(/[.!?]+\s+(?=[A-Z0-9("'])/g)) {
+    const preceding = text.slice(Math.max(0, match.index - 4), match.index + 1);
+    if (/(?:\bRs|\bNo|\bMr|\bMs|\bMrs|\bDr|\bvs|\bSl|\bSr|\b[A-Z])\.$/.test(preceding)) continue;
+    ranges.push([start, match.index + match[0].length]);
+    start = match.index + match[0].length;
+  }
+  ranges.push([start, text.length]);
+  return ranges;
+}
@@ -0,0 +1,355 @@
+// Number, currency and digit grouping rules, over the mentions numberParser.js finds in context
+import { createIssue, escapeRegExp } from './common.js';
+import { getHeaderRows } from './tables.js';
+import {
+  tokenizeNumbers, groupingStyle, groupDigits, convertAmount, unitName, sentenceRanges, parseAmount,
+  parseCount, withinRounding, NUMBER_WORDS, UNIT_VALUES, COUNT_TOKEN
+} from './numberParser.js';
+
+const OUT_OF = new RegExp(`\\b${COUNT_TOKEN}\\s+out\\s+of\\s+${COUNT_TOKEN}\\b`, 'gi');
+
+const GROUPING_STYLES = {
+  indian: { name: 'Indian', example: '1,00,000' },
+  international: { name: 'international', example: '100,000' }
+};
+
+export function validateNumbers(paragraph, index, profile) {
+  const text = paragraph.text.trim();
+  const tokens = tokenizeNumbers(text);
+  const outOf = [...text.matchAll(OUT_OF)];
+
+  return [
+    ...validateNumberRepresentation(text, tokens, outOf, index),
+    ...validateOutOf(text, outOf, index),
+    ...validateCurrencyFormat(text, tokens, index, profile),
+    ...validateCommaUsage(text, tokens, index, profile)
+  ];
+}
+
+function capitalize(word) {
+  return word[0].toUpperCase() + word.slice(1);
+}
+
+function startsSentence(text, position) {
+  return sentenceRanges(text).some(([start]) => start <= position && !text.slice(start, position).trim());
+}
+
+// Rule 11: Numbers 1-10 are written in words, unless the sentence also has numbers over 10
+// ("3 of the 25 samples"), where numerals keep them comparable
+function validateNumberRepresentation(text, tokens, outOf, index) {
+  const issues = [];
+  const ranges = sentenceRanges(text);
+
+  for (const token of tokens) {
+    if (token.kind !== 'count' || token.value < 1 || token.value > 10) continue;
+    // "X out of Y" has its own rule; "five (5)" spells the number out already
+    if (outOf.some(match => token.index >= match.index && token.index < match.index + match[0].length)) continue;
+    if (/\(\s*$/.test(text.slice(0, token.index)) && /^\s*\)/.test(text.slice(token.index + token.text.length))) continue;
+
+    const [start, end] = ranges.find(([from, to]) => token.index >= from && token.index < to);
+    const mixed = tokens.some(other => other.index >= start && other.index < end && other.value > 10 &&
+      ['count', 'amount', 'decimal'].includes(other.kind));
+    if (mixed) continue;
+
+    const word = NUMBER_WORDS[token.value];
+    issues.push(createIssue({
+      ruleId: 'number.wordsForSmall',
+      category: 'Number',
+      title: 'Number Representation',
+      description: `Number "${token.text}" should be written in words`,
+      severity: 'Suggestion',
+      paragraphIndex: index,
+      searchableText: token.text,
+      context: text,
+      expected: 'Numbers 1-10 should be written in words unless the sentence has numbers over 10',
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: token.text, newText: startsSentence(text, token.index) ? capitalize(word) : word }
+    }));
+  }
+
+  return issues;
+}
+
+// "X out of Y": both in words when both are 10 or less, both in numerals otherwise
+function validateOutOf(text, outOf, index) {
+  const issues = [];
+
+  for (const match of outOf) {
+    const [phrase, first, second] = match;
+    const values = [parseCount(first), parseCount(second)];
+    const inWords = values.every(value => value <= 10);
+    // Numerals stay as written, commas and all
+    const written = [first, second].map((token, i) => (inWords ? NUMBER_WORDS[values[i]] : /^\d/.test(token) ? token : String(values[i])));
+    let corrected = `${written[0]} out of ${written[1]}`;
+    if (inWords && startsSentence(text, match.index)) corrected = capitalize(corrected);
+    if (corrected === phrase.replace(/\s+/g, ' ')) continue;
+
+    issues.push(createIssue({
+      ruleId: 'number.outOf',
+      category: 'Number',
+      title: 'Number Representation',
+      description: inWords
+        ? `"${phrase}" should be written in words, as both numbers are 10 or less`
+        : `"${phrase}" should use numerals, as it has a number over 10`,
+      severity: 'Suggestion',
+      paragraphIndex: index,
+      searchableText: phrase,
+      context: text,
+      expected: 'Write "X out of Y" in words when both are 10 or less, in numerals otherwise',
+      autoFixable: true,
+      fix: { action: 'replaceText', originalText: phrase, newText: corrected }
+    }));
+  }
+
+  return issues;
+}
+
+// Rule 12: Currency amounts carry the profile's prefix (INR by default) and units (lakhs/crores)
+function validateCurrencyFormat(text, tokens, index, profile) {
+  const issues = [];
+  const { prefix, units } = profile.currency;
+  const houseUnits = units.map(unitName);
+
+  for (const token of tokens) {
+    if (token.kind !== 'amount') continue;
+
+    if (!token.prefix && token.unit) {
+      const amount = `${token.text}${token.unitText}`;
+      issues.push(createIssue({
+        ruleId: 'number.currencyPrefix',
+        category: 'Number',
+        title: 'Missing INR Prefix',
+        description: `Currency amounts should have ${prefix} prefix`,
+        severity: 'Warning',
+        paragraphIndex: index,
+        searchableText: amount,
+        context: text,
+        expected: `Use ${prefix} prefix before amounts`,
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: amount, newText: `${prefix} ${token.text} ${token.unit}` },
+        profileRule: 'currency.prefix'
+      }));
+    } else if (token.prefix && token.prefix !== prefix) {
+      const amount = `${token.prefixText}${token.text}`;
+      issues.push(createIssue({
+        ruleId: 'number.currencyPrefix',
+        category: 'Number',
+        title: 'Incorrect Currency Prefix',
+        description: `"${token.prefix}" should be written as ${prefix}`,
+        severity: 'Warning',
+        paragraphIndex: index,
+        searchableText: amount,
+        context: text,
+        expected: `Use ${prefix} prefix before amounts`,
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: amount, newText: `${prefix} ${token.text}` },
+        profileRule: 'currency.prefix'
+      }));
+    }
+
+    // Millions and billions restated in lakhs and crores (or the other way round, per the profile)
+    if (token.unit && !houseUnits.includes(unitName(token.unit))) {
+      const converted = convertAmount(token.value, token.unit, units);
+      if (!converted) continue;
+
+      const amount = `${token.text}${token.unitText}`;
+      const newText = `${groupDigits(String(converted.value), profile.numbers.grouping)} ${converted.unit}`;
+      issues.push(createIssue({
+        ruleId: 'number.currencyUnit',
+        category: 'Number',
+        title: 'Currency Units',
+        description: `"${amount}" should be stated as ${newText}`,
+        severity: 'Warning',
+        paragraphIndex: index,
+        searchableText: amount,
+        context: text,
+        expected: `State amounts in ${units.join(', ')}`,
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: amount, newText },
+        profileRule: 'currency.units'
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Rule 13: Numbers of four or more digits are grouped with commas, in the profile's style
+// (1,00,000 Indian or 100,000 international); years and references are left alone
+function validateCommaUsage(text, tokens, index, profile) {
+  const issues = [];
+  const house = profile.numbers.grouping;
+
+  for (const token of tokens) {
+    if (!['count', 'amount', 'decimal'].includes(token.kind)) continue;
+
+    const style = groupingStyle(token.text);
+    const grouped = groupDigits(token.text, house);
+
+    if (style === 'ungrouped') {
+      issues.push(createIssue({
+        ruleId: 'number.digitGrouping',
+        category: 'Number',
+        title: 'Missing Comma in Numbers',
+        description: `Number "${token.text}" should use comma separators`,
+        severity: 'Suggestion',
+        paragraphIndex: index,
+        searchableText: token.text,
+        context: text,
+        expected: 'Use commas in large numbers',
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: token.text, newText: grouped },
+        profileRule: 'numbers.grouping'
+      }));
+    } else if (style === 'malformed' || (['indian', 'international'].includes(style) && style !== house)) {
+      issues.push(createIssue({
+        ruleId: 'number.groupingStyle',
+        category: 'Number',
+        title: 'Inconsistent Digit Grouping',
+        description: style === 'malformed'
+          ? `Number "${token.text}" has commas in the wrong places`
+          : `Number "${token.text}" uses ${GROUPING_STYLES[style].name} grouping; this report uses ${GROUPING_STYLES[house].name} grouping (${GROUPING_STYLES[house].example})`,
+        severity: 'Suggestion',
+        paragraphIndex: index,
+        searchableText: token.text,
+        context: text,
+        expected: `Group digits in the ${GROUPING_STYLES[house].name} style, e.g. ${GROUPING_STYLES[house].example}`,
+        autoFixable: true,
+        fix: { action: 'replaceText', originalText: token.text, newText: grouped },
+        profileRule: 'numbers.grouping'
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Rule 19: Amounts quoted in prose match the table row they name, e.g. "the capex budget of
+// INR 120 lakhs" against the "Capex budget" row. Each amount is read against the nearest
+// row label in its sentence, allowing for the rounding the prose uses.
+export function validateAmountReferences(documentStructure, profile) {
+  const rows = (documentStructure.tables || []).flatMap(tableAmounts);
+  if (rows.length === 0) return [];
+
+  const issues = [];
+  documentStructure.paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    if (!text || paragraph.inTable) return;
+
+    const tokens = tokenizeNumbers(text).filter(token => token.kind === 'amount');
+    if (tokens.length === 0) return;
+
+    for (const [start, end] of sentenceRanges(text)) {
+      const sentence = text.slice(start, end).toLowerCase();
+      const mentions = findRowLabels(sentence, rows, start);
+
+      for (const token of tokens.filter(token => token.index >= start && token.index < end)) {
+        const label = nearestLabel(mentions, token, tokens);
+        if (!label) continue;
+
+        const unitValue = token.unit ? UNIT_VALUES[unitName(token.unit)] : 1;
+        const candidates = rows.filter(row => row.key === label.key);
+        const matches = candidates.some(row => withinRounding(row.rupees / unitValue, token.value, token.decimals));
+        // The same label in several tables is ambiguous unless one of them agrees
+        if (matches || candidates.length !== 1) continue;
+
+        const [row] = candidates;
+        const amount = `${token.prefixText}${token.text}${token.unitText}`;
+        issues.push(createIssue({
+          ruleId: 'number.amountMismatch',
+          category: 'Number',
+          title: 'Amount Does Not Match Table',
+          description: `"${amount}" for "${row.label}" does not match Table ${row.cell.tableIndex + 1}, which shows ${row.shown}`,
+          severity: 'Warning',
+          paragraphIndex: paragraph.index ?? i,
+          searchableText: amount,
+          context: text,
+          expected: 'Amounts quoted in the text must match the tables',
+          autoFixable: false,
+          relatedLocations: [{
+            label: `Table ${row.cell.tableIndex + 1}: ${row.label}`,
+            paragraphIndex: row.paragraphIndex,
+            searchableText: row.text,
+            context: row.text,
+            type: 'table',
+            ...row.cell
+          }]
+        }));
+      }
+    }
+  });
+
+  return issues;
+}
+
+// Rows with a text label and one amount: { key, label, rupees, text, shown, cell, paragraphIndex }.
+// Units come from the cell ("INR 5 lakhs") or its column header ("Amount (INR crores)").
+function tableAmounts(table) {
+  const headerRows = getHeaderRows(table);
+  const headerIndexes = new Set(headerRows.map(row => row.index));
+  const columnUnit = index => {
+    const header = headerRows.map(row => row.cells[index]?.text || '').join(' ');
+    const match = header.match(/\b(lakhs?|lacs?|crores?|millions?|billions?)\b/i);
+    return match ? { value: UNIT_VALUES[unitName(match[1])], name: match[1].toLowerCase() } : { value: 1, name: '' };
+  };
+
+  const rows = [];
+  for (const row of table.rows) {
+    const label = (row.cells[0]?.text || '').trim().replace(/[:\s]+$/, '');
+    if (headerIndexes.has(row.index) || !/[a-z]{3}/i.test(label) || label.length > 80) continue;
+
+    const amounts = row.cells.slice(1).map(cell => {
+      const text = (cell.text || '').trim();
+      const plain = parseAmount(text);
+      if (plain) {
+        const unit = columnUnit(cell.index);
+        return { rupees: plain.value * unit.value, text, shown: `${text} ${unit.name}`.trim(), cell };
+      }
+
+      const [token] = tokenizeNumbers(text);
+      if (!token || token.kind !== 'amount' || text.replace(`${token.prefixText}${token.text}${token.unitText}`, '').trim()) return null;
+      return { rupees: token.value * (token.unit ? UNIT_VALUES[unitName(token.unit)] : 1), text, shown: text, cell };
+    }).filter(amount => amount && amount.rupees !== 0);
+    // Rows with several amounts (years, budget vs actual) don't say which one the prose means
+    if (amounts.length !== 1) continue;
+
+    const [amount] = amounts;
+    rows.push({
+      key: label.toLowerCase().replace(/\s+/g, ' '),
+      label,
+      rupees: amount.rupees,
+      text: amount.text,
+      shown: amount.shown,
+      paragraphIndex: table.paragraphIndex ?? null,
+      cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: amount.cell.index }
+    });
+  }
+  return rows;
+}
+
+// Row labels named in a sentence, with their positions in the paragraph; a label inside a
+// longer one at the same place ("Total" in "Grand Total") is the longer one
+function findRowLabels(sentence, rows, offset) {
+  const keys = [...new Set(rows.map(row => row.key))];
+  const found = keys.flatMap(key =>
+    [...sentence.matchAll(new RegExp(`\\b${escapeRegExp(key)}\\b`, 'g'))]
+      .map(match => ({ key, start: offset + match.index, end: offset + match.index + key.length })));
+
+  return found.filter(label => !found.some(other =>
+    other !== label && other.start <= label.start && other.end >= label.end && other.key.length > label.key.length));
+}
+
+// The closest label before the amount, or after it when none comes before. Another amount in
+// between belongs to that label instead: "budget of INR 120 lakhs against INR 90 lakhs spent".
+function nearestLabel(labels, token, amounts) {
+  const between = (from, to) => amounts.some(other => other !== token && other.index >= from && other.index < to);
+
+  const before = labels.filter(label => label.end <= token.index);
+  if (before.length > 0) {
+    const label = before.reduce((best, other) => (other.end > best.end ? other : best));
+    return between(label.end, token.index) ? null : label;
+  }
+  const label = labels.filter(other => other.start > token.index)
+    .reduce((best, other) => (!best || other.start < best.start ? other : best), null);
+  return label && !between(token.index + 1, label.start) ? label : null;
+}
@@ -0,0 +1,258 @@
+// Table rules: row/column totals, header alignment and sample-count reconciliation
+import { createIssue, escapeRegExp, isHeading } from './common.js';
+import { parseAmount, parseCount, withinRounding, COUNT_TOKEN } from './numberParser.js';
+
+export function validateTables(documentStructure, profile) {
+  const tables = documentStructure.tables || [];
+
+  return [
+    ...tables.flatMap(table => [
+      ...validateColumnTotals(table, profile),
+      ...validateRowTotals(table, profile),
+      ...validateHeaderAlignment(table, profile)
+    ]),
+    ...validateSampleCounts(documentStructure, profile)
+  ];
+}
+
+export function getHeaderRows(table) {
+  const marked = table.rows.filter(row => row.isHeader || row.index < (table.headerRowCount || 0));
+  // Unmarked tables: treat the first row as the header, as Word's table styles do
+  return marked.length > 0 ? marked : table.rows.slice(0, 1);
+}
+
+function isTotalRow(row, profile) {
+  const label = (row.cells[0]?.text || '').trim();
+  return profile.tables.totalLabels.some(total => new RegExp(`^${escapeRegExp(total)}\\b`, 'i').test(label));
+}
+
+function cellContext(table, row) {
+  return `Table ${table.index + 1}, row ${row.index + 1}: ${row.cells.map(cell => cell.text).join(' | ')}`;
+}
+
+function formatAmount(value, decimals) {
+  return value.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// Total rows must equal the sum of the rows above them (back to the header or the previous total)
+function validateColumnTotals(table, profile) {
+  const issues = [];
+  const headerIndexes = new Set(getHeaderRows(table).map(row => row.index));
+  let segment = [];
+  let subtotals = [];
+
+  for (const row of table.rows) {
+    if (headerIndexes.has(row.index)) continue;
+
+    if (!isTotalRow(row, profile)) {
+      segment.push(row);
+      continue;
+    }
+
+    // A total after earlier subtotals (e.g. "Grand Total") sums those subtotals
+    const addends = segment.length > 0 ? segment : subtotals;
+    row.cells.slice(1).forEach(cell => {
+      const total = parseAmount(cell.text);
+      if (!total) return;
+
+      const values = addends.map(addend => parseAmount(addend.cells[cell.index]?.text));
+      if (values.length === 0 || values.some(value => value === null)) return;
+
+      const decimals = Math.max(total.decimals, ...values.map(value => value.decimals));
+      const expected = values.reduce((sum, value) => sum + value.value, 0);
+      if (withinRounding(expected, total.value, decimals)) return;
+
+      issues.push(createIssue({
+        ruleId: 'table.columnTotal',
+        category: 'Table',
+        title: 'Incorrect Table Total',
+        description: `Column total is ${cell.text.trim()} but the rows above add up to ${formatAmount(expected, decimals)}`,
+        severity: 'Critical',
+        paragraphIndex: table.paragraphIndex ?? null,
+        searchableText: cell.text.trim(),
+        context: cellContext(table, row),
+        expected: 'Table totals must calculate correctly',
+        autoFixable: false,
+        cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: cell.index }
+      }));
+    });
+
+    subtotals = segment.length > 0 ? [...subtotals, row] : subtotals;
+    segment = [];
+  }
+
+  return issues;
+}
+
+// A "Total" column must equal the sum of the numeric columns before it
+function validateRowTotals(table, profile) {
+  const headerRows = getHeaderRows(table);
+  const lastHeader = headerRows[headerRows.length - 1];
+  if (!lastHeader) return [];
+
+  const totalColumn = lastHeader.cells.find(cell =>
+    profile.tables.totalLabels.some(total => new RegExp(`^${escapeRegExp(total)}\\b`, 'i').test(cell.text.trim()))
+  );
+  if (!totalColumn || totalColumn.index < 2) return [];
+
+  const headerIndexes = new Set(headerRows.map(row => row.index));
+  const issues = [];
+
+  for (const row of table.rows) {
+    // Merged or split cells shift columns; only compare rows shaped like the header
+    if (headerIndexes.has(row.index) || row.cells.length !== lastHeader.cells.length) continue;
+
+    const total = parseAmount(row.cells[totalColumn.index].text);
+    const values = row.cells.slice(1, totalColumn.index).map(cell => parseAmount(cell.text));
+    if (!total || values.length < 2 || values.some(value => value === null)) continue;
+
+    const decimals = Math.max(total.decimals, ...values.map(value => value.decimals));
+    const expected = values.reduce((sum, value) => sum + value.value, 0);
+    if (withinRounding(expected, total.value, decimals)) continue;
+
+    const cell = row.cells[totalColumn.index];
+    issues.push(createIssue({
+      ruleId: 'table.rowTotal',
+      category: 'Table',
+      title: 'Incorrect Table Total',
+      description: `Row total is ${cell.text.trim()} but the row adds up to ${formatAmount(expected, decimals)}`,
+      severity: 'Critical',
+      paragraphIndex: table.paragraphIndex ?? null,
+      searchableText: cell.text.trim(),
+      context: cellContext(table, row),
+      expected: 'Table totals must calculate correctly',
+      autoFixable: false,
+      cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: cell.index }
+    }));
+  }
+
+  return issues;
+}
+
+function validateHeaderAlignment(table, profile) {
+  const expected = profile.tables.headerAlignment;
+  const issues = [];
+
+  for (const row of getHeaderRows(table)) {
+    for (const cell of row.cells) {
+      if (!cell.text.trim() || !cell.horizontalAlignment || cell.horizontalAlignment === expected) continue;
+
+      issues.push(createIssue({
+        ruleId: 'table.headerAlignment',
+        category: 'Table',
+        title: 'Table Header Alignment',
+        description: `Header "${cell.text.trim()}" is ${cell.horizontalAlignment.toLowerCase()}-aligned; table headers should be ${expected.toLowerCase()}`,
+        severity: 'Suggestion',
+        paragraphIndex: table.paragraphIndex ?? null,
+        searchableText: cell.text.trim(),
+        context: cellContext(table, row),
+        expected: 'Table headers should be center-aligned',
+        autoFixable: true,
+        fix: { action: 'alignTableCell', newValue: expected },
+        profileRule: 'tables.headerAlignment',
+        cell: { tableIndex: table.index, rowIndex: row.index, cellIndex: cell.index }
+      }));
+    }
+  }
+
+  return issues;
+}
+
+// Label of the annexure heading a table sits under, e.g. "Annexure B", or null
+function findAnnexureLabel(table, paragraphs, profile) {
+  if (table.paragraphIndex === undefined || table.paragraphIndex === null) return null;
+
+  const annexurePattern = new RegExp(`^((?:${profile.tables.annexureHeadings.map(escapeRegExp).join('|')})\\s*[A-Z0-9]*)`, 'i');
+  for (let i = table.paragraphIndex - 1; i >= 0; i--) {
+    const paragraph = paragraphs[i];
+    const text = (paragraph?.text || '').trim();
+    if (!text || paragraph.inTable) continue;
+
+    const match = text.match(annexurePattern);
+    if (match) return match[1].trim().toLowerCase();
+
+    // A main heading in between means the table is part of the report body
+    if (isHeading(text, paragraph.style, profile)) return null;
+  }
+
+  return null;
+}
+
+// Counts an annexure table can justify: its data rows, and any value in a "sample" column
+function annexureSampleCounts(table, profile) {
+  const headerRows = getHeaderRows(table);
+  const headerIndexes = new Set(headerRows.map(row => row.index));
+  const dataRows = table.rows.filter(row => !headerIndexes.has(row.index) && !isTotalRow(row, profile));
+  const counts = new Set([dataRows.length]);
+
+  const lastHeader = headerRows[headerRows.length - 1];
+  const sampleColumns = (lastHeader?.cells || []).filter(cell => /sample/i.test(cell.text));
+  for (const column of sampleColumns) {
+    for (const row of table.rows) {
+      if (headerIndexes.has(row.index)) continue;
+      const amount = parseAmount(row.cells[column.index]?.text);
+      if (amount) counts.add(amount.value);
+    }
+  }
+
+  return counts;
+}
+
+function validateSampleCounts(documentStructure, profile) {
+  const paragraphs = documentStructure.paragraphs;
+  const annexures = (documentStructure.tables || [])
+    .map(table => ({ label: findAnnexureLabel(table, paragraphs, profile), counts: annexureSampleCounts(table, profile) }))
+    .filter(annexure => annexure.label);
+  if (annexures.length === 0) return [];
+
+  const samplePatterns = [
+    new RegExp(`\\b${COUNT_TOKEN}\\s+(?:out\\s+)?of\\s+(?:the\\s+)?${COUNT_TOKEN}\\s+samples?\\b`, 'gi'),
+    new RegExp(`\\bsample(?:\\s+size)?\\s+(?:of|was|is)\\s+${COUNT_TOKEN}\\b`, 'gi'),
+    new RegExp(`\\b${COUNT_TOKEN}\\s+samples?\\b`, 'gi')
+  ];
+  const annexureRef = new RegExp(`\\b((?:${profile.tables.annexureHeadings.map(escapeRegExp).join('|')})\\s*[A-Z0-9]+)\\b`, 'i');
+
+  const issues = [];
+  paragraphs.forEach((paragraph, i) => {
+    const text = (paragraph.text || '').trim();
+    if (!text || paragraph.inTable) return;
+
+    const referenced = text.match(annexureRef)?.[1].replace(/\s+/g, ' ').toLowerCase();
+    const candidates = referenced
+      ? annexures.filter(annexure => annexure.label.replace(/\s+/g, ' ') === referenced)
+      : annexures;
+    if (candidates.length === 0) return;
+
+    // Patterns run most specific first; "25 samples" inside "3 out of 25 samples" is the same mention
+    const claimed = [];
+    for (const pattern of samplePatterns) {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (claimed.some(([from, to]) => start < to && end > from)) continue;
+        claimed.push([start, end]);
+
+        // "3 out of 25 samples": the sample size is the last number
+        const token = match[match.length - 1];
+
+        const count = parseCount(token);
+        if (candidates.some(annexure => annexure.counts.has(count))) continue;
+
+        issues.push(createIssue({
+          ruleId: 'table.sampleCount',
+          category: 'Table',
+          title: 'Sample Count Mismatch',
+          description: `${count} samples cited here do not match the ${referenced ? referenced.replace(/^./, c => c.toUpperCase()) : 'annexure'} table`,
+          severity: 'Warning',
+          paragraphIndex: paragraph.index ?? i,
+          searchableText: match[0],
+          context: text,
+          expected: 'Sample counts must match between report and annexures',
+          autoFixable: false
+        }));
+      }
+    }
+  });
+
+  return issues;
+}
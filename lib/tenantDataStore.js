@@ -0,0 +1,69 @@
+// Pluggable storage for the reference data each tenant maintains: acronym glossaries, people directories
+// TENANT_DATA_STORE=memory (default) keeps it in-process; TENANT_DATA_STORE=file keeps one JSON file
+// per kind and tenant (<kind>/<tenantId>.json) under TENANT_DATA_DIR. Other backends implement the
+// same two methods:
+//   get(kind, tenantId) -> value or null
+//   put(kind, tenantId, value)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Kinds are fixed names and tenant ids come from the key store; this also keeps the file store inside its directory
+const NAME_PATTERN = /^[\w-]+$/;
+
+export class MemoryTenantDataStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(kind, tenantId) {
+    const value = this.values.get(`${kind}:${tenantId}`);
+    return value ? JSON.parse(JSON.stringify(value)) : null;
+  }
+
+  async put(kind, tenantId, value) {
+    this.values.set(`${kind}:${tenantId}`, JSON.parse(JSON.stringify(value)));
+    return value;
+  }
+}
+
+export class FileTenantDataStore {
+  constructor(directory = process.env.TENANT_DATA_DIR || path.join(os.tmpdir(), 'sahayak-tenant-data')) {
+    this.directory = directory;
+  }
+
+  filePath(kind, tenantId) {
+    if (!NAME_PATTERN.test(kind) || !NAME_PATTERN.test(tenantId)) {
+      throw new Error(`Invalid tenant data key "${kind}/${tenantId}"`);
+    }
+    return path.join(this.directory, kind, `${tenantId}.json`);
+  }
+
+  async get(kind, tenantId) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(kind, tenantId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so readers never see a half-written value
+  async put(kind, tenantId, value) {
+    const target = this.filePath(kind, tenantId);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(value, null, 2));
+    await fs.rename(temp, target);
+    return value;
+  }
+}
+
+let tenantDataStore = null;
+
+export function getTenantDataStore() {
+  if (!tenantDataStore) {
+    tenantDataStore = process.env.TENANT_DATA_STORE === 'file' ? new FileTenantDataStore() : new MemoryTenantDataStore();
+  }
+  return tenantDataStore;
+}
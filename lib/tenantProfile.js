@@ -0,0 +1,11 @@
+// The style profile as a tenant sees it: the named profile plus the organisation's own acronym
+// glossary and people directory
+import { loadProfile } from './profiles/index.js';
+import { getGlossary, withGlossary } from './glossary.js';
+import { getDirectory, withDirectory } from './directory.js';
+
+export async function loadTenantProfile(profileId, tenantId) {
+  const profile = loadProfile(profileId);
+  const [glossary, directory] = await Promise.all([getGlossary(tenantId), getDirectory(tenantId)]);
+  return withDirectory(withGlossary(profile, glossary), directory);
+}
@@ -0,0 +1,105 @@
+// Usage metering: one record per analysis with real token counts, priced from lib/pricing.js
+import crypto from 'crypto';
+import { getUsageStore } from './usageStore.js';
+import { calculateCost } from './pricing.js';
+import { recordTokenUsage } from './quota.js';
+
+// Records the analysis and charges its tokens to the tenant's daily quota
+export async function recordAnalysisUsage({ auth, analysisMode, result, structure, latencyMs, jobId = null, status = 'completed' }) {
+  const usage = result.meta?.usage || { inputTokens: 0, outputTokens: 0 };
+  // Rules-only analyses make no model call and cost nothing
+  const model = analysisMode === 'rules' ? null : result.meta?.model || null;
+
+  const record = {
+    id: `usage_${crypto.randomBytes(8).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    tenantId: auth.tenantId,
+    subject: auth.subject || null,
+    analysisMode,
+    status,
+    provider: model ? result.meta?.provider || null : null,
+    model,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    costUsd: model ? calculateCost(usage, model) : 0,
+    latencyMs,
+    documentChars: structure.fullText?.length || 0,
+    paragraphs: structure.paragraphs?.length || 0,
+    windows: result.meta?.windows || 1,
+    jobId
+  };
+
+  // Metering must never fail an analysis the user has already waited for
+  try {
+    await getUsageStore().append(record);
+  } catch (error) {
+    console.error('Could not record usage:', error);
+  }
+  try {
+    await recordTokenUsage(auth.tenantId, usage);
+  } catch (error) {
+    console.error('Could not charge token quota:', error);
+  }
+
+  return record;
+}
+
+// Failed and cancelled analyses pay for the model calls they made before stopping; the LLM
+// service attaches that usage to its errors as error.meta. Returns the record, or null if none.
+export async function recordFailedAnalysisUsage({ auth, analysisMode, error, structure, latencyMs, jobId = null }) {
+  const usage = error?.meta?.usage;
+  if (!usage || (usage.inputTokens || 0) + (usage.outputTokens || 0) === 0) return null;
+
+  return recordAnalysisUsage({
+    auth,
+    analysisMode,
+    result: { meta: error.meta },
+    structure: structure || {},
+    latencyMs,
+    jobId,
+    status: error.code === 'ANALYSIS_CANCELLED' ? 'cancelled' : 'failed'
+  });
+}
+
+function emptyTotals() {
+  return { analyses: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedAnalyses: 0 };
+}
+
+function addRecord(totals, record) {
+  totals.analyses++;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  if (record.costUsd === null) {
+    totals.unpricedAnalyses++;
+  } else {
+    totals.costUsd = Math.round((totals.costUsd + record.costUsd) * 1000000) / 1000000;
+  }
+}
+
+// Aggregates by tenant and UTC day, with a per-model breakdown for each day
+export async function summariseUsage({ from, to, tenantId = null }) {
+  const records = (await getUsageStore().query({ from, to }))
+    .filter(record => !tenantId || record.tenantId === tenantId);
+
+  const rows = new Map();
+  const totals = emptyTotals();
+
+  for (const record of records) {
+    const date = record.timestamp.slice(0, 10);
+    const key = `${record.tenantId}|${date}`;
+    if (!rows.has(key)) {
+      rows.set(key, { tenantId: record.tenantId, date, ...emptyTotals(), byModel: {} });
+    }
+
+    const row = rows.get(key);
+    const modelKey = record.model || 'rules';
+    row.byModel[modelKey] = row.byModel[modelKey] || emptyTotals();
+
+    addRecord(row, record);
+    addRecord(row.byModel[modelKey], record);
+    addRecord(totals, record);
+  }
+
+  const days = [...rows.values()].sort((a, b) => a.date.localeCompare(b.date) || a.tenantId.localeCompare(b.tenantId));
+  return { totals, days };
+}
@@ -0,0 +1,79 @@
+// Pluggable storage for usage records (one per analysis)
+// USAGE_STORE=memory (default) keeps records in-process; USAGE_STORE=file appends them to one
+// JSON-lines file per UTC day under USAGE_DIR, which several local instances can share.
+// Other backends implement the same two methods:
+//   append(record)
+//   query({ from, to }) -> records with from <= date <= to (YYYY-MM-DD, UTC)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+function recordDate(record) {
+  return record.timestamp.slice(0, 10);
+}
+
+export class MemoryUsageStore {
+  constructor() {
+    this.records = [];
+  }
+
+  async append(record) {
+    this.records.push(record);
+  }
+
+  async query({ from, to }) {
+    return this.records.filter(record => recordDate(record) >= from && recordDate(record) <= to);
+  }
+}
+
+export class FileUsageStore {
+  constructor(directory = process.env.USAGE_DIR || path.join(os.tmpdir(), 'sahayak-usage')) {
+    this.directory = directory;
+  }
+
+  filePath(date) {
+    return path.join(this.directory, `usage-${date}.jsonl`);
+  }
+
+  // Appends of a single short line are not interleaved between processes
+  async append(record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(this.filePath(recordDate(record)), `${JSON.stringify(record)}\n`);
+  }
+
+  async query({ from, to }) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.sort()) {
+      const match = file.match(/^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (!match || match[1] < from || match[1] > to) continue;
+
+      const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          console.warn(`Skipping unreadable usage record in ${file}`);
+        }
+      }
+    }
+    return records;
+  }
+}
+
+let usageStore = null;
+
+export function getUsageStore() {
+  if (!usageStore) {
+    usageStore = process.env.USAGE_STORE === 'file' ? new FileUsageStore() : new MemoryUsageStore();
+  }
+  return usageStore;
+}
@@ -1,4 +1,9 @@
 // Utility functions for Vercel serverless functions
+import { getProvider, missingProviderEnv } from './providers/index.js';
+import { WAIVER_SCOPES } from './waivers.js';
+import { EXPORT_FORMATS } from './export/index.js';
+import { MAX_GLOSSARY_ENTRIES } from './glossary.js';
+import { MAX_DIRECTORY_PEOPLE, MAX_DIRECTORY_DESIGNATIONS } from './directory.js';
 
 export function handleCORS(req, res) {
   const allowedOrigins = [
@@ -18,6 +23,7 @@ export function handleCORS(req, res) {
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-User-ID');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-TokenQuota-Limit, X-TokenQuota-Remaining, X-TokenQuota-Reset');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
 }
 
@@ -28,12 +34,12 @@ export function validateRequest(body) {
     return { valid: false, errors: ['Request body is required'] };
   }
   
-  const { documentText, documentStructure, analysisMode, userId } = body;
+  const { documentText, documentStructure, analysisMode, userId, profileId, incremental, waivers } = body;
   
-  // Validate document text OR document structure
+  // Validate document text OR document structure; the structure is analysed when both are sent
   if (!documentText && !documentStructure) {
     errors.push('Either documentText or documentStructure is required');
-  } else if (documentText) {
+  } else if (!documentStructure) {
     // Validate plain text format
     if (typeof documentText !== 'string') {
       errors.push('documentText must be a string');
@@ -42,7 +48,7 @@ export function validateRequest(body) {
     } else if (documentText.length > 200000) {
       errors.push('documentText is too long (maximum 200,000 characters)');
     }
-  } else if (documentStructure) {
+  } else {
     // Validate structured format
     if (typeof documentStructure !== 'object') {
       errors.push('documentStructure must be an object');
@@ -54,6 +60,8 @@ export function validateRequest(body) {
       errors.push('documentStructure.fullText is too short (minimum 100 characters)');
     } else if (documentStructure.fullText.length > 200000) {
       errors.push('documentStructure.fullText is too long (maximum 200,000 characters)');
+    } else if (documentStructure.tables !== undefined) {
+      errors.push(...validateTables(documentStructure.tables));
     }
   }
   
@@ -62,6 +70,21 @@ export function validateRequest(body) {
     errors.push('analysisMode must be one of: llm, rules, hybrid');
   }
   
+  // Validate style profile reference, e.g. "audit-default" or "audit-default@1"
+  if (profileId !== undefined && !isProfileId(profileId)) {
+    errors.push('profileId must be a profile name, optionally pinned to a version (e.g. audit-default@1)');
+  }
+  
+  // Validate diff-aware re-analysis: the paragraph hashes of the previous scan and the issues fixed since
+  if (incremental !== undefined) {
+    errors.push(...validateIncremental(incremental));
+  }
+  
+  // Validate waivers: accepted findings to leave out of the results
+  if (waivers !== undefined) {
+    errors.push(...validateWaivers(waivers));
+  }
+  
   // Validate user ID (optional but if provided, should be valid)
   if (userId && (typeof userId !== 'string' || userId.length > 100)) {
     errors.push('userId must be a string with maximum 100 characters');
@@ -73,6 +96,356 @@ export function validateRequest(body) {
   };
 }
 
+// The text fields the exports write out; each may be missing but must otherwise be a string
+const EXPORT_ISSUE_TEXT = ['id', 'rule', 'title', 'description', 'category', 'severity', 'expected', 'profileRule'];
+const EXPORT_LOCATION_TEXT = ['searchableText', 'context'];
+const EXPORT_WAIVER_TEXT = ['scope', 'justification', 'author', 'createdAt'];
+const EXPORT_META_TEXT = ['engine', 'provider', 'model', 'timestamp', 'processingVersion'];
+
+const isExportText = value => value === undefined || value === null || typeof value === 'string';
+
+function exportIssueErrors(issues, name) {
+  const errors = [];
+
+  issues.forEach((issue, i) => {
+    const fields = EXPORT_ISSUE_TEXT.filter(field => !isExportText(issue[field]));
+    if (issue.location !== undefined && issue.location !== null) {
+      if (typeof issue.location !== 'object') {
+        fields.push('location');
+      } else {
+        fields.push(...EXPORT_LOCATION_TEXT.filter(field => !isExportText(issue.location[field])).map(field => `location.${field}`));
+      }
+    }
+    if (issue.fix !== undefined && issue.fix !== null && typeof issue.fix !== 'object') fields.push('fix');
+    if (issue.waiver) {
+      fields.push(...EXPORT_WAIVER_TEXT.filter(field => !isExportText(issue.waiver[field])).map(field => `waiver.${field}`));
+    }
+    if (fields.length > 0) errors.push(`${name}[${i}] has fields of the wrong type: ${fields.join(', ')}`);
+  });
+
+  return errors.slice(0, 10);
+}
+
+export function validateExportRequest(body) {
+  if (!body) {
+    return { valid: false, errors: ['Request body is required'] };
+  }
+
+  const errors = [];
+  const { format, result, documentName, reviewer } = body;
+
+  if (!Object.keys(EXPORT_FORMATS).includes(format)) {
+    errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  if (!result || typeof result !== 'object') {
+    errors.push('result (the data of an analysis response) is required');
+  } else {
+    const isIssueList = list => Array.isArray(list) && list.length <= 10000 && list.every(issue => issue && typeof issue === 'object');
+    if (!isIssueList(result.issues)) {
+      errors.push('result.issues must be an array of issues (maximum 10,000)');
+    } else {
+      errors.push(...exportIssueErrors(result.issues, 'result.issues'));
+    }
+    if (result.waived !== undefined && !(isIssueList(result.waived) && result.waived.every(issue => issue.waiver && typeof issue.waiver === 'object'))) {
+      errors.push('result.waived must be an array of issues, each with its waiver');
+    } else if (result.waived !== undefined) {
+      errors.push(...exportIssueErrors(result.waived, 'result.waived'));
+    }
+    if (result.meta !== undefined && (typeof result.meta !== 'object' || result.meta === null)) {
+      errors.push('result.meta must be an object');
+    } else if (result.meta && EXPORT_META_TEXT.some(field => !isExportText(result.meta[field]))) {
+      errors.push(`result.meta has fields of the wrong type: ${EXPORT_META_TEXT.filter(field => !isExportText(result.meta[field])).join(', ')}`);
+    }
+  }
+
+  if (documentName !== undefined && (typeof documentName !== 'string' || documentName.length > 255)) {
+    errors.push('documentName must be a string with maximum 255 characters');
+  }
+  if (reviewer !== undefined && (typeof reviewer !== 'string' || reviewer.length > 200)) {
+    errors.push('reviewer must be a string with maximum 200 characters');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+const MAX_BATCH_FILES = 20;
+// Claude-backed files take up to a minute each, and the batch has to finish inside one function run
+const MAX_MODEL_BATCH_FILES = 5;
+
+// A batch of .docx files, base64-encoded, analysed on the server with the same options as /analyze
+export function validateBatchRequest(body) {
+  if (!body) {
+    return { valid: false, errors: ['Request body is required'] };
+  }
+
+  const errors = [];
+  const { files, analysisMode, profileId, waivers } = body;
+
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_BATCH_FILES) {
+    errors.push(`files must be an array of 1 to ${MAX_BATCH_FILES} files`);
+  } else if (analysisMode && analysisMode !== 'rules' && files.length > MAX_MODEL_BATCH_FILES) {
+    errors.push(`files must hold at most ${MAX_MODEL_BATCH_FILES} files in ${analysisMode} mode; use rules mode or jobs for more`);
+  } else {
+    files.forEach((file, index) => errors.push(...validateDocxFile(file, `files[${index}]`)));
+  }
+
+  if (analysisMode && !['llm', 'rules', 'hybrid'].includes(analysisMode)) {
+    errors.push('analysisMode must be one of: llm, rules, hybrid');
+  }
+  if (profileId !== undefined && !isProfileId(profileId)) {
+    errors.push('profileId must be a profile name, optionally pinned to a version (e.g. audit-default@1)');
+  }
+  if (waivers !== undefined) {
+    errors.push(...validateWaivers(waivers));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.slice(0, 20)
+  };
+}
+
+// A .docx sent as { name, content } with content base64-encoded
+function validateDocxFile(file, label) {
+  const errors = [];
+  if (!file || typeof file.name !== 'string' || !file.name.trim() || file.name.length > 255) {
+    errors.push(`${label}.name must be a file name with maximum 255 characters`);
+  } else if (!/\.docx$/i.test(file.name)) {
+    errors.push(`${label}.name must end in .docx`);
+  }
+  if (typeof file?.content !== 'string' || !file.content || !/^[A-Za-z0-9+/]+={0,2}$/.test(file.content)) {
+    errors.push(`${label}.content must be the file's bytes, base64-encoded`);
+  }
+  return errors;
+}
+
+export function validateFixRequest(body) {
+  if (!body) {
+    return { valid: false, errors: ['Request body is required'] };
+  }
+
+  const errors = [...validateDocxFile(body.file, 'file')];
+  const { issueIds, issues, analysisMode, profileId, waivers } = body;
+
+  if (issueIds !== 'all' && (!Array.isArray(issueIds) || issueIds.length === 0 || issueIds.length > 500 || issueIds.some(id => typeof id !== 'string'))) {
+    errors.push('issueIds must be "all" or an array of 1 to 500 issue ids');
+  }
+  // Findings from an earlier analysis of the same file, so the fix doesn't analyse it again
+  if (issues !== undefined && (!Array.isArray(issues) || issues.length > 2000 || issues.some(issue => !issue || typeof issue.id !== 'string'))) {
+    errors.push('issues must be an array of up to 2000 findings, each with an id');
+  }
+  if (analysisMode && !['llm', 'rules', 'hybrid'].includes(analysisMode)) {
+    errors.push('analysisMode must be one of: llm, rules, hybrid');
+  }
+  if (profileId !== undefined && !isProfileId(profileId)) {
+    errors.push('profileId must be a profile name, optionally pinned to a version (e.g. audit-default@1)');
+  }
+  if (waivers !== undefined) {
+    errors.push(...validateWaivers(waivers));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.slice(0, 20)
+  };
+}
+
+// { entries: [{ acronym, fullForm, known }] }; acronyms are capitals only, as the rules find them ("SOPs" is a use of "SOP")
+export function validateGlossaryRequest(body) {
+  if (!body) {
+    return { valid: false, errors: ['Request body is required'] };
+  }
+
+  const { entries } = body;
+  if (!Array.isArray(entries) || entries.length > MAX_GLOSSARY_ENTRIES) {
+    return { valid: false, errors: [`entries must be an array of up to ${MAX_GLOSSARY_ENTRIES} glossary entries`] };
+  }
+
+  const errors = [];
+  entries.forEach((entry, e) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`entries[${e}] must be an object`);
+      return;
+    }
+    if (typeof entry.acronym !== 'string' || !/^[A-Z]{2,12}$/.test(entry.acronym.trim())) {
+      errors.push(`entries[${e}].acronym must be 2 to 12 capital letters`);
+    }
+    if (entry.known !== undefined && typeof entry.known !== 'boolean') {
+      errors.push(`entries[${e}].known must be true or false`);
+    }
+    const hasFullForm = typeof entry.fullForm === 'string' && entry.fullForm.trim().length > 0 && entry.fullForm.length <= 200;
+    if (entry.fullForm !== undefined && entry.fullForm !== null && !hasFullForm) {
+      errors.push(`entries[${e}].fullForm must be a string of at most 200 characters`);
+    } else if (!hasFullForm && !entry.known) {
+      errors.push(`entries[${e}] needs a fullForm unless it is marked known`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.slice(0, 20)
+  };
+}
+
+// { people: [{ name, designation, aliases }], designations: [{ title, aliases }] }, after any CSV is parsed
+export function validateDirectoryRequest(body) {
+  if (!body) {
+    return { valid: false, errors: ['Request body is required'] };
+  }
+
+  const { people = [], designations = [], csv } = body;
+  if (csv !== undefined) {
+    return { valid: false, errors: ['csv must be the text of a CSV file'] };
+  }
+  if (!Array.isArray(people) || people.length > MAX_DIRECTORY_PEOPLE) {
+    return { valid: false, errors: [`people must be an array of up to ${MAX_DIRECTORY_PEOPLE} people`] };
+  }
+  if (!Array.isArray(designations) || designations.length > MAX_DIRECTORY_DESIGNATIONS) {
+    return { valid: false, errors: [`designations must be an array of up to ${MAX_DIRECTORY_DESIGNATIONS} designations`] };
+  }
+
+  const errors = [];
+  const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+  const isAliases = aliases => aliases === undefined || (Array.isArray(aliases) && aliases.length <= 10 && aliases.every(alias => isText(alias, 100)));
+
+  people.forEach((person, p) => {
+    if (!person || typeof person !== 'object') {
+      errors.push(`people[${p}] must be an object`);
+      return;
+    }
+    if (!isText(person.name, 100) || !/\s/.test(person.name.trim())) {
+      errors.push(`people[${p}].name must be a full name of at most 100 characters`);
+    }
+    if (person.designation !== undefined && person.designation !== null && !isText(person.designation, 100)) {
+      errors.push(`people[${p}].designation must be a string of at most 100 characters`);
+    }
+    if (!isAliases(person.aliases)) {
+      errors.push(`people[${p}].aliases must be an array of up to 10 names`);
+    }
+  });
+  designations.forEach((designation, d) => {
+    if (!designation || !isText(designation.title, 100)) {
+      errors.push(`designations[${d}].title must be a string of at most 100 characters`);
+    }
+    if (designation && !isAliases(designation.aliases)) {
+      errors.push(`designations[${d}].aliases must be an array of up to 10 titles`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.slice(0, 20)
+  };
+}
+
+function isProfileId(value) {
+  return typeof value === 'string' && /^[a-z0-9][a-z0-9-]{0,63}(@\d+)?$/.test(value);
+}
+
+// Plain-text requests have no Office.js structure; derive one paragraph per line
+export function buildDocumentStructure(documentText) {
+  const paragraphs = documentText
+    .split(/\r?\n/)
+    .map((text, index) => ({ index, text }));
+
+  return { fullText: documentText, paragraphs };
+}
+
+function validateIncremental(incremental) {
+  if (!incremental || typeof incremental !== 'object') {
+    return ['incremental must be an object'];
+  }
+
+  const errors = [];
+  const { baseHashes, fixedIssueIds = [] } = incremental;
+  if (!Array.isArray(baseHashes) || baseHashes.some(hash => typeof hash !== 'string' || !/^[0-9a-f]{16}$/.test(hash))) {
+    errors.push('incremental.baseHashes must be the paragraphHashes returned by the previous scan');
+  }
+  if (!Array.isArray(fixedIssueIds) || fixedIssueIds.length > 1000 || fixedIssueIds.some(id => typeof id !== 'string')) {
+    errors.push('incremental.fixedIssueIds must be an array of issue ids');
+  }
+  return errors;
+}
+
+function validateWaivers(waivers) {
+  if (!Array.isArray(waivers)) {
+    return ['waivers must be an array'];
+  }
+  if (waivers.length > 500) {
+    return ['waivers has too many entries (maximum 500)'];
+  }
+
+  const errors = [];
+  const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+  waivers.forEach((waiver, w) => {
+    if (!waiver || typeof waiver !== 'object') {
+      errors.push(`waivers[${w}] must be an object`);
+      return;
+    }
+    if (!WAIVER_SCOPES.includes(waiver.scope)) {
+      errors.push(`waivers[${w}].scope must be one of: ${WAIVER_SCOPES.join(', ')}`);
+    }
+    if (!isText(waiver.rule, 200)) {
+      errors.push(`waivers[${w}].rule is required`);
+    }
+    if (waiver.pattern !== undefined && waiver.pattern !== null && (typeof waiver.pattern !== 'string' || waiver.pattern.length > 255)) {
+      errors.push(`waivers[${w}].pattern must be a string of at most 255 characters`);
+    }
+    if (waiver.scope === 'occurrence' && !isText(waiver.anchor, 500)) {
+      errors.push(`waivers[${w}].anchor (the paragraph text) is required for occurrence waivers`);
+    }
+    if (!isText(waiver.justification, 2000)) {
+      errors.push(`waivers[${w}].justification is required`);
+    }
+    if (!isText(waiver.author, 200)) {
+      errors.push(`waivers[${w}].author is required`);
+    }
+  });
+
+  return errors.slice(0, 10);
+}
+
+function validateTables(tables) {
+  if (!Array.isArray(tables)) {
+    return ['documentStructure.tables must be an array'];
+  }
+  if (tables.length > 500) {
+    return ['documentStructure.tables has too many tables (maximum 500)'];
+  }
+
+  // The table rules find header rows, columns and cells by these indexes
+  const isIndex = value => Number.isInteger(value) && value >= 0;
+
+  const errors = [];
+  tables.forEach((table, t) => {
+    if (!table || !Array.isArray(table.rows)) {
+      errors.push(`documentStructure.tables[${t}].rows must be an array`);
+      return;
+    }
+    if (!isIndex(table.index)) {
+      errors.push(`documentStructure.tables[${t}].index must be a non-negative integer`);
+    }
+
+    table.rows.forEach((row, r) => {
+      if (!row || !Array.isArray(row.cells)) {
+        errors.push(`documentStructure.tables[${t}].rows[${r}].cells must be an array`);
+      } else if (!isIndex(row.index)) {
+        errors.push(`documentStructure.tables[${t}].rows[${r}].index must be a non-negative integer`);
+      } else if (row.cells.some(cell => !cell || typeof cell.text !== 'string')) {
+        errors.push(`documentStructure.tables[${t}].rows[${r}] has a cell without text`);
+      } else if (row.cells.some(cell => !isIndex(cell.index))) {
+        errors.push(`documentStructure.tables[${t}].rows[${r}] has a cell without an integer index`);
+      }
+    });
+  });
+
+  return errors.slice(0, 10);
+}
+
 export function generateJobId() {
   const timestamp = Date.now().toString(36);
   const random = Math.random().toString(36).substring(2, 8);
@@ -114,52 +487,6 @@ export function getClientIP(req) {
          'unknown';
 }
 
-export function isValidApiKey(apiKey) {
-  // For development, allow any key
-  if (process.env.NODE_ENV === 'development') {
-    return true;
-  }
-  
-  // In production, validate against stored keys
-  const validKeys = (process.env.VALID_API_KEYS || '').split(',');
-  return validKeys.includes(apiKey);
-}
-
-export function getUserIdFromApiKey(apiKey) {
-  // Simple mapping for demo - in production, use proper authentication
-  if (process.env.NODE_ENV === 'development') {
-    return 'dev_user';
-  }
-  
-  // Hash the API key to create a consistent user ID
-  let hash = 0;
-  for (let i = 0; i < apiKey.length; i++) {
-    const char = apiKey.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  
-  return `user_${Math.abs(hash)}`;
-}
-
-export function calculateCost(tokenCount, model = 'gpt-4') {
-  const pricing = {
-    'gpt-4': { input: 0.03, output: 0.06 }, // per 1K tokens
-    'gpt-3.5-turbo': { input: 0.001, output: 0.002 }
-  };
-  
-  const modelPricing = pricing[model] || pricing['gpt-4'];
-  
-  // Rough estimate: assume 50% input, 50% output
-  const inputTokens = tokenCount * 0.7;
-  const outputTokens = tokenCount * 0.3;
-  
-  const cost = (inputTokens / 1000 * modelPricing.input) + 
-               (outputTokens / 1000 * modelPricing.output);
-  
-  return Math.round(cost * 10000) / 10000; // Round to 4 decimal places
-}
-
 export function formatError(error, includeStack = false) {
   const errorResponse = {
     error: error.message || 'Unknown error',
@@ -174,9 +501,8 @@ export function formatError(error, includeStack = false) {
   return errorResponse;
 }
 
-export function validateEnvironment() {
-  const requiredVars = ['ANTHROPIC_API_KEY'];
-  const missing = requiredVars.filter(varName => !process.env[varName]);
+export function validateEnvironment(provider = getProvider()) {
+  const missing = missingProviderEnv(provider);
   
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
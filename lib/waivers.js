@@ -0,0 +1,75 @@
+// Waivers: findings a reviewer has accepted as-is, with a justification. The add-in keeps them
+// (in the document for "occurrence" and "document" scope, per user for "global") and sends them
+// with each analysis, so waived findings are filtered out of the results here, LLM output included.
+//
+// A waiver matches findings of its rule (the rules engine's rule id, or the title for LLM findings)
+// whose searchable text matches its pattern ("*" matches anything; no pattern matches all text).
+// An "occurrence" waiver also pins the paragraph: its text must still read the same.
+import { buildSummary } from './rules/index.js';
+
+export const WAIVER_SCOPES = ['occurrence', 'document', 'global'];
+
+// Paragraph text as compared for occurrence waivers; the add-in normalises the same way
+export function waiverAnchor(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().slice(0, 500);
+}
+
+export function issueRule(issue) {
+  return issue.rule || issue.title;
+}
+
+function patternMatcher(pattern) {
+  if (!pattern) return () => true;
+
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s\\S]*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return text => regex.test((text || '').trim());
+}
+
+// Returns issue => waiver or null
+export function createWaiverMatcher(waivers = [], documentStructure) {
+  if (waivers.length === 0) return () => null;
+
+  const compiled = waivers.map(waiver => ({
+    waiver,
+    matchesText: patternMatcher(waiver.pattern)
+  }));
+  const paragraphs = documentStructure?.paragraphs || [];
+
+  return issue => {
+    const rule = issueRule(issue);
+    const found = compiled.find(({ waiver, matchesText }) => {
+      if (waiver.rule !== rule || !matchesText(issue.location?.searchableText)) return false;
+      if (waiver.scope !== 'occurrence') return true;
+
+      const paragraph = paragraphs[issue.location?.paragraphIndex];
+      return Boolean(paragraph) && waiverAnchor(paragraph.text) === waiver.anchor;
+    });
+    return found ? found.waiver : null;
+  };
+}
+
+// Moves waived findings out of result.issues into result.waived, each with the waiver that covers it
+export function applyWaivers(result, waiverFor, documentStructure) {
+  const issues = [];
+  const waived = [];
+
+  for (const issue of result.issues) {
+    const waiver = waiverFor(issue);
+    if (!waiver) {
+      issues.push(issue);
+      continue;
+    }
+    const { id, scope, justification, author, createdAt } = waiver;
+    waived.push({ ...issue, waiver: { id, scope, justification, author, createdAt } });
+  }
+
+  if (waived.length === 0) return { ...result, waived };
+
+  return {
+    ...result,
+    summary: { ...buildSummary(issues, documentStructure), waived: waived.length },
+    issues,
+    waived
+  };
+}
@@ -0,0 +1,163 @@
+// Minimal ZIP archive reader and writer on top of zlib, enough for Office Open XML packages (.docx)
+import zlib from 'zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// entries: [{ name, data }] with data a string (written as UTF-8) or a Buffer; returns the archive
+export function createZip(entries, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// Inflated size limits: an entry, and all entries of one archive together. Real .docx parts are
+// a few MB; a crafted archive can declare up to 4 GB per entry.
+export const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+export const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+function zipError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ZIP';
+  return error;
+}
+
+// Reads the central directory; returns { names, read(name) } where read inflates one entry
+// (a Buffer, or null when there is no such entry). Encrypted and ZIP64 archives are not supported.
+export function openZip(buffer) {
+  // The end-of-central-directory record is last, followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw zipError('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  if (position === 0xffffffff || count === 0xffff) throw zipError('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+      throw zipError('Corrupt ZIP central directory');
+    }
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    entries.set(name, {
+      flags: buffer.readUInt16LE(position + 8),
+      method: buffer.readUInt16LE(position + 10),
+      compressedSize: buffer.readUInt32LE(position + 20),
+      size: buffer.readUInt32LE(position + 24),
+      offset: buffer.readUInt32LE(position + 42)
+    });
+    position += 46 + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+  }
+
+  // Each entry counts once towards the archive limit, however often it is read
+  const inflated = new Map();
+  const total = () => [...inflated.values()].reduce((sum, size) => sum + size, 0);
+
+  return {
+    names: [...entries.keys()],
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.flags & 1) throw zipError(`${name} is encrypted`);
+      if (entry.size > MAX_ENTRY_SIZE) throw zipError(`${name} is larger than ${MAX_ENTRY_SIZE / 1024 / 1024} MB`);
+      const remaining = MAX_ARCHIVE_SIZE - total() + (inflated.get(name) || 0);
+      if (entry.size > remaining) throw zipError(`The archive is larger than ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB uncompressed`);
+      if (buffer.readUInt32LE(entry.offset) !== 0x04034b50) throw zipError(`Corrupt ZIP entry ${name}`);
+
+      // The local header repeats the name but may carry a different extra field
+      const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+      const data = buffer.subarray(start, start + entry.compressedSize);
+      if (entry.method !== 0 && entry.method !== 8) throw zipError(`${name} uses an unsupported compression method`);
+
+      let output;
+      try {
+        // The declared size, checked against the limits above, caps the output
+        output = entry.method === 0
+          ? Buffer.from(data)
+          : zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+      } catch {
+        throw zipError(`Corrupt ZIP entry ${name}`);
+      }
+      if (output.length > remaining) throw zipError(`The archive is larger than ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB uncompressed`);
+      inflated.set(name, output.length);
+      return output;
+    }
+  };
+}
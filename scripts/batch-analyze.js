@@ -0,0 +1,138 @@
+// Analyses every .docx file under a folder without Word and writes one report per file plus a
+// portfolio summary. Runs the analysis in this process: llm and hybrid modes need the same
+// provider environment variables as the server (see README_BACKEND.md).
+// Usage: node scripts/batch-analyze.js <folder> [--out dir] [--mode rules|llm|hybrid]
+//          [--profile id] [--waivers waivers.json] [--glossary glossary.json] [--directory people.csv]
+//          [--format json|csv|sarif|html|docx]
+import fs from 'fs';
+import path from 'path';
+import { analyzeDocument, portfolioSummary } from '../lib/batch.js';
+import { loadProfile, DEFAULT_PROFILE_ID } from '../lib/profiles/index.js';
+import { buildReport, EXPORT_FORMATS } from '../lib/export/index.js';
+import { toPortfolioCsv } from '../lib/export/csv.js';
+import { validateEnvironment, validateGlossaryRequest, validateDirectoryRequest } from '../lib/utils.js';
+import { withGlossary } from '../lib/glossary.js';
+import { withDirectory, parseDirectoryCsv } from '../lib/directory.js';
+
+const USAGE = 'Usage: node scripts/batch-analyze.js <folder> [--out dir] [--mode rules|llm|hybrid] [--profile id] [--waivers waivers.json] [--glossary glossary.json] [--directory people.csv] [--format json|csv|sarif|html|docx]';
+
+function fail(message) {
+  console.error(message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const options = { out: 'sahayak-results', mode: 'rules', profile: DEFAULT_PROFILE_ID, waivers: null, glossary: null, directory: null, format: 'json' };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].match(/^--(out|mode|profile|waivers|glossary|directory|format)$/)?.[1];
+    if (!flag) {
+      if (args[i].startsWith('--')) fail(`Unknown option ${args[i]}`);
+      positional.push(args[i]);
+      continue;
+    }
+    if (i + 1 >= args.length) fail(`${args[i]} needs a value`);
+    options[flag] = args[++i];
+  }
+
+  if (positional.length !== 1) fail('Give exactly one folder to analyse');
+  if (!['rules', 'llm', 'hybrid'].includes(options.mode)) fail('--mode must be one of: rules, llm, hybrid');
+  if (!EXPORT_FORMATS[options.format]) fail(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  return { folder: positional[0], ...options };
+}
+
+// .docx files under the folder, sorted; Word's "~$" lock files and the output folder are skipped
+function findDocuments(folder, outDir) {
+  const found = [];
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (path.resolve(fullPath) !== outDir) visit(fullPath);
+      } else if (/\.docx$/i.test(entry.name) && !entry.name.startsWith('~$')) {
+        found.push(fullPath);
+      }
+    }
+  };
+  visit(folder);
+  return found.sort();
+}
+
+const options = parseArgs(process.argv.slice(2));
+const outDir = path.resolve(options.out);
+
+if (!fs.existsSync(options.folder) || !fs.statSync(options.folder).isDirectory()) {
+  fail(`${options.folder} is not a folder`);
+}
+if (options.mode !== 'rules') {
+  validateEnvironment();
+}
+
+// An organisation glossary in the same shape as PUT /api/v1/glossary: { "entries": [...] }
+const glossary = options.glossary ? JSON.parse(fs.readFileSync(options.glossary, 'utf8')) : null;
+if (glossary && !validateGlossaryRequest(glossary).valid) {
+  fail(`--glossary must name a JSON file holding { "entries": [...] }: ${validateGlossaryRequest(glossary).errors.join('; ')}`);
+}
+// A people directory as CSV (name, designation, aliases) or as the PUT /api/v1/directory body
+let directory = null;
+if (options.directory) {
+  const content = fs.readFileSync(options.directory, 'utf8');
+  try {
+    directory = /\.csv$/i.test(options.directory) ? parseDirectoryCsv(content) : JSON.parse(content);
+  } catch (error) {
+    fail(`--directory could not be read: ${error.message}`);
+  }
+  const validation = validateDirectoryRequest(directory);
+  if (!validation.valid) fail(`--directory is not a valid people directory: ${validation.errors.join('; ')}`);
+}
+const profile = withDirectory(withGlossary(loadProfile(options.profile), glossary), directory && { people: [], designations: [], ...directory });
+const waivers = options.waivers ? JSON.parse(fs.readFileSync(options.waivers, 'utf8')) : undefined;
+if (waivers !== undefined && !Array.isArray(waivers)) {
+  fail('--waivers must name a JSON file holding an array of waivers');
+}
+
+const documents = findDocuments(options.folder, outDir);
+if (documents.length === 0) {
+  fail(`No .docx files found under ${options.folder}`);
+}
+
+console.log(`Analysing ${documents.length} documents (mode: ${options.mode}, profile: ${options.profile})`);
+
+const { extension, render } = EXPORT_FORMATS[options.format];
+const records = [];
+
+// One file in memory at a time, so a quarter's worth of reports can run overnight
+for (const [index, documentPath] of documents.entries()) {
+  const name = path.relative(options.folder, documentPath);
+  const { record, result } = await analyzeDocument(
+    { name, data: fs.readFileSync(documentPath) },
+    { analysisMode: options.mode, profile, waivers }
+  );
+  records.push(record);
+
+  if (result) {
+    const target = path.join(outDir, name.replace(/\.docx$/i, `.${extension}`));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, render(buildReport(result, { documentName: path.basename(name) })));
+    console.log(`[${index + 1}/${documents.length}] ${name}: ${result.summary.totalIssues} issues (${result.summary.critical} critical)`);
+  } else {
+    console.log(`[${index + 1}/${documents.length}] ${name}: failed (${record.error.message})`);
+  }
+}
+
+const portfolio = portfolioSummary(records);
+fs.mkdirSync(outDir, { recursive: true });
+fs.writeFileSync(path.join(outDir, 'portfolio.json'), JSON.stringify({
+  analysisMode: options.mode,
+  profile: options.profile,
+  ...portfolio
+}, null, 2));
+fs.writeFileSync(path.join(outDir, 'portfolio.csv'), toPortfolioCsv(portfolio));
+
+console.log(`Done: ${portfolio.analysed} analysed, ${portfolio.failed} failed, ${portfolio.totals.totalIssues} issues in total`);
+console.log(`Results written to ${outDir}`);
+
+// A failed file fails the run, so scheduled sweeps notice
+process.exitCode = portfolio.failed > 0 ? 1 : 0;
@@ -0,0 +1,37 @@
+// Bundles the rules engine, waivers and the default style profile into public/rules.js for the
+// ribbon commands, which scan in Word's function-file runtime without the backend.
+// Usage: node scripts/build-rules.js (run by npm run build, and before npm start / npm run dev)
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { build } from 'esbuild';
+import { loadProfile, DEFAULT_PROFILE_ID } from '../lib/profiles/index.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const profile = loadProfile(DEFAULT_PROFILE_ID);
+
+// Exposed to commands.html as window.SahayakRules
+const entry = `
+import { analyzeWithRules } from './lib/rules/index.js';
+import { createWaiverMatcher, applyWaivers } from './lib/waivers.js';
+
+export const profile = ${JSON.stringify(profile)};
+
+// A rules-mode analysis as /api/v1/analyze runs it, waived findings moved to result.waived
+export function analyze(structure, waivers) {
+  return applyWaivers(analyzeWithRules(structure, profile), createWaiverMatcher(waivers, structure), structure);
+}
+`;
+
+await build({
+  stdin: { contents: entry, resolveDir: root, sourcefile: 'rules-entry.js' },
+  bundle: true,
+  format: 'iife',
+  globalName: 'SahayakRules',
+  platform: 'browser',
+  target: 'es2019',
+  minify: true,
+  legalComments: 'none',
+  outfile: path.join(root, 'public', 'rules.js')
+});
+
+console.log(`Built public/rules.js with the rules engine and ${profile.id}@${profile.version}`);
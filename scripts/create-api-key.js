@@ -0,0 +1,27 @@
+// Creates a tenant API key: prints the key once and the record to add to the key store
+// Usage: node scripts/create-api-key.js <tenantId> [keyName]
+import { generateApiKey, hashApiKey } from '../lib/auth.js';
+
+const [tenantId, keyName = 'default'] = process.argv.slice(2);
+
+if (!tenantId || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(tenantId)) {
+  console.error('Usage: node scripts/create-api-key.js <tenantId> [keyName]');
+  console.error('tenantId: lowercase letters, digits and dashes');
+  process.exit(1);
+}
+
+const apiKey = generateApiKey();
+const record = {
+  id: `key_${tenantId}_${keyName.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+  tenantId,
+  hash: hashApiKey(apiKey),
+  createdAt: new Date().toISOString(),
+  revoked: false
+};
+
+console.log(`API key (shown once, give it to the tenant): ${apiKey}`);
+console.log('Add this record to "keys" in the key store:');
+console.log(JSON.stringify(record, null, 2));
+if (process.env.API_KEY_PEPPER) {
+  console.log('Hashed with API_KEY_PEPPER; the server must use the same pepper.');
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anchorLocation, anchorFix } from '../lib/anchoring.js';
+
+const structure = {
+  paragraphs: [
+    { text: 'Audit Report on the Accounts of the Municipal Corporation' },
+    { text: 'The Corporation did not reconcile its cash book with the bank statement.' },
+    { text: 'Table 2 shows the outstanding advances.' },
+    { text: 'The department’s reply was not received.' }
+  ],
+  tables: [
+    {
+      paragraphIndex: 2,
+      rows: [
+        { index: 0, cells: [{ index: 0, text: 'Year' }, { index: 1, text: 'Advances' }] },
+        { index: 1, cells: [{ index: 0, text: '2023-24' }, { index: 1, text: '1,204.50' }] }
+      ]
+    }
+  ]
+};
+
+test('a quote found in the reported paragraph is anchored exactly', () => {
+  const location = { paragraphIndex: 1, searchableText: 'did not reconcile' };
+  assert.deepEqual(anchorLocation(location, structure), { status: 'exact', location });
+});
+
+test('a quote with the wrong case takes the document’s wording', () => {
+  const result = anchorLocation({ paragraphIndex: 1, searchableText: 'THE BANK STATEMENT' }, structure);
+  assert.equal(result.status, 'caseInsensitive');
+  assert.equal(result.location.searchableText, 'the bank statement');
+});
+
+test('a quote found in a nearby paragraph moves the location there', () => {
+  const result = anchorLocation({ paragraphIndex: 0, searchableText: 'outstanding advances' }, structure);
+  assert.equal(result.status, 'neighbour');
+  assert.equal(result.location.paragraphIndex, 2);
+});
+
+test('a quote with straight quotes or a typo is matched fuzzily', () => {
+  const result = anchorLocation({ paragraphIndex: 3, searchableText: "The department's reply was not recieved." }, structure);
+  assert.equal(result.status, 'fuzzy');
+  assert.equal(result.location.searchableText, 'The department’s reply was not received.');
+});
+
+test('locations that cannot be saved are reported with a reason', () => {
+  assert.deepEqual(anchorLocation({ paragraphIndex: 9, searchableText: 'x' }, structure), { status: 'failed', reason: 'invalidParagraphIndex' });
+  assert.deepEqual(anchorLocation({ paragraphIndex: 1, searchableText: 'statutory auditor' }, structure), { status: 'failed', reason: 'textNotFound' });
+  assert.deepEqual(anchorLocation({ tableIndex: 4, searchableText: 'x' }, structure), { status: 'failed', reason: 'invalidTableLocation' });
+});
+
+test('a table quote found in another cell moves to that cell', () => {
+  const result = anchorLocation({ tableIndex: 0, rowIndex: 0, cellIndex: 0, searchableText: '1,204.50' }, structure);
+  assert.equal(result.status, 'neighbour');
+  assert.deepEqual(
+    [result.location.type, result.location.paragraphIndex, result.location.rowIndex, result.location.cellIndex],
+    ['table', 2, 1, 1]
+  );
+});
+
+test('a row-level table finding needs no quote', () => {
+  const result = anchorLocation({ tableIndex: 0, rowIndex: 1 }, structure);
+  assert.equal(result.status, 'exact');
+  assert.equal(result.location.paragraphIndex, 2);
+});
+
+test('a fix follows its quote onto the anchored wording, or is dropped', () => {
+  const issue = {
+    location: { searchableText: 'THE BANK STATEMENT' },
+    fix: { originalText: 'BANK', suggestedText: 'Bank' },
+    autoFixable: true
+  };
+  assert.deepEqual(anchorFix(issue, { searchableText: 'the bank statement' }), {
+    fix: { originalText: 'bank', suggestedText: 'Bank' },
+    autoFixable: true
+  });
+  assert.deepEqual(anchorFix(issue, { searchableText: 'the bank statements' }), { fix: null, autoFixable: false });
+});
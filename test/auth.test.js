@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const SECRET = 'test-secret';
+process.env.AUTH_JWT_SECRET = SECRET;
+process.env.API_KEY_PEPPER = 'test-pepper';
+delete process.env.AUTH_DISABLED;
+
+// The key store is read once, so it is set up before the module loads
+const { hashApiKey, generateApiKey, authenticate } = await import('../lib/auth.js');
+const apiKey = generateApiKey();
+const revokedKey = generateApiKey();
+process.env.API_KEYS_JSON = JSON.stringify({
+  tenants: [{ id: 'acme', name: 'Acme Internal Audit' }, { id: 'gone', disabled: true }],
+  keys: [
+    { id: 'key_acme', tenantId: 'acme', hash: hashApiKey(apiKey), scopes: ['glossary:write'] },
+    { id: 'key_old', tenantId: 'acme', hash: hashApiKey(revokedKey), revoked: true }
+  ]
+});
+
+function sign(claims, secret = SECRET, header = { alg: 'HS256', typ: 'JWT' }) {
+  const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const request = headers => ({ headers });
+const bearer = token => request({ authorization: `Bearer ${token}` });
+
+test('API keys are stored as peppered hashes', () => {
+  assert.match(apiKey, /^sk_[\w-]{32}$/);
+  assert.equal(hashApiKey(apiKey), crypto.createHmac('sha256', 'test-pepper').update(apiKey).digest('hex'));
+  assert.notEqual(hashApiKey(apiKey), crypto.createHash('sha256').update(apiKey).digest('hex'));
+});
+
+test('a valid API key resolves its tenant, from either header', () => {
+  for (const req of [request({ 'x-api-key': apiKey }), bearer(apiKey)]) {
+    const auth = authenticate(req);
+    assert.deepEqual(
+      [auth.tenantId, auth.tenantName, auth.keyId, auth.scopes, auth.authMethod],
+      ['acme', 'Acme Internal Audit', 'key_acme', ['glossary:write'], 'apiKey']
+    );
+  }
+});
+
+test('missing, unknown and revoked keys are refused', () => {
+  assert.throws(() => authenticate(request({})), { code: 'UNAUTHORIZED', message: /Missing credentials/ });
+  assert.throws(() => authenticate(request({ 'x-api-key': generateApiKey() })), { code: 'UNAUTHORIZED', message: 'Invalid API key' });
+  assert.throws(() => authenticate(request({ 'x-api-key': revokedKey })), { code: 'UNAUTHORIZED', message: 'Invalid API key' });
+});
+
+test('a signed, unexpired token resolves its tenant, subject and scopes', () => {
+  const auth = authenticate(bearer(sign({ tenant: 'acme', sub: 'user@acme', scope: 'usage:read-all directory:write', exp: now() + 60 })));
+  assert.deepEqual(
+    [auth.tenantId, auth.subject, auth.scopes, auth.authMethod],
+    ['acme', 'user@acme', ['usage:read-all', 'directory:write'], 'token']
+  );
+});
+
+test('expired, not-yet-valid and exp-less tokens are refused', () => {
+  for (const claims of [
+    { tenant: 'acme', sub: 'u', exp: now() - 1 },
+    { tenant: 'acme', sub: 'u', exp: now() },
+    { tenant: 'acme', sub: 'u', exp: now() + 60, nbf: now() + 30 },
+    { tenant: 'acme', sub: 'u' }
+  ]) {
+    assert.throws(() => authenticate(bearer(sign(claims))), { code: 'UNAUTHORIZED', message: 'Bearer token has expired' });
+  }
+});
+
+test('tokens with a bad signature or algorithm are refused', () => {
+  const claims = { tenant: 'acme', sub: 'u', exp: now() + 60 };
+  assert.throws(() => authenticate(bearer(sign(claims, 'other-secret'))), { message: 'Invalid bearer token signature' });
+  assert.throws(() => authenticate(bearer(sign(claims, SECRET, { alg: 'none' }))), { message: 'Invalid bearer token signature' });
+
+  const [header, , signature] = sign(claims).split('.');
+  const forged = Buffer.from(JSON.stringify({ ...claims, tenant: 'other' })).toString('base64url');
+  assert.throws(() => authenticate(bearer(`${header}.${forged}.${signature}`)), { message: 'Invalid bearer token signature' });
+  assert.throws(() => authenticate(bearer('not.a.token')), { message: 'Malformed bearer token' });
+});
+
+test('tokens need tenant and subject claims, and an active tenant', () => {
+  assert.throws(() => authenticate(bearer(sign({ sub: 'u', exp: now() + 60 }))), { message: /"tenant" and "sub"/ });
+  assert.throws(() => authenticate(bearer(sign({ tenant: 'gone', sub: 'u', exp: now() + 60 }))), { message: 'Tenant is not active' });
+  assert.throws(() => authenticate(bearer(sign({ tenant: 'nobody', sub: 'u', exp: now() + 60 }))), { message: 'Tenant is not active' });
+});
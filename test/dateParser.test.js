@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDates, numericOrder, formatDate, dayNumber } from '../lib/rules/dateParser.js';
+
+test('numeric dates are read day first unless the locale writes month first', () => {
+  assert.equal(numericOrder('en-IN'), 'DMY');
+  assert.equal(numericOrder('en-GB'), 'DMY');
+  assert.equal(numericOrder('en-US'), 'MDY');
+
+  const [dayFirst] = findDates('Visited on 04/05/2025.', { order: numericOrder('en-IN') });
+  assert.deepEqual([dayFirst.day, dayFirst.month, dayFirst.year], [4, 5, 2025]);
+  assert.equal(dayFirst.ambiguous, true);
+
+  const [monthFirst] = findDates('Visited on 04/05/2025.', { order: numericOrder('en-US') });
+  assert.deepEqual([monthFirst.day, monthFirst.month], [5, 4]);
+  assert.equal(monthFirst.ambiguous, true);
+});
+
+test('a numeric part over 12 can only be the day, whatever the locale', () => {
+  for (const order of ['DMY', 'MDY']) {
+    const [first] = findDates('20/05/2025', { order });
+    const [second] = findDates('05/20/2025', { order });
+    assert.deepEqual([first.day, first.month, first.ambiguous], [20, 5, false]);
+    assert.deepEqual([second.day, second.month, second.ambiguous], [20, 5, false]);
+  }
+});
+
+test('the same day and month is not ambiguous', () => {
+  const [date] = findDates('05.05.2025');
+  assert.equal(date.ambiguous, false);
+  assert.deepEqual([date.day, date.month], [5, 5]);
+});
+
+test('impossible dates are found but marked invalid', () => {
+  assert.equal(findDates('31/02/2025')[0].valid, false);
+  assert.equal(findDates('29/02/2024')[0].valid, true);
+  assert.equal(findDates('29/02/2025')[0].valid, false);
+  assert.equal(findDates('2025-13-01')[0].valid, false);
+});
+
+test('long-form, ordinal, abbreviated and ISO dates are read the same way', () => {
+  const text = 'Dates: 2025-05-20, May 20, 2025, 20th May 2025, 20 of May, 2025 and 20-May-25.';
+  const dates = findDates(text);
+  assert.deepEqual(dates.map(date => date.text), ['2025-05-20', 'May 20, 2025', '20th May 2025', '20 of May, 2025', '20-May-25']);
+  for (const date of dates) {
+    assert.deepEqual([date.year, date.month, date.day, date.ambiguous], [2025, 5, 20, false]);
+  }
+});
+
+test('a full date is not also reported as a month-year mention', () => {
+  const dates = findDates('From 1 April 2024 for the year April 2024 to March 2025');
+  assert.deepEqual(dates.map(date => [date.text, date.day]), [
+    ['1 April 2024', 1],
+    ['April 2024', null],
+    ['March 2025', null]
+  ]);
+  assert.equal(dates[0].index, 5);
+});
+
+test('formatDate fills in every token', () => {
+  const date = { year: 2025, month: 5, day: 3 };
+  assert.equal(formatDate(date, 'DD/MM/YYYY'), '03/05/2025');
+  assert.equal(formatDate(date, 'MMM D, YYYY'), 'May 3, 2025');
+  assert.equal(formatDate(date, 'Do MMMM YY'), '3rd May 25');
+  assert.equal(formatDate({ year: 2025, month: 1, day: 11 }, 'Do'), '11th');
+  assert.equal(formatDate({ year: 2025, month: 1, day: 22 }, 'Do'), '22nd');
+});
+
+test('a month-year counts as its first or last day when ordering', () => {
+  const start = dayNumber({ year: 2024, month: 2, day: null });
+  const end = dayNumber({ year: 2024, month: 2, day: null }, true);
+  assert.equal(end - start, 28);
+  assert.equal(start, dayNumber({ year: 2024, month: 2, day: 1 }));
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport } from '../lib/export/index.js';
+import { toCsv } from '../lib/export/csv.js';
+import { toSarif } from '../lib/export/sarif.js';
+
+const result = {
+  issues: [
+    {
+      id: 'r1', rule: 'numbers.total', severity: 'Critical', category: 'Numbers', title: 'Total does not add up',
+      description: 'Row total is "1,204", expected 1,240', source: 'rules', autoFixable: true,
+      location: { type: 'table', tableIndex: 0, rowIndex: 2, cellIndex: 3, paragraphIndex: 4, searchableText: '1,204' },
+      relatedLocations: [{ paragraphIndex: 1, searchableText: 'Table 1', label: 'Referenced here' }],
+      fix: { action: 'replaceText', originalText: '1,204', newText: '1,240' }
+    },
+    {
+      id: 'l1', severity: 'Suggestion', category: 'Style', title: 'Passive voice',
+      description: '=HYPERLINK("x") reads as a formula', location: { paragraphIndex: 0, searchableText: 'was tabled' }
+    }
+  ],
+  waived: [
+    {
+      id: 'w1', rule: 'acronyms', severity: 'Warning', category: 'Acronyms', title: 'Undefined acronym',
+      location: { paragraphIndex: 2, searchableText: 'CAG' },
+      waiver: { id: 'wv', scope: 'document', justification: 'Defined in the preface', author: 'reviewer', createdAt: '2026-01-05T00:00:00Z' }
+    }
+  ],
+  meta: { engine: 'hybrid', model: 'model-x', timestamp: '2026-01-06T10:00:00Z', processingVersion: '2.0.0' }
+};
+
+const report = buildReport(result, { documentName: 'Audit report 2025.docx' });
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF rows
+function parseCsv(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { rows[rows.length - 1].push(field); field = ''; }
+    else if (char === '\r' && text[i + 1] === '\n') { rows[rows.length - 1].push(field); field = ''; rows.push([]); i++; }
+    else field += char;
+  }
+  return rows.slice(0, -1);
+}
+
+test('the CSV has a header row and one row per open and waived finding', () => {
+  const csv = toCsv(report);
+  assert.ok(csv.startsWith('\ufeffstatus,id,severity'));
+
+  const [header, ...rows] = parseCsv(csv.slice(1));
+  const records = rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index]])));
+  assert.deepEqual(records.map(record => [record.status, record.id]), [['open', 'r1'], ['open', 'l1'], ['waived', 'w1']]);
+  assert.ok(rows.every(row => row.length === header.length));
+
+  assert.equal(records[0].description, 'Row total is "1,204", expected 1,240');
+  assert.equal(records[0].location, 'Table 1, row 3, cell 4');
+  assert.equal(records[0].paragraph, '5');
+  assert.equal(records[0].fixValue, '1,240');
+  assert.equal(records[1].rule, 'llm.passive-voice');
+  assert.equal(records[1].source, 'llm');
+  assert.equal(records[2].waiverJustification, 'Defined in the preface');
+});
+
+test('CSV cells that spreadsheets would run as formulas are escaped', () => {
+  const [header, , passive] = parseCsv(toCsv(report).slice(1));
+  assert.equal(passive[header.indexOf('description')], '\'=HYPERLINK("x") reads as a formula');
+});
+
+test('SARIF results carry level, rule, paragraph region and table location', () => {
+  const sarif = toSarif(report);
+  const [run] = sarif.runs;
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(run.tool.driver.version, '2.0.0');
+  assert.deepEqual(run.artifacts, [{ location: { uri: 'Audit%20report%202025.docx' } }]);
+  assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['numbers.total', 'llm.passive-voice', 'acronyms']);
+
+  const [total, passive] = run.results;
+  assert.deepEqual([total.ruleId, total.ruleIndex, total.level], ['numbers.total', 0, 'error']);
+  assert.deepEqual(total.locations[0].physicalLocation.region, { startLine: 5, snippet: { text: '1,204' } });
+  assert.equal(total.locations[0].logicalLocations[0].fullyQualifiedName, 'tables[0].rows[2].cells[3]');
+  assert.deepEqual(total.relatedLocations[0].message, { text: 'Referenced here' });
+  assert.equal(total.relatedLocations[0].physicalLocation.region.startLine, 2);
+  assert.deepEqual([passive.ruleIndex, passive.level], [1, 'note']);
+});
+
+test('waived findings are SARIF suppressions, and fingerprints are stable across runs', () => {
+  const results = toSarif(report).runs[0].results;
+  assert.equal(results[0].suppressions, undefined);
+  assert.deepEqual(results[2].suppressions, [{
+    kind: 'external',
+    status: 'accepted',
+    justification: 'Defined in the preface',
+    properties: { scope: 'document', author: 'reviewer', createdAt: '2026-01-05T00:00:00Z' }
+  }]);
+
+  const again = toSarif(buildReport(result, { documentName: 'Audit report 2025.docx' })).runs[0].results;
+  assert.deepEqual(again.map(r => r.partialFingerprints), results.map(r => r.partialFingerprints));
+  assert.equal(new Set(results.map(r => r.partialFingerprints['sahayakFinding/v1'])).size, 3);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../lib/zip.js';
+import { readDocx, writeDocx } from '../lib/docx/index.js';
+import { applyFixes } from '../lib/docx/fix.js';
+import { childElements, childElement, attribute, path } from '../lib/docx/xml.js';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+function buildDocx(body) {
+  return createZip([{ name: 'word/document.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="${W}"><w:body>${body}</w:body></w:document>` }]);
+}
+
+// The paragraph's runs after a write/read round trip, as [text, bold, highlight]
+function runsOf(docx, paragraphIndex) {
+  return childElements(docx.elements.paragraphs[paragraphIndex], 'w:r').map(run => [
+    childElements(run, 'w:t').map(t => t.children.join('')).join(''),
+    Boolean(path(run, 'w:rPr', 'w:b')),
+    attribute(path(run, 'w:rPr', 'w:highlight'), 'w:val') || null
+  ]);
+}
+
+function fixAndReopen(body, issues) {
+  const docx = readDocx(buildDocx(body));
+  const manifest = applyFixes(docx, issues);
+  return { manifest, docx: readDocx(writeDocx(docx)) };
+}
+
+const twoRuns = '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">The CAG </w:t></w:r><w:r><w:t>report was tabled.</w:t></w:r></w:p>';
+
+test('a highlight across two runs splits them at the quote and keeps their formatting', () => {
+  const { manifest, docx } = fixAndReopen(twoRuns, [{
+    id: 'h1', title: 'Key term', location: { paragraphIndex: 0, searchableText: 'CAG report' },
+    fix: { action: 'setHighlight', newValue: '#FFFF00' }
+  }]);
+
+  assert.deepEqual(manifest.skipped, []);
+  assert.deepEqual(manifest.changes.map(change => [change.issueId, change.action, change.before, change.after]), [['h1', 'setHighlight', null, '#FFFF00']]);
+  assert.equal(docx.structure.paragraphs[0].text, 'The CAG report was tabled.');
+  assert.deepEqual(runsOf(docx, 0), [
+    ['The ', true, null],
+    ['CAG ', true, 'yellow'],
+    ['report', false, 'yellow'],
+    [' was tabled.', false, null]
+  ]);
+});
+
+test('a replacement rewrites only the characters that change, in their own runs', () => {
+  const body = '<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Funds were rec</w:t></w:r><w:r><w:t xml:space="preserve">ieved late.</w:t></w:r></w:p>';
+  const { manifest, docx } = fixAndReopen(body, [{
+    id: 's1', title: 'Spelling', location: { paragraphIndex: 0, searchableText: 'recieved' },
+    fix: { action: 'replaceText', originalText: 'recieved', newText: 'received' }
+  }]);
+
+  assert.deepEqual(manifest.changes.map(change => [change.before, change.after]), [['recieved', 'received']]);
+  assert.equal(docx.structure.paragraphs[0].text, 'Funds were received late.');
+  assert.deepEqual(runsOf(docx, 0), [['Funds were rec', true, null], ['eived late.', false, null]]);
+});
+
+test('leading and trailing spaces survive the round trip', () => {
+  const { docx } = fixAndReopen(twoRuns, [{
+    id: 'r1', location: { paragraphIndex: 0, searchableText: 'CAG' },
+    fix: { action: 'replaceText', originalText: 'CAG', newText: 'C&AG' }
+  }]);
+  assert.equal(docx.structure.paragraphs[0].text, 'The C&AG report was tabled.');
+});
+
+test('font size and cell shading fixes reach the reopened document', () => {
+  const body = '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Total</w:t></w:r></w:p></w:tc></w:tr></w:tbl>';
+  const { manifest, docx } = fixAndReopen(body, [
+    { id: 'f1', location: { paragraphIndex: 0 }, fix: { action: 'changeFontSize', newValue: '12' } },
+    { id: 'c1', location: { type: 'table', tableIndex: 0, rowIndex: 0, cellIndex: 0 }, fix: { action: 'setShading', newValue: '#d9d9d9' } }
+  ]);
+
+  assert.deepEqual(manifest.changes.map(change => change.after), [12, '#D9D9D9']);
+  assert.equal(docx.structure.paragraphs[0].font.size, 12);
+  assert.equal(docx.structure.tables[0].rows[0].cells[0].shadingColor, '#D9D9D9');
+  assert.ok(childElement(docx.elements.cells[0][0][0], 'w:tcPr'));
+});
+
+test('fixes that cannot be applied are skipped with a reason', () => {
+  const { manifest, docx } = fixAndReopen(twoRuns, [
+    { id: 'a', title: 'Tone' },
+    { id: 'b', title: 'Other', fix: { action: 'rewriteSection' } },
+    { id: 'c', title: 'Typo', location: { paragraphIndex: 0 }, fix: { action: 'replaceText', originalText: 'absent', newText: 'present' } },
+    { id: 'd', title: 'Colour', location: { paragraphIndex: 0, searchableText: 'CAG' }, fix: { action: 'setHighlight', newValue: '#123456' } }
+  ]);
+
+  assert.deepEqual(manifest.changes, []);
+  assert.deepEqual(manifest.skipped.map(skip => [skip.issueId, skip.reason]), [
+    ['a', 'the finding has no automatic fix'],
+    ['b', '"rewriteSection" fixes are not supported'],
+    ['c', 'the text to replace was not found; it may have been fixed already'],
+    ['d', 'Word highlights only come in 16 colours, and #123456 is not one of them']
+  ]);
+  assert.equal(docx.structure.paragraphs[0].text, 'The CAG report was tabled.');
+});
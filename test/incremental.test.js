@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignHashes, carryOverIssues } from '../lib/incremental.js';
+
+const entries = map => [...map].sort((a, b) => a[0] - b[0]);
+
+test('identical documents match every paragraph to itself', () => {
+  const { matched, edited } = alignHashes(['a', 'b', 'c'], ['a', 'b', 'c']);
+  assert.deepEqual(entries(matched), [[0, 0], [1, 1], [2, 2]]);
+  assert.equal(edited.size, 0);
+});
+
+test('a paragraph changed in place is edited, not matched', () => {
+  const { matched, edited } = alignHashes(['a', 'b', 'c'], ['a', 'x', 'c']);
+  assert.deepEqual(entries(matched), [[0, 0], [2, 2]]);
+  assert.deepEqual(entries(edited), [[1, 1]]);
+});
+
+test('inserted and deleted paragraphs shift the later indexes', () => {
+  const inserted = alignHashes(['a', 'b', 'c'], ['a', 'new', 'b', 'c']);
+  assert.deepEqual(entries(inserted.matched), [[0, 0], [2, 1], [3, 2]]);
+  assert.equal(inserted.edited.size, 0);
+
+  const deleted = alignHashes(['a', 'b', 'c'], ['a', 'c']);
+  assert.deepEqual(entries(deleted.matched), [[0, 0], [1, 2]]);
+  assert.equal(deleted.edited.size, 0);
+});
+
+test('edits between matches are found when the paragraph count changes', () => {
+  const { matched, edited } = alignHashes(['a', 'b', 'c', 'd', 'e'], ['a', 'b2', 'c', 'd2', 'e', 'appended']);
+  assert.deepEqual(entries(matched), [[0, 0], [2, 2], [4, 4]]);
+  assert.deepEqual(entries(edited), [[1, 1], [3, 3]]);
+});
+
+test('findings of unchanged paragraphs are carried over with remapped indexes', () => {
+  const base = {
+    paragraphHashes: ['a', 'b', 'c'],
+    tableHashes: [],
+    issues: [
+      { id: '1', location: { paragraphIndex: 0 } },
+      { id: '2', location: { paragraphIndex: 1 } },
+      { id: '3', location: { paragraphIndex: 2 }, relatedLocations: [{ paragraphIndex: 0 }, { paragraphIndex: 1 }] }
+    ]
+  };
+  const result = carryOverIssues(base, { paragraphHashes: ['new', 'a', 'b2', 'c'], tableHashes: [] }, {});
+
+  assert.deepEqual(result.carried, [
+    { id: '1', location: { paragraphIndex: 1 } },
+    { id: '3', location: { paragraphIndex: 3 }, relatedLocations: [{ paragraphIndex: 1 }] }
+  ]);
+  assert.deepEqual(result.changedRuns, [[0, 0], [2, 2]]);
+  assert.equal(result.reusedParagraphs, 2);
+});
+
+test('a paragraph edited by an applied fix keeps its other findings', () => {
+  const base = {
+    paragraphHashes: ['a', 'b', 'c'],
+    tableHashes: [],
+    issues: [
+      { id: 'fixed', location: { paragraphIndex: 1 } },
+      { id: 'other', location: { paragraphIndex: 1 } }
+    ]
+  };
+  const result = carryOverIssues(base, { paragraphHashes: ['a', 'b2', 'c'], tableHashes: [] }, {}, ['fixed']);
+
+  assert.deepEqual(result.carried, [{ id: 'other', location: { paragraphIndex: 1 } }]);
+  assert.deepEqual(result.changedRuns, []);
+  assert.equal(result.reusedParagraphs, 3);
+});
+
+test('an edited table is re-analysed from the paragraph it starts at', () => {
+  const base = {
+    paragraphHashes: ['a', 'b'],
+    tableHashes: ['table'],
+    issues: [
+      { id: 'cell', location: { paragraphIndex: 1, tableIndex: 0 } },
+      { id: 'text', location: { paragraphIndex: 0 } }
+    ]
+  };
+  const result = carryOverIssues(base, { paragraphHashes: ['a', 'b'], tableHashes: ['shaded'] }, { tables: [{ paragraphIndex: 1 }] });
+
+  assert.deepEqual(result.carried.map(issue => issue.id), ['text']);
+  assert.deepEqual(result.changedRuns, [[1, 1]]);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateIssueReferences } from '../lib/rules/issueReferences.js';
+import { loadProfile } from '../lib/profiles/index.js';
+
+const profile = loadProfile('audit-default');
+
+function check(lines) {
+  const paragraphs = lines.map((text, index) => ({ index, text }));
+  return validateIssueReferences({ paragraphs, tables: [] }, profile)
+    .map(issue => [issue.rule, issue.description]);
+}
+
+test('a gap in the summary is reported even when the detail is complete up to it', () => {
+  const found = check([
+    'Summary of Issues',
+    'H.1.1 Access reviews not performed - Needs Improvement',
+    'H.1.3 Vendor master changes not approved - Needs Improvement',
+    'Detailed Observations',
+    'H.1.1 Access reviews not performed',
+    'Risk Rating: Needs Improvement'
+  ]);
+  assert.ok(found.some(([rule, description]) => rule === 'issues.sequence' && description.includes('H.1.2 is missing')), JSON.stringify(found));
+  assert.ok(found.some(([rule, description]) => rule === 'issues.missingDetail' && description.includes('H.1.3')), JSON.stringify(found));
+});
+
+test('a gap in the detail is reported against the detail', () => {
+  const found = check([
+    'Summary of Issues',
+    'H.1.1 Access reviews not performed - Needs Improvement',
+    'Detailed Observations',
+    'H.1.1 Access reviews not performed',
+    'Risk Rating: Needs Improvement',
+    'H.1.3 Vendor master changes not approved',
+    'Risk Rating: Needs Improvement'
+  ]).filter(([rule]) => rule === 'issues.sequence');
+  assert.equal(found.length, 1);
+  assert.match(found[0][1], /"H\.1\.3" follows "H\.1\.1"; H\.1\.2 is missing/);
+});
+
+test('consistent numbering raises nothing', () => {
+  assert.deepEqual(check([
+    'Summary of Issues',
+    'H.1.1 Access reviews not performed - Needs Improvement',
+    'H.2.1 Vendor master changes not approved - Needs Improvement',
+    'Detailed Observations',
+    'H.1.1 Access reviews not performed',
+    'Risk Rating: Needs Improvement',
+    'H.2.1 Vendor master changes not approved',
+    'Risk Rating: Needs Improvement'
+  ]), []);
+});
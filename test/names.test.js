@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNames } from '../lib/rules/names.js';
+import { loadProfile } from '../lib/profiles/index.js';
+
+const profile = loadProfile('audit-default');
+
+function findings(text, people = []) {
+  const withPeople = { ...profile, names: { ...profile.names, people } };
+  return validateNames({ paragraphs: [{ text }] }, withPeople)
+    .map(issue => ({ rule: issue.rule, autoFixable: issue.autoFixable, newText: issue.fix?.newText || null }));
+}
+
+test('a lowercase name that is the whole label value gets a casing fix', () => {
+  assert.deepEqual(findings('Functional Head: aman malhotra'), [
+    { rule: 'names.casing', autoFixable: true, newText: 'Aman Malhotra' }
+  ]);
+  assert.deepEqual(findings('Functional Head: aman malhotra.'), [
+    { rule: 'names.casing', autoFixable: true, newText: 'Aman Malhotra' }
+  ]);
+});
+
+test('prose after a label is not taken for a name', () => {
+  assert.deepEqual(findings('Plant Head: ravi kumar approved the plan'), []);
+  assert.deepEqual(findings('Functional Head: Aman Malhotra approved the plan'), []);
+});
+
+test('directory names are matched, corrected and checked against their designation', () => {
+  const people = [{ name: 'Aman Malhotra', designation: 'Functional Head' }];
+  assert.deepEqual(findings('The plan was approved by amaan malhotra.', people), [
+    { rule: 'names.spelling', autoFixable: true, newText: 'Aman Malhotra' }
+  ]);
+  const designation = findings('Aman Malhotra, Plant Head, approved the plan.', people);
+  assert.equal(designation.length, 1);
+  assert.equal(designation[0].newText, 'Functional Head');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  groupingStyle, groupDigits, formatNumber, convertAmount, parseAmount, parseCount, tokenizeNumbers, withinRounding
+} from '../lib/rules/numberParser.js';
+import { validateNumbers } from '../lib/rules/numbers.js';
+import { loadProfile } from '../lib/profiles/index.js';
+
+test('groupingStyle tells Indian from international grouping', () => {
+  assert.equal(groupingStyle('999'), 'none');
+  assert.equal(groupingStyle('100000'), 'ungrouped');
+  assert.equal(groupingStyle('10,000'), 'both');
+  assert.equal(groupingStyle('1,00,000'), 'indian');
+  assert.equal(groupingStyle('12,34,56,789.50'), 'indian');
+  assert.equal(groupingStyle('100,000'), 'international');
+  assert.equal(groupingStyle('1,234,567'), 'international');
+  assert.equal(groupingStyle('1,0000'), 'malformed');
+  assert.equal(groupingStyle('1,00,0000'), 'malformed');
+});
+
+test('groupDigits regroups in either style and keeps the decimals as written', () => {
+  assert.equal(groupDigits('1234567', 'indian'), '12,34,567');
+  assert.equal(groupDigits('1,234,567', 'indian'), '12,34,567');
+  assert.equal(groupDigits('12,34,567', 'international'), '1,234,567');
+  assert.equal(groupDigits('100000.50', 'indian'), '1,00,000.50');
+  assert.equal(groupDigits('999', 'indian'), '999');
+  assert.equal(groupDigits('1000', 'indian'), '1,000');
+  assert.equal(formatNumber(2500000, 2, 'international'), '2,500,000.00');
+});
+
+test('convertAmount restates amounts in the largest house unit they reach', () => {
+  assert.deepEqual(convertAmount(2.5, 'million', ['lakhs', 'crores']), { value: 25, unit: 'lakhs' });
+  assert.deepEqual(convertAmount(1.2, 'billion', ['lakhs', 'crores']), { value: 120, unit: 'crores' });
+  assert.deepEqual(convertAmount(0.1, 'million', ['lakh', 'crore']), { value: 1, unit: 'lakh' });
+  assert.deepEqual(convertAmount(50, 'lakhs', ['million', 'billion']), { value: 5, unit: 'million' });
+  assert.equal(convertAmount(5, 'million', ['thousand']), null);
+});
+
+test('parseAmount reads table cells', () => {
+  assert.deepEqual(parseAmount('1,25,000'), { value: 125000, decimals: 0 });
+  assert.deepEqual(parseAmount('INR 4.50'), { value: 4.5, decimals: 2 });
+  assert.deepEqual(parseAmount('₹ 1,000'), { value: 1000, decimals: 0 });
+  assert.deepEqual(parseAmount('(300)'), { value: -300, decimals: 0 });
+  assert.deepEqual(parseAmount('-'), { value: 0, decimals: 0 });
+  assert.equal(parseAmount('(300'), null);
+  assert.equal(parseAmount('12%'), null);
+  assert.equal(parseAmount('n/a'), null);
+  assert.equal(parseAmount(null), null);
+});
+
+test('tokenizeNumbers classifies numbers by their context', () => {
+  const text = 'Rs.500 and 2.5 million were paid in 2024 to 3 vendors (12%) under Table 4 on 20/05/2025 at 10:30.';
+  const kinds = Object.fromEntries(tokenizeNumbers(text).map(token => [token.text, token.kind]));
+  assert.deepEqual(kinds, { 500: 'amount', 2.5: 'amount', 2024: 'year', 3: 'count', 12: 'percentage', 4: 'reference' });
+
+  const [amount] = tokenizeNumbers('Paid 1,50,000 lakhs');
+  assert.deepEqual([amount.value, amount.unit], [150000, 'lakhs']);
+});
+
+test('withinRounding allows half a unit in the last decimal place', () => {
+  assert.equal(withinRounding(10.25, 10.3, 1), true);
+  assert.equal(withinRounding(10.24, 10.3, 1), false);
+  assert.equal(withinRounding(999.5, 1000, 0), true);
+});
+
+test('parseCount reads number words and grouped digits', () => {
+  assert.equal(parseCount('Seven'), 7);
+  assert.equal(parseCount('1,250'), 1250);
+});
+
+function outOfFixes(text) {
+  return validateNumbers({ text }, 0, loadProfile('audit-default'))
+    .filter(issue => issue.rule === 'number.outOf')
+    .map(issue => [issue.fix.originalText, issue.fix.newText]);
+}
+
+test('"X out of Y" is in words when both are 10 or less, in numerals otherwise', () => {
+  assert.deepEqual(outOfFixes('We tested 3 out of 8 samples.'), [['3 out of 8', 'three out of eight']]);
+  assert.deepEqual(outOfFixes('3 out of 8 samples failed.'), [['3 out of 8', 'Three out of eight']]);
+  assert.deepEqual(outOfFixes('We tested three out of 25 samples.'), [['three out of 25', '3 out of 25']]);
+  assert.deepEqual(outOfFixes('We tested 12 out of 1,250 vouchers.'), []);
+  assert.deepEqual(outOfFixes('We tested three out of eight samples.'), []);
+});
+
+test('numbers inside "X out of Y" are left to that rule', () => {
+  const issues = validateNumbers({ text: 'We tested 3 out of 8 samples.' }, 0, loadProfile('audit-default'));
+  assert.equal(issues.some(issue => issue.rule === 'number.wordsForSmall'), false);
+});
+
+test('identifiers and long bare digit strings are references, not counts', () => {
+  const kinds = text => tokenizeNumbers(text).map(token => token.kind);
+  assert.deepEqual(kinds('PO 4500012345 was raised'), ['reference']);
+  assert.deepEqual(kinds('vendor code 100234 and GL account 400100'), ['reference', 'reference']);
+  assert.deepEqual(kinds('Phone 9876543210, PIN 400001, Employee ID: 10234'), ['reference', 'reference', 'reference']);
+  assert.deepEqual(kinds('Call 9876543210 for details'), ['reference']);
+  assert.deepEqual(kinds('INR 4500012345 was paid against 1500 invoices'), ['amount', 'count']);
+});
+
+test('digit grouping leaves identifiers alone', () => {
+  const fixes = text => validateNumbers({ text }, 0, loadProfile('audit-default'))
+    .filter(issue => issue.rule === 'number.digitGrouping')
+    .map(issue => issue.fix.newText);
+  assert.deepEqual(fixes('PO 4500012345 for vendor code 100234 under GL account 400100.'), []);
+  assert.deepEqual(fixes('Phone 9876543210 and PIN 400001 were on file.'), []);
+  assert.deepEqual(fixes('We reviewed 150000 vouchers.'), ['1,50,000']);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit, rateLimitByTenant, enforceAnalysisLimits, analysisEndpoint } from '../lib/rateLimit.js';
+import { recordTokenUsage } from '../lib/quota.js';
+import { MemoryLimitStore } from '../lib/limitStore.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function response() {
+  return { headers: {}, setHeader(key, value) { this.headers[key] = value; } };
+}
+
+let keys = 0;
+const freshKey = () => {
+  const key = `test-${++keys}`;
+  return () => key;
+};
+
+test('requests are allowed up to max within the window', async () => {
+  const options = { windowMs: 60000, max: 3, keyGenerator: freshKey() };
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push(await rateLimit({ headers: {} }, options));
+
+  assert.deepEqual(results.map(result => [result.success, result.remaining]), [[true, 2], [true, 1], [true, 0], [false, 0]]);
+  assert.ok(results[3].retryAfter >= 59 && results[3].retryAfter <= 60);
+});
+
+test('the window slides: requests older than windowMs stop counting', async () => {
+  const options = { windowMs: 200, max: 2, keyGenerator: freshKey() };
+  await rateLimit({ headers: {} }, options);
+  await sleep(120);
+  await rateLimit({ headers: {} }, options);
+  assert.equal((await rateLimit({ headers: {} }, options)).success, false);
+
+  // The first request has left the window, the second hasn't
+  await sleep(100);
+  assert.equal((await rateLimit({ headers: {} }, options)).success, true);
+  assert.equal((await rateLimit({ headers: {} }, options)).success, false);
+});
+
+test('a refused request does not use up the window', async () => {
+  const options = { windowMs: 150, max: 1, keyGenerator: freshKey() };
+  await rateLimit({ headers: {} }, options);
+  for (let i = 0; i < 3; i++) await rateLimit({ headers: {} }, options);
+  await sleep(170);
+  assert.equal((await rateLimit({ headers: {} }, options)).success, true);
+});
+
+test('a request with a cost uses that many slots, and is refused whole', async () => {
+  const options = { windowMs: 60000, max: 10, keyGenerator: freshKey() };
+  assert.equal((await rateLimit({ headers: {} }, { ...options, cost: 7 })).remaining, 3);
+  assert.equal((await rateLimit({ headers: {} }, { ...options, cost: 4 })).success, false);
+  assert.equal((await rateLimit({ headers: {} }, { ...options, cost: 3 })).remaining, 0);
+});
+
+test('tenants get their own counters and can override the endpoint limits', async () => {
+  const limited = { tenantId: 'small', tenant: { limits: { '/api/v1/analyze': { windowMs: 60000, max: 1 } } } };
+  const other = { tenantId: 'large', tenant: {} };
+  assert.equal((await rateLimitByTenant({ headers: {} }, limited, '/api/v1/analyze')).success, true);
+  assert.equal((await rateLimitByTenant({ headers: {} }, limited, '/api/v1/analyze')).success, false);
+  assert.equal((await rateLimitByTenant({ headers: {} }, other, '/api/v1/analyze')).limit, 5);
+});
+
+test('rules-only and incremental scans have their own limits', () => {
+  assert.equal(analysisEndpoint('rules', true), '/api/v1/analyze:rules');
+  assert.equal(analysisEndpoint('hybrid', true), '/api/v1/analyze:incremental');
+  assert.equal(analysisEndpoint('llm'), '/api/v1/analyze');
+});
+
+test('Claude-backed analyses are refused once the daily token budget is spent', async () => {
+  const auth = { tenantId: 'budget', tenant: { limits: { dailyTokens: 1000 } } };
+  const res = response();
+  await enforceAnalysisLimits({ headers: {} }, res, auth, 'llm');
+  assert.equal(res.headers['X-TokenQuota-Remaining'], '1000');
+
+  await recordTokenUsage('budget', { inputTokens: 900, outputTokens: 100 });
+  const spent = response();
+  await assert.rejects(enforceAnalysisLimits({ headers: {} }, spent, auth, 'llm'), { code: 'TOKEN_QUOTA_EXCEEDED' });
+  assert.ok(Number(spent.headers['Retry-After']) > 0);
+
+  // Rules-only scans don't use tokens
+  await enforceAnalysisLimits({ headers: {} }, response(), auth, 'rules');
+});
+
+test('a spent request limit is a RATE_LIMIT_EXCEEDED error with headers', async () => {
+  const auth = { tenantId: 'busy', tenant: { limits: { '/api/v1/analyze:rules': { windowMs: 60000, max: 1 } } } };
+  await enforceAnalysisLimits({ headers: {} }, response(), auth, 'rules');
+  const res = response();
+  await assert.rejects(enforceAnalysisLimits({ headers: {} }, res, auth, 'rules'), { code: 'RATE_LIMIT_EXCEEDED' });
+  assert.equal(res.headers['X-RateLimit-Remaining'], '0');
+  assert.ok(res.headers['Retry-After']);
+});
+
+test('the memory store expires entries after their ttl', async () => {
+  const store = new MemoryLimitStore();
+  await store.update('key', () => 1, 50);
+  assert.equal(await store.get('key'), 1);
+  await sleep(70);
+  assert.equal(await store.get('key'), null);
+  assert.equal(await store.update('key', value => (value || 0) + 1, 50), 1);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyWaivers, createWaiverMatcher, waiverAnchor } from '../lib/waivers.js';
+
+const documentStructure = {
+  fullText: 'Sahayak  ran the   audit.\nThe CAG report follows.',
+  paragraphs: [{ text: 'Sahayak  ran the   audit.' }, { text: 'The CAG report follows.' }]
+};
+
+const issue = (id, rule, paragraphIndex, searchableText, severity = 'Warning') => ({
+  id, rule, severity, location: { paragraphIndex, searchableText }
+});
+
+const waiver = fields => ({
+  id: 'w1', scope: 'document', justification: 'House style', author: 'reviewer', createdAt: '2026-01-05T00:00:00Z', ...fields
+});
+
+test('a waiver matches findings of its rule whose text fits the pattern', () => {
+  const waiverFor = createWaiverMatcher([waiver({ rule: 'acronyms', pattern: 'C*G' })], documentStructure);
+  assert.equal(waiverFor(issue('1', 'acronyms', 1, 'cag')).id, 'w1');
+  assert.equal(waiverFor(issue('2', 'acronyms', 1, 'CGA report')), null);
+  assert.equal(waiverFor(issue('3', 'spelling', 1, 'CAG')), null);
+});
+
+test('regex characters in a pattern are matched literally', () => {
+  const waiverFor = createWaiverMatcher([waiver({ rule: 'numbers', pattern: '1.5 (approx)' })], documentStructure);
+  assert.ok(waiverFor(issue('1', 'numbers', 0, '1.5 (approx)')));
+  assert.equal(waiverFor(issue('2', 'numbers', 0, '125 approx')), null);
+});
+
+test('LLM findings are waived by their title', () => {
+  const waiverFor = createWaiverMatcher([waiver({ rule: 'Passive voice' })], documentStructure);
+  assert.ok(waiverFor({ title: 'Passive voice', location: { paragraphIndex: 0, searchableText: 'ran' } }));
+});
+
+test('an occurrence waiver only holds while its paragraph reads the same', () => {
+  const pinned = waiver({ rule: 'acronyms', scope: 'occurrence', pattern: 'CAG', anchor: waiverAnchor('The CAG report follows.') });
+  assert.ok(createWaiverMatcher([pinned], documentStructure)(issue('1', 'acronyms', 1, 'CAG')));
+  assert.equal(createWaiverMatcher([pinned], documentStructure)(issue('2', 'acronyms', 0, 'CAG')), null);
+
+  const edited = { paragraphs: [documentStructure.paragraphs[0], { text: 'The CAG report is below.' }] };
+  assert.equal(createWaiverMatcher([pinned], edited)(issue('1', 'acronyms', 1, 'CAG')), null);
+});
+
+test('waived findings move out of the issues and the summary is recounted', () => {
+  const result = {
+    issues: [issue('1', 'acronyms', 1, 'CAG', 'Critical'), issue('2', 'spelling', 0, 'Sahayak')],
+    summary: { totalIssues: 2, critical: 1, warnings: 1, suggestions: 0 }
+  };
+  const waived = applyWaivers(result, createWaiverMatcher([waiver({ rule: 'acronyms' })], documentStructure), documentStructure);
+
+  assert.deepEqual(waived.issues.map(i => i.id), ['2']);
+  assert.deepEqual(waived.waived.map(i => [i.id, i.waiver]), [[
+    '1', { id: 'w1', scope: 'document', justification: 'House style', author: 'reviewer', createdAt: '2026-01-05T00:00:00Z' }
+  ]]);
+  assert.deepEqual(waived.summary, {
+    totalIssues: 1, critical: 0, warnings: 1, suggestions: 0, documentLength: documentStructure.fullText.length, waived: 1
+  });
+});
+
+test('results without waived findings keep their summary', () => {
+  const result = { issues: [issue('1', 'spelling', 0, 'Sahayak')], summary: { totalIssues: 1 } };
+  assert.deepEqual(applyWaivers(result, createWaiverMatcher([], documentStructure), documentStructure), { ...result, waived: [] });
+});
+
+test('paragraph anchors ignore whitespace differences', () => {
+  assert.equal(waiverAnchor('  Sahayak  ran the\taudit. '), 'Sahayak ran the audit.');
+  assert.equal(waiverAnchor('x'.repeat(600)).length, 500);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXml, serializeXml, cloneElement, path, attribute, childElements } from '../lib/docx/xml.js';
+
+const DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n';
+
+const DOCUMENT = '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+  '<w:body><w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr>' +
+  '<w:r><w:t xml:space="preserve">Fees &amp; charges &lt;INR&gt; </w:t></w:r></w:p>' +
+  '<w:p/></w:body></w:document>';
+
+test('a part survives parsing and serializing unchanged', () => {
+  const parsed = parseXml(DECLARATION + DOCUMENT);
+  assert.equal(serializeXml(parsed), DECLARATION + DOCUMENT);
+  assert.deepEqual(parseXml(serializeXml(parsed)), parsed);
+});
+
+test('names keep their prefixes and attributes are decoded', () => {
+  const root = parseXml(DOCUMENT);
+  const paragraph = path(root, 'w:body', 'w:p');
+  assert.equal(attribute(path(paragraph, 'w:pPr', 'w:pStyle'), 'w:val'), 'Heading1');
+  assert.equal(path(paragraph, 'w:r', 'w:t').children[0], 'Fees & charges <INR> ');
+  assert.equal(childElements(path(root, 'w:body'), 'w:p').length, 2);
+  assert.equal(attribute(paragraph, 'w:missing'), null);
+});
+
+test('entities, quotes and ">" in attribute values round-trip', () => {
+  const root = parseXml(`<a title='say "hi" &amp; &#x263A; > bye' note="it&apos;s &#233;">&#8377; 5 &unknown;</a>`);
+  assert.deepEqual(root.attributes, { title: 'say "hi" & ☺ > bye', note: "it's é" });
+  assert.deepEqual(root.children, ['₹ 5 &unknown;']);
+  assert.deepEqual(parseXml(serializeXml(root)), root);
+});
+
+test('CDATA is kept as text; comments, DOCTYPEs and processing instructions are dropped', () => {
+  const root = parseXml('<!DOCTYPE a><a><!-- note --><?pi data?><![CDATA[1 < 2 & 3]]></a>');
+  assert.deepEqual(root.children, ['1 < 2 & 3']);
+  assert.equal(serializeXml(root), `${DECLARATION}<a>1 &lt; 2 &amp; 3</a>`);
+});
+
+test('entity declarations are never expanded', () => {
+  const root = parseXml('<!DOCTYPE a [<!ENTITY xxe SYSTEM "file:///etc/passwd">]><a>&xxe;</a>');
+  assert.deepEqual(root.children, ['&xxe;']);
+});
+
+test('cloneElement makes a deep copy', () => {
+  const root = parseXml(DOCUMENT);
+  const copy = cloneElement(root);
+  path(copy, 'w:body', 'w:p', 'w:pPr', 'w:pStyle').attributes['w:val'] = 'Normal';
+  assert.equal(attribute(path(root, 'w:body', 'w:p', 'w:pPr', 'w:pStyle'), 'w:val'), 'Heading1');
+});
+
+test('malformed parts throw INVALID_XML', () => {
+  const cases = {
+    '<a><b></a>': 'Unexpected </a>',
+    '<a>': 'Unclosed <a>',
+    '<a><!-- open </a>': 'Unterminated comment',
+    '<a><![CDATA[ open</a>': 'Unterminated CDATA section',
+    '<a title="open>': 'Unterminated tag',
+    '</a>': 'Unexpected </a>',
+    '< >': 'Element without a name',
+    'just text': 'No root element',
+    '': 'No root element'
+  };
+  for (const [text, message] of Object.entries(cases)) {
+    assert.throws(() => parseXml(text), { code: 'INVALID_XML', message }, text);
+  }
+});
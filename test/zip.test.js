@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip, openZip, crc32, MAX_ENTRY_SIZE, MAX_ARCHIVE_SIZE } from '../lib/zip.js';
+
+const MB = 1024 * 1024;
+
+// Where the first entry's central directory header starts
+function centralHeader(zip) {
+  return zip.readUInt32LE(zip.length - 22 + 16);
+}
+
+test('createZip and openZip round-trip text and binary entries', () => {
+  const binary = Buffer.from([0, 1, 2, 254, 255]);
+  const zip = openZip(createZip([
+    { name: '[Content_Types].xml', data: '<Types/>' },
+    { name: 'word/média.bin', data: binary }
+  ]));
+  assert.deepEqual(zip.names, ['[Content_Types].xml', 'word/média.bin']);
+  assert.equal(zip.read('[Content_Types].xml').toString('utf8'), '<Types/>');
+  assert.deepEqual(zip.read('word/média.bin'), binary);
+  assert.equal(zip.read('missing.xml'), null);
+});
+
+test('crc32 matches the reference value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('anything without an end-of-central-directory record is not a ZIP', () => {
+  for (const buffer of [Buffer.alloc(0), Buffer.from('PK'), Buffer.from('not a zip at all, just some text')]) {
+    assert.throws(() => openZip(buffer), { code: 'INVALID_ZIP', message: 'Not a ZIP archive' });
+  }
+});
+
+test('a central directory pointing past the data is corrupt', () => {
+  const zip = createZip([{ name: 'a.xml', data: '<a/>' }]);
+  zip.writeUInt32LE(zip.length, zip.length - 22 + 16);
+  assert.throws(() => openZip(zip), { code: 'INVALID_ZIP', message: 'Corrupt ZIP central directory' });
+});
+
+test('damaged compressed data is reported per entry', () => {
+  const zip = createZip([{ name: 'a.xml', data: '<a>' + 'text '.repeat(100) + '</a>' }]);
+  // The deflated data starts after the 30-byte local header and the name
+  zip.fill(0xff, 30 + 'a.xml'.length, 30 + 'a.xml'.length + 8);
+  assert.throws(() => openZip(zip).read('a.xml'), { code: 'INVALID_ZIP', message: 'Corrupt ZIP entry a.xml' });
+});
+
+test('encrypted and ZIP64 archives are refused', () => {
+  const encrypted = createZip([{ name: 'a.xml', data: '<a/>' }]);
+  encrypted.writeUInt16LE(1, centralHeader(encrypted) + 8);
+  assert.throws(() => openZip(encrypted).read('a.xml'), { message: 'a.xml is encrypted' });
+
+  const zip64 = createZip([{ name: 'a.xml', data: '<a/>' }]);
+  zip64.writeUInt32LE(0xffffffff, zip64.length - 22 + 16);
+  assert.throws(() => openZip(zip64), { message: 'ZIP64 archives are not supported' });
+});
+
+test('an entry declaring more than the entry limit is refused before inflating', () => {
+  const zip = createZip([{ name: 'word/document.xml', data: '<w:document/>' }]);
+  zip.writeUInt32LE(MAX_ENTRY_SIZE + 1, centralHeader(zip) + 24);
+  assert.throws(() => openZip(zip).read('word/document.xml'), {
+    code: 'INVALID_ZIP',
+    message: 'word/document.xml is larger than 50 MB'
+  });
+});
+
+test('an entry inflating to more than it declares is refused', () => {
+  const zip = createZip([{ name: 'bomb.xml', data: Buffer.alloc(MB) }]);
+  zip.writeUInt32LE(1024, centralHeader(zip) + 24);
+  assert.throws(() => openZip(zip).read('bomb.xml'), { code: 'INVALID_ZIP', message: 'Corrupt ZIP entry bomb.xml' });
+});
+
+test('entries inflating to more than the archive limit together are refused', () => {
+  const part = Buffer.alloc(45 * MB);
+  const count = Math.ceil(MAX_ARCHIVE_SIZE / part.length);
+  const zip = openZip(createZip(Array.from({ length: count }, (_, i) => ({ name: `part${i}.bin`, data: part }))));
+
+  for (let i = 0; i < count - 1; i++) {
+    assert.equal(zip.read(`part${i}.bin`).length, part.length);
+  }
+  // Reading an entry again doesn't count it twice
+  assert.equal(zip.read('part0.bin').length, part.length);
+  assert.throws(() => zip.read(`part${count - 1}.bin`), {
+    code: 'INVALID_ZIP',
+    message: 'The archive is larger than 200 MB uncompressed'
+  });
+});